@@ -12,6 +12,22 @@ const os = require("node:os");
 const readline = require("node:readline");
 const { URL } = require("node:url");
 const lockfile = require("proper-lockfile");
+const {
+  AUTH_PATTERNS,
+  VALIDATION_PATTERNS,
+  askAccessibleWithValidation,
+  handleValidationError,
+} = require("../src/auth-messaging-improvements.js");
+const {
+  hasVerifier,
+  verifyCredentials,
+} = require("../src/credential-verifiers.js");
+const { getSecretStore } = require("../src/secret-store.js");
+const {
+  threeWayMerge,
+  commonLines,
+  unifiedDiff,
+} = require("../src/three-way-merge.js");
 
 const HOME = os.homedir();
 const GLOBAL_DIR = path.join(HOME, ".claude");
@@ -27,8 +43,15 @@ const ACTION_TYPES = {
 // REQ-607: Server status cache to avoid duplicate checks
 const serverStatusCache = new Map();
 
+// REQ-902: Set while a --json command runs; child process output is piped
+// so only the final JSON document reaches stdout
+let jsonOutputMode = false;
+const childStdio = () => (jsonOutputMode ? "pipe" : "inherit");
+
+// REQ-916: CLI command recorded with each audit entry; main() sets it
+let auditCommand = "api";
+
 const PROJECT_DIR = process.cwd();
-const PROJ_CLAUDE_DIR = path.join(PROJECT_DIR, ".claude");
 
 const TEMPLATES = path.join(__dirname, "..", "templates");
 const TEMPLATE = (f) => fs.readFileSync(path.join(TEMPLATES, f), "utf8");
@@ -115,11 +138,19 @@ async function safeConfigUpdate(filePath, updateFn, options = {}) {
 }
 
 // REQ-715: Safe file write with directory creation and atomic operation
-async function safeFileWrite(filePath, content, encoding = "utf8") {
+// options.homeDir: whose audit log records the write
+async function safeFileWrite(
+  filePath,
+  content,
+  encoding = "utf8",
+  options = {}
+) {
   return safeConfigUpdate(filePath, async (lockedFilePath) => {
     // Ensure directory exists
     const dir = path.dirname(lockedFilePath);
     fs.mkdirSync(dir, { recursive: true });
+    // REQ-916: Checksum before the write for the audit log
+    const checksumBefore = fileChecksum(lockedFilePath);
 
     // Write to temporary file first for atomic operation
     const tempPath = `${lockedFilePath}.tmp.${Date.now()}`;
@@ -127,6 +158,15 @@ async function safeFileWrite(filePath, content, encoding = "utf8") {
       fs.writeFileSync(tempPath, content, encoding);
       // Atomic rename to final destination
       fs.renameSync(tempPath, lockedFilePath);
+      appendAuditEntry(
+        {
+          action: "write",
+          target: lockedFilePath,
+          checksumBefore,
+          checksumAfter: createChecksum(content),
+        },
+        options
+      );
     } catch (error) {
       // Clean up temp file on failure
       try {
@@ -228,13 +268,13 @@ async function askProgressiveDisclosure(tierConfig) {
   return true;
 }
 
-async function askScope() {
+async function askScope(askFn = ask) {
   console.log("\n🎯 Choose Claude Code MCP server scope:");
   console.log("  1) User (recommended) - Available across all your projects");
   console.log("  2) Project - Shared with team via .mcp.json file");
   console.log("  3) Local - Private to current session only");
 
-  const choice = await ask("Select scope (1-3)", "1");
+  const choice = await askFn("Select scope (1-3)", "1");
 
   switch (choice) {
     case "1":
@@ -256,7 +296,7 @@ async function askScope() {
 }
 
 // REQ-711: Accessible tier selection with progressive disclosure
-async function askSetupTier() {
+async function askSetupTier(askFn = ask) {
   console.log("\n" + "=".repeat(60));
   console.log("🎯 CHOOSE YOUR MCP SETUP TIER");
   console.log("=".repeat(60));
@@ -281,7 +321,7 @@ async function askSetupTier() {
   console.log("💡 Tip: You can always run this tool again to add more servers");
   console.log("🔄 Focus order: 1→2→3 for progressive complexity");
 
-  const choice = await ask("\nSelect setup tier (1-3)", "1");
+  const choice = await askFn("\nSelect setup tier (1-3)", "1");
 
   switch (choice) {
     case "1":
@@ -596,23 +636,121 @@ function buildClaudeMcpCommand(spec, scope, envVars, extraArgs = []) {
   parts.push(spec.command);
 
   // Add args - handle function vs array
-  const args =
-    typeof spec.args === "function" ? spec.args(...extraArgs) : spec.args || [];
+  // REQ-907: Templates resolve against the collected values, then the env
+  const args = resolveSpecArgs(
+    spec,
+    { ...process.env, ...(envVars || {}) },
+    extraArgs
+  );
 
-  parts.push(...args);
+  // The command runs through a shell: values typed in or read from the
+  // environment may hold spaces, `&`, `;` or `$()`
+  parts.push(...args.map(shellQuote));
 
   // REQ-804: Return string for npm packages as expected by tests
   return parts.join(" ");
 }
 
-function getExistingServerEnv(serverKey) {
+// REQ-912: Quote an argument for the execSync shell - `${VAR}` references
+// must reach claude verbatim instead of being expanded
+function shellQuote(arg) {
+  const text = String(arg);
+  return /^[\w@%+=:,./-]+$/.test(text)
+    ? text
+    : `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+// REQ-912: Copy the launcher and secret store next to the encrypted store,
+// so configured servers keep working after the npx cache is cleared
+function installSecretLauncher(options = {}) {
+  const { homeDir = HOME } = options;
+  const dir = path.join(homeDir, ".claude", "quickstart", "launcher");
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (const file of ["mcp-launch.js", "secret-store.js"]) {
+    const source = fs.readFileSync(
+      path.join(__dirname, "..", "src", file),
+      "utf8"
+    );
+    const target = path.join(dir, file);
+    if (!fs.existsSync(target) || fs.readFileSync(target, "utf8") !== source) {
+      fs.writeFileSync(target, source, { mode: 0o755 });
+    }
+  }
+  return path.join(dir, "mcp-launch.js");
+}
+
+// REQ-912: `claude mcp add` that starts the server through the launcher. The
+// args keep ${VAR} references; every referenced name becomes a --secret,
+// which the launcher passes as an environment variable only, or an
+// --arg-secret for servers that only take the secret as an argument.
+function buildSecretRefCommand(spec, scope, secretNames, options = {}) {
+  const { extraArgs = [], backend, launcherPath } = options;
+  const parts = ["claude", "mcp", "add"];
+
+  if (scope && scope !== "local") {
+    parts.push("--scope", scope);
+  }
+
+  const args = referenceSpecArgs(spec, extraArgs);
+  const referenced = args.flatMap((arg) =>
+    [...arg.matchAll(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g)].map((m) => m[1])
+  );
+
+  parts.push(spec.key, "--", "node", launcherPath);
+  if (backend) {
+    parts.push("--backend", backend);
+  }
+  for (const name of new Set([...secretNames, ...referenced])) {
+    const inArgs = spec.secretInArgs && referenced.includes(name);
+    parts.push(inArgs ? "--arg-secret" : "--secret", name);
+  }
+  parts.push("--", spec.command, ...args);
+
+  return parts.map(shellQuote).join(" ");
+}
+
+// REQ-912: Command used by init and add-server. Secrets are stored in the
+// secrets backend and referenced, so neither `ps`, DEBUG_MCP output nor
+// Claude Code's config ever sees a value. `secrets: "inline"` keeps the
+// old --env behaviour; options also carry homeDir for the store.
+async function buildServerAddCommand(spec, scope, envVars, options = {}) {
+  const { secrets, extraArgs = [] } = options;
+  const values = Object.entries(envVars || {}).filter(([, value]) => value);
+
+  if (secrets === "inline" || spec.transport === "sse" || values.length === 0) {
+    return buildClaudeMcpCommand(spec, scope, envVars, extraArgs);
+  }
+
+  // Module backends are resolved now; the launcher runs from another cwd
+  const backend =
+    secrets && secrets.endsWith(".js") ? path.resolve(secrets) : secrets;
+  const store = getSecretStore(backend, { homeDir: options.homeDir });
+  for (const [name, value] of values) {
+    await store.set(name, value);
+  }
+
+  if (spec.secretInArgs) {
+    console.warn(
+      `⚠️  ${spec.title} only takes its secret as a command-line argument, so the value is visible in the process list while it runs`
+    );
+  }
+  return buildSecretRefCommand(
+    spec,
+    scope,
+    values.map(([name]) => name),
+    { extraArgs, backend, launcherPath: installSecretLauncher(options) }
+  );
+}
+
+function getExistingServerEnv(serverKey, options = {}) {
   try {
     const fs = require("fs");
     const path = require("path");
     const os = require("os");
 
     const claudeSettingsPath = path.join(
-      os.homedir(),
+      options.homeDir || os.homedir(),
       ".claude",
       "settings.json"
     );
@@ -873,6 +1011,8 @@ const SERVER_SPECS = [
       "https://www.postgresql.org/docs/current/libpq-connect.html#LIBPQ-CONNSTRING",
     command: "npx",
     args: (val) => ["-y", "@modelcontextprotocol/server-postgres", val],
+    // The server has no environment variable for the connection string
+    secretInArgs: true,
     tier: "dev-tools",
     category: "Database & Backend Services",
     description: "⚙️ Needs: Connection string (5 min setup)",
@@ -952,16 +1092,164 @@ const HAS_CLOUDFLARE_SSE_SERVERS = SERVER_SPECS.some(
 // REQ-406: Boolean flag for efficient lookup
 let hasCloudflareSSEServers = HAS_CLOUDFLARE_SSE_SERVERS;
 
+// REQ-907: `${ENV:NAME}` placeholders in declarative args templates
+const ENV_PLACEHOLDER = /\$\{ENV:([A-Za-z_][A-Za-z0-9_]*)\}/g;
+const ENV_VAR_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// REQ-907: Registry specs end up in a shell command - keep them to plain tokens
+const SHELL_UNSAFE = /[;&|`$<>\\'"\s(){}]/;
+
 // REQ-405: Schema validation helper
-function validateServerSpec(spec) {
-  if (!spec || typeof spec !== "object") return false;
-  if (!spec.key || !spec.title) return false;
+// REQ-907: Pass an array as `errors` to collect why a spec was rejected;
+// registry specs must also have a tier, a launch command and safe args
+function validateServerSpec(spec, errors = []) {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    errors.push("spec must be an object");
+    return false;
+  }
+  const start = errors.length;
+
+  if (typeof spec.key !== "string" || !/^[a-z0-9][a-z0-9-]*$/.test(spec.key)) {
+    errors.push("key must be lowercase letters, digits and dashes");
+  }
+  if (typeof spec.title !== "string" || !spec.title.trim()) {
+    errors.push("title is required");
+  }
+  if (spec.tier !== undefined && !SETUP_TIERS[spec.tier]) {
+    errors.push(`tier must be one of: ${Object.keys(SETUP_TIERS).join(", ")}`);
+  }
+  if (spec.authPattern !== undefined && !AUTH_PATTERNS[spec.authPattern]) {
+    errors.push(
+      `authPattern must be one of: ${Object.keys(AUTH_PATTERNS).join(", ")}`
+    );
+  }
+  for (const field of ["envVar", "envVar2"]) {
+    if (spec[field] !== undefined && !ENV_VAR_NAME.test(spec[field])) {
+      errors.push(`${field} must be an environment variable name`);
+    }
+  }
+  if (
+    spec.secretInArgs !== undefined &&
+    typeof spec.secretInArgs !== "boolean"
+  ) {
+    errors.push("secretInArgs must be true or false");
+  }
+
+  if (spec.promptType === "sse" || spec.transport === "sse") {
+    if (spec.transport !== "sse" || !validateSSEUrl(spec.url, true)) {
+      errors.push("sse servers need transport: sse and a trusted https url");
+    }
+    return errors.length === start;
+  }
+
+  if (typeof spec.args === "function") {
+    return errors.length === start;
+  }
+  if (typeof spec.command !== "string" || SHELL_UNSAFE.test(spec.command)) {
+    errors.push("command must be a single executable name");
+  }
+  if (spec.args !== undefined && !Array.isArray(spec.args)) {
+    errors.push("args must be an array of strings");
+  }
+  for (const arg of Array.isArray(spec.args) ? spec.args : []) {
+    if (
+      typeof arg !== "string" ||
+      SHELL_UNSAFE.test(arg.replace(ENV_PLACEHOLDER, ""))
+    ) {
+      errors.push(`unsafe argument: ${JSON.stringify(arg)}`);
+    }
+  }
+
+  return errors.length === start;
+}
 
-  if (spec.promptType === "sse") {
-    return spec.transport === "sse" && spec.url && spec.key && spec.title;
+// REQ-907: Expand a spec's args. Built-in specs build them with a function;
+// registry specs use string templates with `${ENV:NAME}` placeholders
+function resolveSpecArgs(spec, values = process.env, extraArgs = []) {
+  if (typeof spec.args === "function") return spec.args(...extraArgs);
+  return (spec.args || []).map((arg) =>
+    arg.replace(ENV_PLACEHOLDER, (placeholder, name) => {
+      if (!values[name]) {
+        throw new Error(`${spec.key}: no value for ${placeholder}`);
+      }
+      return values[name];
+    })
+  );
+}
+
+// REQ-907: Extra server specs, user-wide and per project
+function serverRegistryDirs(options = {}) {
+  const { homeDir = HOME, projectDir = PROJECT_DIR } = options;
+  return [
+    path.join(homeDir, ".claude", "quickstart", "servers.d"),
+    path.join(projectDir, ".claude", "quickstart", "servers.d"),
+  ];
+}
+
+// REQ-907: Read every *.json / *.yaml / *.yml file in servers.d. A file holds
+// one spec or an array of them. Invalid specs are reported, not thrown, and
+// project files override user files with the same key.
+function loadServerRegistry(options = {}) {
+  const builtinKeys = new Set(
+    SERVER_SPECS.filter((spec) => !spec.source).map((spec) => spec.key)
+  );
+  const byKey = new Map();
+  const errors = [];
+
+  for (const dir of serverRegistryDirs(options)) {
+    if (!fs.existsSync(dir)) continue;
+    const files = fs
+      .readdirSync(dir)
+      .filter((f) => /\.(json|ya?ml)$/.test(f))
+      .sort();
+
+    for (const fileName of files) {
+      const file = path.join(dir, fileName);
+      let parsed;
+      try {
+        const text = fs.readFileSync(file, "utf8");
+        parsed = fileName.endsWith(".json")
+          ? JSON.parse(text)
+          : require("js-yaml").load(text);
+      } catch (error) {
+        errors.push({ file, error: `Could not parse: ${error.message}` });
+        continue;
+      }
+
+      for (const spec of Array.isArray(parsed) ? parsed : [parsed]) {
+        const problems = [];
+        validateServerSpec(spec, problems);
+        if (spec && typeof spec === "object" && !spec.tier) {
+          problems.push("tier is required");
+        }
+        if (spec && builtinKeys.has(spec.key)) {
+          problems.push(`key ${spec.key} is a built-in server`);
+        }
+        if (problems.length > 0) {
+          const label = spec && spec.key ? `${spec.key}: ` : "";
+          errors.push({ file, error: label + problems.join("; ") });
+          continue;
+        }
+        byKey.set(spec.key, { ...spec, source: file });
+      }
+    }
   }
 
-  return spec.key && spec.title;
+  return { specs: [...byKey.values()], errors };
+}
+
+// REQ-907: Merge registry specs into SERVER_SPECS so tiers, prompts, status
+// and apply pick them up; the array stays ordered by tier
+function registerServerSpecs(specs) {
+  const tierOrder = Object.keys(SETUP_TIERS);
+  for (const spec of specs) {
+    const index = SERVER_SPECS.findIndex((s) => s.key === spec.key);
+    if (index === -1) SERVER_SPECS.push(spec);
+    else SERVER_SPECS[index] = spec;
+  }
+  SERVER_SPECS.sort(
+    (a, b) => tierOrder.indexOf(a.tier) - tierOrder.indexOf(b.tier)
+  );
+  return SERVER_SPECS;
 }
 
 // Command-focused prompt functions that return configuration objects
@@ -1007,6 +1295,55 @@ async function promptWranglerServerForCommand(spec, askFn) {
   };
 }
 
+// REQ-910: Which VALIDATION_PATTERNS entry checks each prompted variable
+const VALIDATION_KEYS = {
+  GITHUB_PERSONAL_ACCESS_TOKEN: "github",
+  SUPABASE_ACCESS_TOKEN: "supabase",
+  BRAVE_API_KEY: "brave",
+  CONTEXT7_API_KEY: "context7",
+  TAVILY_API_KEY: "tavily",
+  POSTGRES_CONNECTION_STRING: "postgres",
+  N8N_API_URL: "n8n_url",
+};
+
+// REQ-910: Validation options for a variable, shaped like enhanceServerSpecs
+function getValidationFor(spec, envVar) {
+  const info = VALIDATION_PATTERNS[VALIDATION_KEYS[envVar]];
+  if (!info) return null;
+  return {
+    ...info,
+    errorMessage: `Invalid ${spec.title} format. Expected: ${info.hint}`,
+  };
+}
+
+// REQ-910: Prompt for one credential and check its format when we know it.
+// "" still skips and "-" still disables; "skip" also skips, and a value that
+// fails the check can be kept after confirmation.
+async function askServerSecret(spec, envVar, askFn, promptText = envVar) {
+  const validation = getValidationFor(spec, envVar);
+  if (!validation) {
+    return askFn(promptText, "");
+  }
+
+  const answer = await askAccessibleWithValidation(promptText, "", {
+    askFn,
+    validation,
+    passthrough: ["-"],
+    allowOverride: true,
+    onInvalid: (input) =>
+      handleValidationError(
+        null,
+        {
+          ...spec,
+          validation,
+          commonIssues: (AUTH_PATTERNS[spec.authPattern] || {}).commonIssues,
+        },
+        input
+      ),
+  });
+  return answer || "";
+}
+
 async function promptDualEnvServerForCommand(spec, askFn) {
   // REQ-711: Enhanced dual environment server presentation
   console.log(`\n┌${"─".repeat(spec.title.length + 20)}┐`);
@@ -1034,9 +1371,11 @@ async function promptDualEnvServerForCommand(spec, askFn) {
     console.log(`✅ Existing ${spec.envVar2}: ${formattedValue}`);
   }
 
-  const input1 = await askFn(
-    `${spec.envVar} (e.g., http://localhost:5678/api/v1)`,
-    ""
+  const input1 = await askServerSecret(
+    spec,
+    spec.envVar,
+    askFn,
+    `${spec.envVar} (e.g., http://localhost:5678/api/v1)`
   );
 
   if (input1 === "-") {
@@ -1047,7 +1386,7 @@ async function promptDualEnvServerForCommand(spec, askFn) {
     return { action: "skip" };
   }
 
-  const input2 = await askFn(`${spec.envVar2}`, "");
+  const input2 = await askServerSecret(spec, spec.envVar2, askFn);
   if (!input2) {
     console.log(`  (skipped ${spec.title} - API key required)`);
     return { action: "skip" };
@@ -1086,7 +1425,7 @@ async function promptStandardServerForCommand(spec, askFn) {
     }
   }
 
-  const input = await askFn(promptText, "");
+  const input = await askServerSecret(spec, spec.envVar, askFn, promptText);
 
   if (input === "-") {
     return { action: "disable" };
@@ -1155,15 +1494,260 @@ async function promptSSEServerForCommand(spec, askFn) {
   };
 }
 
+// REQ-911: Check credentials against the provider before the server is
+// added. Rejected credentials stop the server unless an interactive user
+// insists; unreachable providers and missing scopes only warn.
+async function confirmCredentials(spec, envVars = {}, options = {}) {
+  const {
+    askFn = ask,
+    interactive = true,
+    verify = verifyCredentials,
+    verifyOptions = {},
+  } = options;
+
+  const required = [spec.envVar, spec.envVar2].filter(Boolean);
+  if (!hasVerifier(spec.key) || required.some((name) => !envVars[name])) {
+    return { proceed: true, verification: null };
+  }
+
+  console.log(`  🔐 Verifying ${spec.title} credentials...`);
+  const verification = await verify(spec.key, envVars, verifyOptions);
+
+  if (verification.status === "valid") {
+    console.log(`  ✅ ${verification.message}`);
+    return { proceed: true, verification };
+  }
+  if (verification.status === "insufficient-scope") {
+    console.log(`  ⚠️  ${verification.message}`);
+    console.log(
+      "     Some operations may fail - check the token's permissions"
+    );
+    return { proceed: true, verification };
+  }
+  if (verification.status !== "invalid") {
+    console.log(`  ⚠️  Could not verify credentials: ${verification.message}`);
+    return { proceed: true, verification };
+  }
+
+  console.log(`  ❌ ${verification.message}`);
+  if (!interactive) {
+    return { proceed: false, verification };
+  }
+  const answer = await askFn("  Configure anyway? (y/N)", "n");
+  return { proceed: answer.toLowerCase().startsWith("y"), verification };
+}
+
+// REQ-913: Parse a dotenv file - KEY=value lines, optional `export`, quoted
+// values (double quotes understand \n), `#` comments and blank lines
+function parseEnvFile(content) {
+  const values = {};
+  const line = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/;
+  const quoted = /^("(?:\\.|[^"\\])*"|'[^']*')\s*(?:#.*)?$/;
+
+  for (const raw of content.split(/\r?\n/)) {
+    const match = line.exec(raw);
+    if (!match) continue;
+    let value = quoted.exec(match[2])?.[1];
+    if (value?.startsWith('"')) {
+      value = value
+        .slice(1, -1)
+        .replace(/\\n/g, "\n")
+        .replace(/\\(["\\])/g, "$1");
+    } else if (value) {
+      value = value.slice(1, -1);
+    } else {
+      // As in dotenv, `#` only starts a comment at the start of the value
+      // or after whitespace, so URLs and passwords can contain it
+      value = match[2].replace(/(?:^|\s)#.*$/, "").trim();
+    }
+    values[match[1]] = value;
+  }
+  return values;
+}
+
+// REQ-913: The --env-file to read, or ./.env when it exists
+function detectEnvFile(projectDir = PROJECT_DIR) {
+  const candidate = path.join(projectDir, ".env");
+  return fs.existsSync(candidate) ? candidate : undefined;
+}
+
+function loadEnvFile(filePath) {
+  try {
+    return parseEnvFile(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read env file ${filePath}: ${error.message}`);
+  }
+}
+
+// REQ-913: Offer the .env values for a spec. Returns null when the file
+// doesn't cover every variable or the user declines, so the normal prompt runs.
+async function promptFromEnvFile(spec, envFileValues, askFn) {
+  const names = [spec.envVar, spec.envVar2].filter(Boolean);
+  if (names.length === 0 || !names.every((name) => envFileValues[name])) {
+    return null;
+  }
+
+  console.log(`\n📄 ${spec.title} from .env:`);
+  for (const name of names) {
+    const validation = getValidationFor(spec, name);
+    const looksWrong =
+      validation && !validation.pattern.test(envFileValues[name]);
+    console.log(
+      `  ${name} = ${maskKey(envFileValues[name])}${looksWrong ? `  ⚠️  expected ${validation.hint}` : ""}`
+    );
+  }
+
+  const answer = (
+    await askFn(`Use these for ${spec.title}? (Y/n, - to disable)`, "y")
+  ).toLowerCase();
+  if (answer === "-") {
+    return { action: ACTION_TYPES.DISABLE };
+  }
+  if (answer.startsWith("n")) {
+    return null;
+  }
+  return {
+    action: ACTION_TYPES.CONFIGURE,
+    envVars: Object.fromEntries(
+      names.map((name) => [name, envFileValues[name]])
+    ),
+  };
+}
+
+// REQ-900: Translate init flags into configureClaudeCode options.
+// With --yes every prompt is answered up front: secrets come from the
+// environment variables named by each spec, and missing ones abort the run.
+function buildInitOptions(flags = {}, env = process.env) {
+  const options = {};
+  const tierNames = Object.keys(SETUP_TIERS);
+  const tierHierarchy = ["quick-start", "dev-tools", "research-tools"];
+
+  if (flags.tier && !tierNames.includes(flags.tier)) {
+    throw new Error(
+      `Unknown tier: ${flags.tier} (expected one of: ${tierNames.join(", ")})`
+    );
+  }
+
+  if (flags.scope && !["user", "project", "local"].includes(flags.scope)) {
+    throw new Error(
+      `Unknown scope: ${flags.scope} (expected one of: user, project, local)`
+    );
+  }
+
+  if (flags.server && flags.server.length > 0) {
+    const requested = flags.server.map((key) => {
+      const spec = SERVER_SPECS.find((s) => s.key === key);
+      if (!spec) {
+        throw new Error(
+          `Unknown server: ${key} (expected one of: ${SERVER_SPECS.map((s) => s.key).join(", ")})`
+        );
+      }
+      return spec;
+    });
+
+    // Without --tier, use the smallest tier that covers every requested server
+    const selectedTier =
+      flags.tier ||
+      tierHierarchy[
+        Math.max(...requested.map((spec) => tierHierarchy.indexOf(spec.tier)))
+      ];
+    const tierKeys = getServersForTier(selectedTier).map((s) => s.key);
+    const outsideTier = requested.filter((s) => !tierKeys.includes(s.key));
+    if (outsideTier.length > 0) {
+      throw new Error(
+        `Not part of the ${selectedTier} tier: ${outsideTier.map((s) => s.key).join(", ")}`
+      );
+    }
+
+    options.selectedTier = selectedTier;
+    options.servers = requested;
+  } else if (flags.tier) {
+    options.selectedTier = flags.tier;
+  }
+
+  if (flags.scope) {
+    options.scope = flags.scope;
+  }
+
+  // REQ-911: Offline runs can opt out of provider API calls
+  if (flags["skip-verify"]) {
+    options.skipVerify = true;
+  }
+
+  // REQ-912: Secrets backend for claude mcp add ("inline" = old --env values)
+  if (flags.secrets) {
+    options.secrets = flags.secrets;
+  }
+
+  // REQ-913: .env values pre-fill the prompts; with --yes they fill in
+  // whatever the environment doesn't set (exported variables win)
+  if (flags["env-file"]) {
+    options.envFile = path.resolve(flags["env-file"]);
+    options.envFileValues = loadEnvFile(options.envFile);
+    env = { ...options.envFileValues, ...env };
+  }
+
+  if (!flags.yes) {
+    return options;
+  }
+
+  options.selectedTier = options.selectedTier || "quick-start";
+  options.scope = options.scope || "user";
+  options.nonInteractive = true;
+
+  const specs = options.servers || getServersForTier(options.selectedTier);
+  const serverConfigs = {};
+  const missing = [];
+
+  for (const spec of specs) {
+    if (spec.transport === "sse") {
+      serverConfigs[spec.key] = {
+        action: ACTION_TYPES.CONFIGURE,
+        envVars: {},
+        spec,
+      };
+      continue;
+    }
+
+    const envVars = {};
+    for (const name of [spec.envVar, spec.envVar2].filter(Boolean)) {
+      const value = (env[name] || "").trim();
+      if (!value) {
+        missing.push(`${spec.key}: ${name}`);
+      }
+      envVars[name] = value;
+    }
+    serverConfigs[spec.key] = { action: ACTION_TYPES.CONFIGURE, envVars };
+  }
+
+  // REQ-909: Project scope writes ${VAR} references, so values are optional
+  if (missing.length > 0 && options.scope !== "project") {
+    throw new Error(
+      `Missing required environment variables for --yes:\n  • ${missing.join("\n  • ")}\n` +
+        "Export them or narrow the run with --server <name>"
+    );
+  }
+
+  options.servers = specs;
+  options.serverConfigs = serverConfigs;
+  return options;
+}
+
 // REQ-852: configureClaudeCode Return Type Fix - Function returns array of configuration results
 async function configureClaudeCode(options = {}) {
-  const { execSync } = require("node:child_process");
+  // REQ-900: execFn and askFn stand in for the claude CLI and the prompts;
+  // homeDir and projectDir say where the run reads and writes
+  const execSync = options.execFn || require("node:child_process").execSync;
+  const { askFn = ask, homeDir, projectDir } = options;
 
-  // REQ-852: Handle test mode to avoid user interaction during testing
+  // REQ-852: Handle test mode to avoid user interaction during testing.
+  // Callers that inject execFn or askFn get the real flow.
   const isTestMode =
-    options.testMode ||
-    process.env.NODE_ENV === "test" ||
-    process.env.VITEST === "true";
+    !options.execFn &&
+    !options.askFn &&
+    (options.testMode ||
+      process.env.NODE_ENV === "test" ||
+      process.env.VITEST === "true");
 
   if (isTestMode) {
     // REQ-852: In test mode, return minimal array for validation
@@ -1183,11 +1767,12 @@ async function configureClaudeCode(options = {}) {
   console.log("\n📁 Configuring Claude Code MCP servers");
 
   // REQ-711: Get tier selection first to reduce choice overload
-  const selectedTier = options.selectedTier || (await askSetupTier());
-  const tierServers = getServersForTier(selectedTier);
+  const selectedTier = options.selectedTier || (await askSetupTier(askFn));
+  // REQ-900: --server flags narrow the run to an explicit server list
+  const tierServers = options.servers || getServersForTier(selectedTier);
 
   // Get scope preference
-  const scope = options.scope || (await askScope());
+  const scope = options.scope || (await askScope(askFn));
 
   // REQ-711: Show tier summary with estimated time and server count
   const tierConfig = SETUP_TIERS[selectedTier];
@@ -1196,6 +1781,11 @@ async function configureClaudeCode(options = {}) {
     `📊 ${tierServers.length} servers • ${tierConfig.time} estimated setup time`
   );
   console.log(`🎯 Using ${scope} scope for MCP server configuration\n`);
+  if (options.envFile) {
+    console.log(
+      `📄 Reading credentials from ${path.relative(PROJECT_DIR, options.envFile) || options.envFile}\n`
+    );
+  }
 
   console.log("+" + "=".repeat(58) + "+");
   console.log("| 🔌 CONFIGURE MCP SERVERS                                |");
@@ -1214,27 +1804,96 @@ async function configureClaudeCode(options = {}) {
       // Route to appropriate prompt handler and collect results
       let serverConfig = null;
 
-      if (spec.promptType === "path") {
-        serverConfig = await promptPathServerForCommand(spec, ask);
+      // REQ-913: Values found in the .env file only need a confirmation
+      const fromEnvFile =
+        !options.serverConfigs && options.envFileValues
+          ? await promptFromEnvFile(spec, options.envFileValues, askFn)
+          : null;
+
+      // REQ-900: Non-interactive runs arrive with pre-resolved configs
+      if (options.serverConfigs) {
+        serverConfig = options.serverConfigs[spec.key];
+      } else if (fromEnvFile) {
+        serverConfig = fromEnvFile;
+      } else if (spec.promptType === "path") {
+        serverConfig = await promptPathServerForCommand(spec, askFn);
       } else if (spec.promptType === "wrangler") {
-        serverConfig = await promptWranglerServerForCommand(spec, ask);
+        serverConfig = await promptWranglerServerForCommand(spec, askFn);
       } else if (spec.promptType === "sse") {
-        serverConfig = await promptSSEServerForCommand(spec, ask);
+        serverConfig = await promptSSEServerForCommand(spec, askFn);
       } else if (spec.envVar2) {
-        serverConfig = await promptDualEnvServerForCommand(spec, ask);
+        serverConfig = await promptDualEnvServerForCommand(spec, askFn);
       } else {
-        serverConfig = await promptStandardServerForCommand(spec, ask);
+        serverConfig = await promptStandardServerForCommand(spec, askFn);
       }
 
-      if (serverConfig && serverConfig.action === ACTION_TYPES.CONFIGURE) {
-        // Build and execute claude mcp add command
-        const command = buildClaudeMcpCommand(
+      // REQ-911: Verify credentials before anything is written or executed
+      if (
+        serverConfig &&
+        serverConfig.action === ACTION_TYPES.CONFIGURE &&
+        !options.skipVerify
+      ) {
+        const { proceed, verification } = await confirmCredentials(
           spec,
-          scope,
           serverConfig.envVars,
-          serverConfig.extraArgs || []
+          {
+            askFn,
+            interactive: !options.nonInteractive,
+            verify: options.verify,
+            verifyOptions: options.verifyOptions,
+          }
         );
+        if (!proceed) {
+          const status = options.nonInteractive ? "failed" : "skipped";
+          (status === "failed" ? failedServers : skippedServers).push(
+            spec.title
+          );
+          configurationResults.push({
+            serverName: spec.key,
+            status,
+            error: verification.message,
+          });
+          continue;
+        }
+      }
 
+      if (
+        serverConfig &&
+        serverConfig.action === ACTION_TYPES.CONFIGURE &&
+        scope === "project"
+      ) {
+        // REQ-909: Project scope is a file write - no claude CLI needed
+        try {
+          const { changed, created } = await writeProjectMcpServer(
+            spec,
+            serverConfig.envVars,
+            { extraArgs: serverConfig.extraArgs || [], projectDir, homeDir }
+          );
+          console.log(
+            changed
+              ? `  ✅ ${spec.title} written to .mcp.json`
+              : `  ✅ ${spec.title} already in .mcp.json`
+          );
+          printProjectEnvHint(spec, serverConfig.envVars);
+          configuredServers.push(spec.title);
+          configurationResults.push({
+            serverName: spec.key,
+            status: changed ? "configured" : "already_configured",
+            ...(created && { createdFile: true }),
+          });
+        } catch (error) {
+          console.log(`  ❌ ${spec.title}: ${error.message}`);
+          failedServers.push(spec.title);
+          configurationResults.push({
+            serverName: spec.key,
+            status: "failed",
+            error: error.message,
+          });
+        }
+      } else if (
+        serverConfig &&
+        serverConfig.action === ACTION_TYPES.CONFIGURE
+      ) {
         // REQ-500: Check if server already exists before attempting installation
         const serverStatus = checkServerStatus(spec.key);
 
@@ -1251,12 +1910,37 @@ async function configureClaudeCode(options = {}) {
           });
         } else {
           console.log(`  Installing ${spec.title}...`);
+          // REQ-912: Stores the secrets, then references them. Store errors
+          // land in the per-server catch below.
+          const command = await buildServerAddCommand(
+            spec,
+            scope,
+            serverConfig.envVars,
+            {
+              secrets: options.secrets,
+              extraArgs: serverConfig.extraArgs || [],
+              homeDir,
+            }
+          );
           // REQ-709: Fix commandString scoping - declare outside try-catch block
           const commandString = Array.isArray(command)
             ? command.join(" ")
             : command;
           try {
-            execSync(commandString, { stdio: "inherit" });
+            // REQ-916: Audited with inline secrets redacted
+            auditedExec(
+              commandString,
+              () =>
+                execSync(commandString, {
+                  stdio: childStdio(),
+                  cwd: projectDir,
+                }),
+              {
+                server: spec.key,
+                secrets: Object.values(serverConfig.envVars || {}),
+                homeDir,
+              }
+            );
             console.log(`  ✅ ${spec.title} configured successfully`);
             configuredServers.push(spec.title);
             // REQ-852: Add to configuration results array
@@ -1286,10 +1970,34 @@ async function configureClaudeCode(options = {}) {
             });
           }
         }
+      } else if (
+        serverConfig &&
+        serverConfig.action === ACTION_TYPES.DISABLE &&
+        scope === "project"
+      ) {
+        // REQ-909: Drop the entry from .mcp.json directly
+        const { changed } = await removeProjectMcpServer(spec.key, {
+          projectDir,
+          homeDir,
+        });
+        console.log(
+          changed
+            ? `  🗑️  ${spec.title} removed from .mcp.json`
+            : `  ⚠️  ${spec.title} was not in .mcp.json`
+        );
+        configurationResults.push({
+          serverName: spec.key,
+          status: "disabled",
+        });
       } else if (serverConfig && serverConfig.action === ACTION_TYPES.DISABLE) {
         // Remove existing server
         try {
-          execSync(`claude mcp remove ${spec.key}`, { stdio: "pipe" });
+          const removeCommand = `claude mcp remove ${spec.key}`;
+          auditedExec(
+            removeCommand,
+            () => execSync(removeCommand, { stdio: "pipe", cwd: projectDir }),
+            { server: spec.key, homeDir }
+          );
           console.log(`  🗑️  ${spec.title} removed`);
           // REQ-852: Add to configuration results array
           configurationResults.push({
@@ -1412,96 +2120,242 @@ async function configureClaudeCode(options = {}) {
   console.log("=".repeat(60));
 
   // Verify installation
+  // REQ-909: Project scope doesn't need the claude CLI - keep a missing one quiet
   try {
     console.log("\n🔍 Verifying MCP server installation...");
-    execSync("claude mcp list", { stdio: "inherit" });
+    execSync("claude mcp list", {
+      stdio: [
+        "inherit",
+        childStdio(),
+        scope === "project" ? "ignore" : childStdio(),
+      ],
+      cwd: projectDir,
+    });
   } catch {
     console.log(
       "⚠️  Could not verify installation. Run `claude mcp list` to check manually."
     );
   }
 
+  // REQ-915: Remember what this run added so uninstall can reverse it
+  await recordInstall(
+    serverLedgerEntries(configurationResults, scope, options.projectDir),
+    options
+  );
+
   // REQ-852: Return array of configuration results
   return configurationResults;
 }
 
-async function scaffoldProjectFiles() {
-  console.log("\n🧩 Scaffolding project files in:", PROJECT_DIR);
-
-  // CLAUDE.md
-  const claudeMd = path.join(PROJECT_DIR, "CLAUDE.md");
-  if (!fs.existsSync(claudeMd)) {
-    await safeFileWrite(claudeMd, TEMPLATE("CLAUDE.md"));
-    console.log("• CLAUDE.md created");
-  } else {
-    console.log("• CLAUDE.md exists (left unchanged)");
-  }
+// REQ-915: The block init appends to .gitignore (uninstall removes it again)
+const GITIGNORE_GUARD_LINES = [
+  "# Claude Code secret guardrails",
+  ".env",
+  ".env.*",
+  "*.pem",
+  "*.key",
+  "**/secrets/**",
+  "**/credentials/**",
+  "**/.aws/**",
+  "**/.ssh/**",
+];
 
-  // README.md (navigation and mental model)
-  const readmeMd = path.join(PROJECT_DIR, "README.md");
-  if (!fs.existsSync(readmeMd)) {
-    await safeFileWrite(readmeMd, TEMPLATE("README.md"));
-    console.log("• README.md created (navigation template)");
-  } else {
-    console.log("• README.md exists (left unchanged)");
-  }
+// REQ-915: Install ledger - every artifact a run created, so uninstall can
+// remove exactly those. Categories: servers, files, agents, gitignore.
+const LEDGER_CATEGORIES = ["servers", "files", "agents", "gitignore"];
 
-  // .claude/settings.json
-  fs.mkdirSync(PROJ_CLAUDE_DIR, { recursive: true });
-  const projSettings = path.join(PROJ_CLAUDE_DIR, "settings.json");
-  if (!fs.existsSync(projSettings)) {
-    await safeFileWrite(projSettings, TEMPLATE("project-settings.json"));
-    console.log("• .claude/settings.json created (safe defaults, no secrets)");
-  } else {
-    console.log("• .claude/settings.json exists (left unchanged)");
-  }
+function ledgerPath(options = {}) {
+  const { homeDir = HOME } = options;
+  return path.join(homeDir, ".claude", "quickstart", "ledger.json");
+}
 
-  // .claude/settings.local.json (empty valid JSON)
-  const projLocal = path.join(PROJ_CLAUDE_DIR, "settings.local.json");
-  if (!fs.existsSync(projLocal)) {
-    await safeFileWrite(projLocal, TEMPLATE("project-settings.local.json"));
-    console.log("• .claude/settings.local.json created (local-only overrides)");
-  } else {
-    console.log("• .claude/settings.local.json exists (left unchanged)");
-  }
+function fileSha256(filePath) {
+  return require("node:crypto")
+    .createHash("sha256")
+    .update(fs.readFileSync(filePath))
+    .digest("hex");
+}
 
-  // Documentation templates directory
-  const docsDir = path.join(PROJ_CLAUDE_DIR, "templates");
-  fs.mkdirSync(docsDir, { recursive: true });
+function ledgerKey(entry) {
+  return entry.category === "servers"
+    ? `servers:${entry.scope}:${entry.name}:${entry.projectDir || ""}`
+    : `${entry.category}:${entry.path}`;
+}
 
-  // Domain README template
-  const domainReadme = path.join(docsDir, "domain-README.md");
-  if (!fs.existsSync(domainReadme)) {
-    await safeFileWrite(domainReadme, TEMPLATE("domain-README.md"));
-    console.log(
-      "• .claude/templates/domain-README.md created (for feature domains)"
-    );
+function readLedger(options = {}) {
+  try {
+    return JSON.parse(fs.readFileSync(ledgerPath(options), "utf8")).entries;
+  } catch {
+    return [];
   }
+}
 
-  // .claude-context template
-  const claudeContext = path.join(docsDir, ".claude-context");
-  if (!fs.existsSync(claudeContext)) {
-    await safeFileWrite(claudeContext, TEMPLATE(".claude-context"));
-    console.log(
-      "• .claude/templates/.claude-context created (for AI assistance)"
+// REQ-915: Add entries to the ledger; a newer record of the same artifact
+// replaces the older one. Never fails the run that is being recorded.
+async function recordInstall(entries, options = {}) {
+  if (entries.length === 0) return;
+  const installedAt = new Date().toISOString();
+  try {
+    await updateJsonFile(
+      ledgerPath(options),
+      (ledger) => {
+        const byKey = new Map(
+          (ledger.entries || []).map((entry) => [ledgerKey(entry), entry])
+        );
+        for (const entry of entries) {
+          byKey.set(ledgerKey(entry), { ...entry, installedAt });
+        }
+        return { version: 1, entries: [...byKey.values()] };
+      },
+      options
     );
+  } catch (error) {
+    console.warn(`⚠️  Could not update the install ledger: ${error.message}`);
   }
+}
+
+// REQ-915: Quickstart's own records in the project (template base, pack
+// record). They are rewritten by update-templates, so uninstall removes them
+// without the edited check.
+async function recordQuickstartFile(filePath, options = {}) {
+  const { projectDir = PROJECT_DIR } = options;
+  await recordInstall(
+    [{ category: "files", path: filePath, projectDir, record: true }],
+    options
+  );
+}
+
+// REQ-915: Ledger entries for configured servers. Local and project scope
+// are tied to the project directory they were configured in; createdFile
+// marks the server whose write created the project's .mcp.json.
+function serverLedgerEntries(results, scope, projectDir = PROJECT_DIR) {
+  return results
+    .filter((result) => result.status === "configured")
+    .map((result) => ({
+      category: "servers",
+      name: result.serverName,
+      scope,
+      ...(scope !== "user" && { projectDir }),
+      ...(result.createdFile && { createdFile: true }),
+    }));
+}
+
+// REQ-901: Options let manifests opt out of global agents or .gitignore edits
+// REQ-920: `template` selects the template pack (name or path)
+// REQ-921: `prompt` asks for template variables that can't be detected
+async function scaffoldProjectFiles(options = {}) {
+  const { projectDir = PROJECT_DIR, homeDir = HOME } = options;
+  const claudeDir = path.join(projectDir, ".claude");
+
+  // REQ-922: Allow rules and the default template pack follow the stack
+  const stack = detectProjectStack({ projectDir });
+  const recordedSource = readTemplatePackRecord({ projectDir })?.source;
+  const {
+    agents: installAgents = true,
+    gitignore: updateGitignore = true,
+    // REQ-920: Re-running init keeps the pack the project was set up with
+    template = recordedSource || stack.pack || DEFAULT_TEMPLATE_PACK,
+    // REQ-921: Ask for template variables that can't be detected
+    prompt = false,
+  } = options;
+  const pack = loadTemplatePack(template, { projectDir });
+  // Read every source first so a broken pack fails before anything is written
+  const packContents = pack.files.map((file) => {
+    try {
+      return fs.readFileSync(file.sourcePath, "utf8");
+    } catch {
+      throw new Error(
+        `Template pack "${file.pack}" is missing ${file.source} (for ${file.target})`
+      );
+    }
+  });
+
+  console.log("\n🧩 Scaffolding project files in:", projectDir);
+  console.log(
+    `• Template pack: ${pack.name} ${pack.version}${!options.template && !recordedSource && stack.pack ? ` (detected ${stack.stacks.join(", ")} project)` : ""}`
+  );
+  // Only files about to be created need their variables filled
+  const variables = await resolveTemplateVariables(
+    pack,
+    packContents.filter(
+      (_, i) => !fs.existsSync(path.join(projectDir, pack.files[i].target))
+    ),
+    {
+      prompt,
+      projectDir,
+      recorded: readTemplatePackRecord({ projectDir })?.variables,
+    }
+  );
+
+  // REQ-902: Record what happened to each file for --json output
+  const files = [];
+  const ledger = [];
 
-  // Repository-specific CLAUDE.md template
-  const claudeTemplate = path.join(docsDir, "CLAUDE.md");
-  if (!fs.existsSync(claudeTemplate)) {
-    await safeFileWrite(claudeTemplate, TEMPLATE("CLAUDE.md"));
+  // .claude/settings.json
+  fs.mkdirSync(claudeDir, { recursive: true });
+  const projSettings = path.join(claudeDir, "settings.json");
+  if (!fs.existsSync(projSettings)) {
+    await safeFileWrite(projSettings, projectSettingsContent(stack), "utf8", {
+      homeDir,
+    });
+    const rules = stackAllowRules(stack);
     console.log(
-      "• .claude/templates/CLAUDE.md created (repository-specific guidelines)"
+      rules.length > 0
+        ? `• .claude/settings.json created (safe defaults, allows ${rules.map((rule) => rule.slice(5, -2)).join(", ")})`
+        : "• .claude/settings.json created (safe defaults, no secrets)"
     );
+    files.push({ path: ".claude/settings.json", status: "created" });
+  } else {
+    console.log("• .claude/settings.json exists (left unchanged)");
+    files.push({ path: ".claude/settings.json", status: "unchanged" });
   }
 
-  // Install agents to global Claude directory for /agents command discovery
-  const globalAgentsDir = path.join(GLOBAL_DIR, "agents");
-  fs.mkdirSync(globalAgentsDir, { recursive: true });
+  // .claude/settings.local.json (empty valid JSON)
+  const projLocal = path.join(claudeDir, "settings.local.json");
+  if (!fs.existsSync(projLocal)) {
+    await safeFileWrite(
+      projLocal,
+      TEMPLATE("project-settings.local.json"),
+      "utf8",
+      { homeDir }
+    );
+    console.log("• .claude/settings.local.json created (local-only overrides)");
+    files.push({ path: ".claude/settings.local.json", status: "created" });
+  } else {
+    console.log("• .claude/settings.local.json exists (left unchanged)");
+    files.push({ path: ".claude/settings.local.json", status: "unchanged" });
+  }
+
+  // REQ-920: CLAUDE.md, README.md and the documentation templates come from
+  // the selected template pack
+  const packFiles = [];
+  for (const [i, file] of pack.files.entries()) {
+    const target = path.join(projectDir, file.target);
+    if (fs.existsSync(target)) {
+      console.log(`• ${file.target} exists (left unchanged)`);
+      files.push({ path: file.target, status: "unchanged" });
+      continue;
+    }
+    const content = renderTemplate(packContents[i], variables);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    await safeFileWrite(target, content, "utf8", { homeDir });
+    await recordTemplateBase(file.target, content, { projectDir, homeDir });
+    console.log(`• ${file.target} created (${file.description})`);
+    files.push({ path: file.target, status: "created" });
+    packFiles.push(file);
+  }
+  await recordTemplatePack(pack, template, packFiles, {
+    projectDir,
+    homeDir,
+    variables,
+  });
 
+  // Install agents to global Claude directory for /agents command discovery
+  const globalAgentsDir = path.join(homeDir, ".claude", "agents");
   const sourceAgentsDir = path.join(__dirname, "..", ".claude", "agents");
-  if (fs.existsSync(sourceAgentsDir)) {
+  if (installAgents && fs.existsSync(sourceAgentsDir)) {
+    fs.mkdirSync(globalAgentsDir, { recursive: true });
+
     const agentFiles = fs
       .readdirSync(sourceAgentsDir)
       .filter((f) => f.endsWith(".md"));
@@ -1532,7 +2386,8 @@ async function scaffoldProjectFiles() {
       }
 
       // Only install if not already present or if source is newer
-      let shouldInstall = !fs.existsSync(globalTargetPath);
+      const alreadyInstalled = fs.existsSync(globalTargetPath);
+      let shouldInstall = !alreadyInstalled;
       if (!shouldInstall) {
         const sourceStats = fs.statSync(sourcePath);
         const targetStats = fs.statSync(globalTargetPath);
@@ -1541,11 +2396,21 @@ async function scaffoldProjectFiles() {
 
       if (shouldInstall) {
         const agentContent = fs.readFileSync(sourcePath, "utf8");
-        await safeFileWrite(globalTargetPath, agentContent);
+        await safeFileWrite(globalTargetPath, agentContent, "utf8", {
+          homeDir,
+        });
         console.log(
           `• ~/.claude/agents/${agentFile} installed (globally available)`
         );
       }
+      files.push({
+        path: `~/.claude/agents/${agentFile}`,
+        status: !shouldInstall
+          ? "unchanged"
+          : alreadyInstalled
+            ? "updated"
+            : "created",
+      });
     }
 
     // Provide user instructions for agent registration
@@ -1559,35 +2424,62 @@ async function scaffoldProjectFiles() {
     );
   }
 
-  // .gitignore (append secret guardrails if missing)
-  const gi = path.join(PROJECT_DIR, ".gitignore");
-  const guard = [
-    "",
-    "# Claude Code secret guardrails",
-    ".env",
-    ".env.*",
-    "*.pem",
-    "*.key",
-    "**/secrets/**",
-    "**/credentials/**",
-    "**/.aws/**",
-    "**/.ssh/**",
-  ].join("\n");
+  if (updateGitignore) {
+    // .gitignore (append secret guardrails if missing)
+    const gi = path.join(projectDir, ".gitignore");
+    const guard = ["", ...GITIGNORE_GUARD_LINES].join("\n");
 
-  try {
-    let cur = "";
-    if (fs.existsSync(gi)) cur = fs.readFileSync(gi, "utf8");
-    if (!cur.includes("# Claude Code secret guardrails")) {
-      await safeFileWrite(gi, (cur ? cur.trimEnd() + "\n" : "") + guard + "\n");
-      console.log("• .gitignore updated with secret guardrails");
-    } else {
-      console.log("• .gitignore already includes secret guardrails");
+    try {
+      let cur = "";
+      const existed = fs.existsSync(gi);
+      if (existed) cur = fs.readFileSync(gi, "utf8");
+      if (!cur.includes("# Claude Code secret guardrails")) {
+        await safeFileWrite(
+          gi,
+          (cur ? cur.trimEnd() + "\n" : "") + guard + "\n",
+          "utf8",
+          { homeDir }
+        );
+        console.log("• .gitignore updated with secret guardrails");
+        files.push({ path: ".gitignore", status: "updated" });
+        // REQ-915: uninstall deletes the file only if init created it
+        ledger.push({
+          category: "gitignore",
+          path: gi,
+          projectDir: projectDir,
+          createdFile: !existed,
+        });
+      } else {
+        console.log("• .gitignore already includes secret guardrails");
+        files.push({ path: ".gitignore", status: "unchanged" });
+      }
+    } catch {
+      console.warn("! Skipped .gitignore update (permission or fs issue)");
+      files.push({ path: ".gitignore", status: "failed" });
     }
-  } catch {
-    console.warn("! Skipped .gitignore update (permission or fs issue)");
   }
 
+  // REQ-915: Created files and installed agents, with hashes so uninstall
+  // can tell whether they were edited since
+  for (const file of files) {
+    const agent = file.path.startsWith("~/.claude/agents/");
+    if (file.status !== "created" && !(agent && file.status === "updated")) {
+      continue;
+    }
+    const absolute = agent
+      ? path.join(globalAgentsDir, path.basename(file.path))
+      : path.join(projectDir, file.path);
+    ledger.push({
+      category: agent ? "agents" : "files",
+      path: absolute,
+      sha256: fileSha256(absolute),
+      ...(!agent && { projectDir: projectDir }),
+    });
+  }
+  await recordInstall(ledger, { homeDir });
+
   console.log("✅ Project scaffold complete.");
+  return files;
 }
 
 function checkVSCodeExtension() {
@@ -1703,362 +2595,4654 @@ function showPostSetupGuide() {
   console.log("\nReady to build something amazing with AI superpowers! 🚀✨\n");
 }
 
-function createChecksum(content) {
-  const crypto = require("crypto");
-  return crypto
-    .createHash("sha256")
-    .update(content, "utf8")
-    .digest("hex")
-    .slice(0, 16);
+// REQ-916: Audit log - one JSON line per change the CLI makes, in
+// options.homeDir unless QUICKSTART_AUDIT_LOG points somewhere else
+function auditLogPath(options = {}) {
+  if (process.env.QUICKSTART_AUDIT_LOG) {
+    return process.env.QUICKSTART_AUDIT_LOG;
+  }
+  const { homeDir = HOME } = options;
+  return path.join(homeDir, ".claude", "quickstart", "audit.jsonl");
 }
 
-function compareTemplates(currentContent, templateContent) {
-  if (currentContent === templateContent) {
-    return { status: "identical", needsUpdate: false };
+function fileChecksum(filePath) {
+  try {
+    return createChecksum(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return null;
   }
+}
 
-  // Simple heuristic: if current content contains our template markers, it's likely customized
-  const hasCustomizations =
-    currentContent !== templateContent &&
-    (currentContent.includes("# Claude Code Guidelines") ||
-      currentContent.includes("## Mental Model") ||
-      currentContent.includes("Domain:"));
+// REQ-916: Strip credentials from commands and error messages: known
+// values, --env KEY=value, --api-key/--token/--password arguments, URL
+// passwords and recognisable token formats. ${VAR} references are kept.
+function redactSecrets(text, secrets = []) {
+  let out = String(text);
+  for (const value of secrets) {
+    if (typeof value === "string" && value.length >= 4) {
+      out = out.split(value).join("***");
+    }
+  }
+  return out
+    .replace(/(--env\s+[A-Za-z_][A-Za-z0-9_]*=)(?!'?\$\{)\S+/g, "$1***")
+    .replace(/(--(?:api-key|token|password)[=\s]+)(?!'?\$\{)\S+/g, "$1***")
+    .replace(/(:\/\/[^:/\s@]+:)[^@\s]+@/g, "$1***@")
+    .replace(/\b(?:gh[ps]_[A-Za-z0-9]{20,}|sbp_[a-f0-9]{20,})\b/g, "***");
+}
 
-  return {
-    status: hasCustomizations ? "customized" : "outdated",
-    needsUpdate: true,
-    currentChecksum: createChecksum(currentContent),
-    templateChecksum: createChecksum(templateContent),
-  };
+function appendAuditEntry(entry, options = {}) {
+  const file = auditLogPath(options);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(
+      file,
+      JSON.stringify({
+        timestamp: new Date().toISOString(),
+        command: auditCommand,
+        ...entry,
+      }) + "\n",
+      { mode: 0o600 }
+    );
+  } catch (error) {
+    console.warn(`⚠️  Could not write the audit log: ${error.message}`);
+  }
 }
 
-async function analyzeCurrentTemplates() {
-  console.log("🔍 Analyzing current templates...\n");
+// REQ-916: Run a `claude mcp` command that changes configuration and audit
+// it, with the checksum of ~/.claude.json (where claude keeps user and local
+// servers) before and after. run() executes it; details: server, secrets,
+// homeDir.
+function auditedExec(command, run, details = {}) {
+  const target = path.join(details.homeDir || HOME, ".claude.json");
+  const entry = {
+    action: "exec",
+    exec: redactSecrets(command, details.secrets),
+    target,
+    ...(details.server && { server: details.server }),
+    checksumBefore: fileChecksum(target),
+  };
 
-  const results = [];
-  const templateFiles = [
-    {
-      path: "CLAUDE.md",
-      templateName: "CLAUDE.md",
-      description: "Development guidelines and coding standards",
-    },
-    {
-      path: "README.md",
-      templateName: "README.md",
-      description: "Project navigation and mental model",
-    },
-    {
-      path: ".claude/templates/domain-README.md",
-      templateName: "domain-README.md",
-      description: "Template for feature domain documentation",
-    },
-    {
-      path: ".claude/templates/.claude-context",
-      templateName: ".claude-context",
-      description: "Template for AI assistance in complex domains",
-    },
+  try {
+    const output = run();
+    appendAuditEntry(
+      { ...entry, checksumAfter: fileChecksum(target), status: "ok" },
+      details
+    );
+    return output;
+  } catch (error) {
+    appendAuditEntry(
+      {
+        ...entry,
+        checksumAfter: fileChecksum(target),
+        status: "failed",
+        error: redactSecrets(error.message, details.secrets),
+      },
+      details
+    );
+    throw error;
+  }
+}
+
+// REQ-916: Deletions are logged like writes, with no checksum after
+function removeAuditedFile(filePath, options = {}) {
+  const checksumBefore = fileChecksum(filePath);
+  fs.rmSync(filePath);
+  appendAuditEntry(
     {
-      path: ".claude/templates/CLAUDE.md",
-      templateName: "CLAUDE.md",
-      description: "Repository-specific CLAUDE.md template",
+      action: "delete",
+      target: filePath,
+      checksumBefore,
+      checksumAfter: null,
     },
-  ];
+    options
+  );
+}
 
-  for (const file of templateFiles) {
-    const fullPath = path.join(PROJECT_DIR, file.path);
-    const templatePath = path.join(TEMPLATES, file.templateName);
+// REQ-916: `since` is a duration (30m, 12h, 7d) or anything Date.parse reads
+function parseSince(value, now = Date.now()) {
+  const duration = /^(\d+)([mhd])$/.exec(value);
+  if (duration) {
+    const unit = { m: 60e3, h: 3600e3, d: 86400e3 }[duration[2]];
+    return now - Number(duration[1]) * unit;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(
+      `Invalid --since: ${value} (expected e.g. 7d, 12h or 2026-01-31)`
+    );
+  }
+  return time;
+}
 
-    if (!fs.existsSync(fullPath)) {
-      results.push({
-        ...file,
-        status: "missing",
-        needsUpdate: true,
-        action: "create",
-      });
-      continue;
-    }
+function readAuditLog(options = {}) {
+  const file = options.file || auditLogPath(options);
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+}
 
-    if (!fs.existsSync(templatePath)) {
-      console.log(`⚠️  Template ${file.templateName} not found in package`);
-      continue;
-    }
+// REQ-916: Filter audit entries - text matches target, command, server or
+// the executed command line; limit keeps the newest entries
+function filterAuditEntries(entries, filters = {}) {
+  const { text, since, limit } = filters;
+  const from = since ? parseSince(since) : null;
+  const needle = text ? text.toLowerCase() : null;
+
+  const matching = entries.filter(
+    (entry) =>
+      (from === null || Date.parse(entry.timestamp) >= from) &&
+      (!needle ||
+        [entry.target, entry.command, entry.server, entry.exec, entry.action]
+          .filter(Boolean)
+          .some((field) => String(field).toLowerCase().includes(needle)))
+  );
+  return limit ? matching.slice(-limit) : matching;
+}
 
-    const currentContent = fs.readFileSync(fullPath, "utf8");
-    const templateContent = fs.readFileSync(templatePath, "utf8");
+// REQ-916: `history [text] [--since 7d] [--limit n]`
+function showHistory(options = {}) {
+  const limit = options.limit === undefined ? 20 : Number(options.limit);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new Error(`Invalid --limit: ${options.limit}`);
+  }
+  const entries = filterAuditEntries(readAuditLog(options), {
+    text: options.text,
+    since: options.since,
+    limit,
+  });
 
-    const comparison = compareTemplates(currentContent, templateContent);
-    results.push({
-      ...file,
-      ...comparison,
-      action: comparison.needsUpdate ? "update" : "none",
-    });
+  console.log("📜 Change history\n");
+  if (entries.length === 0) {
+    console.log("  No matching changes recorded.");
+    return { entries };
   }
 
-  // Handle agent files separately since they're dynamic
-  const sourceAgentsDir = path.join(__dirname, "..", ".claude", "agents");
-  if (fs.existsSync(sourceAgentsDir)) {
-    const agentFiles = fs
-      .readdirSync(sourceAgentsDir)
-      .filter((f) => f.endsWith(".md"));
+  const home = options.homeDir || HOME;
+  const rows = entries.map((entry) => [
+    entry.timestamp.replace("T", " ").slice(0, 19),
+    entry.command,
+    entry.action,
+    entry.exec || String(entry.target).replace(home, "~"),
+    entry.status || "ok",
+    `${entry.checksumBefore || "-"} → ${entry.checksumAfter || "-"}`,
+  ]);
+  console.log(
+    formatTable(
+      ["TIME (UTC)", "COMMAND", "ACTION", "TARGET", "STATUS", "CHECKSUM"],
+      rows
+    )
+  );
+  return { entries };
+}
 
-    for (const agentFile of agentFiles) {
-      const agentPath = path.join(PROJECT_DIR, ".claude", "agents", agentFile);
-      const sourceAgentPath = path.join(sourceAgentsDir, agentFile);
+// REQ-917: Snapshot store - point-in-time copies of Claude configuration,
+// taken before mutating commands and restored by `rollback <id>`
+const SNAPSHOT_LIMIT = 20;
 
-      if (!fs.existsSync(agentPath)) {
-        results.push({
-          path: `.claude/agents/${agentFile}`,
-          templateName: agentFile,
-          description: `Agent definition: ${agentFile.replace(".md", "")}`,
-          status: "missing",
-          needsUpdate: true,
-          action: "create",
-        });
-      } else {
-        const currentContent = fs.readFileSync(agentPath, "utf8");
-        const templateContent = fs.readFileSync(sourceAgentPath, "utf8");
+function snapshotsDir(options = {}) {
+  const { homeDir = HOME } = options;
+  return path.join(homeDir, ".claude", "quickstart", "snapshots");
+}
 
-        const comparison = compareTemplates(currentContent, templateContent);
-        results.push({
-          path: `.claude/agents/${agentFile}`,
-          templateName: agentFile,
-          description: `Agent definition: ${agentFile.replace(".md", "")}`,
-          ...comparison,
-          action: comparison.needsUpdate ? "update" : "none",
-        });
-      }
-    }
+function listAgentFiles(dir) {
+  try {
+    return fs
+      .readdirSync(dir)
+      .filter((file) => file.endsWith(".md"))
+      .sort()
+      .map((file) => path.join(dir, file));
+  } catch {
+    return [];
   }
+}
 
-  return results;
+// REQ-917: Settings, .mcp.json, CLAUDE.md and agents at user and project
+// level. Missing files are listed too so a rollback can remove them again.
+function snapshotTargets(options = {}) {
+  const { homeDir = HOME, projectDir = PROJECT_DIR, extraFiles = [] } = options;
+  const userDir = path.join(homeDir, ".claude");
+  const projDir = path.join(projectDir, ".claude");
+  return {
+    agentDirs: [path.join(userDir, "agents"), path.join(projDir, "agents")],
+    files: [
+      ...new Set([
+        path.join(userDir, "settings.json"),
+        path.join(userDir, "settings.local.json"),
+        path.join(userDir, "CLAUDE.md"),
+        path.join(projDir, "settings.json"),
+        path.join(projDir, "settings.local.json"),
+        path.join(projectDir, ".mcp.json"),
+        path.join(projectDir, "CLAUDE.md"),
+        ...listAgentFiles(path.join(userDir, "agents")),
+        ...listAgentFiles(path.join(projDir, "agents")),
+        ...extraFiles.map((file) => path.resolve(projectDir, file)),
+      ]),
+    ],
+  };
 }
 
-async function showTemplateStatus(results) {
-  console.log("📋 Template Status:\n");
+function listSnapshots(options = {}) {
+  const dir = snapshotsDir(options);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .flatMap((id) => {
+      try {
+        return [
+          JSON.parse(
+            fs.readFileSync(path.join(dir, id, "manifest.json"), "utf8")
+          ),
+        ];
+      } catch {
+        return []; // Incomplete snapshot: the manifest is written last
+      }
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
 
-  let needsAttention = 0;
+// REQ-917: Copy the current configuration into a new snapshot. Returns the
+// manifest; the latest snapshot is reused when nothing changed since.
+function createSnapshot(options = {}) {
+  const { command = auditCommand, projectDir = PROJECT_DIR } = options;
+
+  const targets = snapshotTargets(options);
+  const files = targets.files.map((file) => {
+    const content = fs.existsSync(file) ? fs.readFileSync(file) : null;
+    return {
+      path: file,
+      content,
+      checksum: content === null ? null : createChecksum(content),
+      // Copies are private (0600); the original mode is put back on restore
+      mode: content === null ? null : fs.statSync(file).mode & 0o777,
+    };
+  });
 
-  for (const result of results) {
-    const icon =
-      result.status === "identical"
-        ? "✅"
-        : result.status === "missing"
-          ? "❌"
-          : result.status === "customized"
-            ? "🔧"
-            : "⚠️";
+  const fingerprint = (list) =>
+    JSON.stringify(list.map((file) => [file.path, file.checksum]));
+  const latest = listSnapshots(options)[0];
+  if (
+    latest &&
+    latest.projectDir === projectDir &&
+    fingerprint(latest.files) === fingerprint(files)
+  ) {
+    return { ...latest, reused: true };
+  }
 
-    console.log(`${icon} ${result.path}`);
-    console.log(`   ${result.description}`);
-    console.log(`   Status: ${result.status}`);
+  const createdAt = new Date().toISOString();
+  const id = `${createdAt.replace(/[-:]/g, "").slice(0, 15)}-${require("node:crypto").randomBytes(2).toString("hex")}`;
+  const snapshotDir = path.join(snapshotsDir(options), id);
+  fs.mkdirSync(path.join(snapshotDir, "files"), {
+    recursive: true,
+    mode: 0o700,
+  });
 
-    if (result.needsUpdate) {
-      needsAttention++;
-      if (result.status === "missing") {
-        console.log("   Action: Will be created");
-      } else if (result.status === "customized") {
-        console.log("   Action: Manual review recommended");
-      } else {
-        console.log("   Action: Can be updated");
+  const manifest = {
+    version: 1,
+    id,
+    createdAt,
+    command,
+    projectDir,
+    agentDirs: targets.agentDirs,
+    files: files.map((file, index) => {
+      if (file.content === null) {
+        return { path: file.path, checksum: null };
       }
-    }
-    console.log("");
-  }
+      const copy = String(index);
+      fs.writeFileSync(path.join(snapshotDir, "files", copy), file.content, {
+        mode: 0o600,
+      });
+      return {
+        path: file.path,
+        checksum: file.checksum,
+        copy,
+        mode: file.mode,
+      };
+    }),
+  };
+  fs.writeFileSync(
+    path.join(snapshotDir, "manifest.json"),
+    JSON.stringify(manifest, null, 2) + "\n"
+  );
 
-  return needsAttention;
+  for (const old of listSnapshots(options).slice(SNAPSHOT_LIMIT)) {
+    fs.rmSync(path.join(snapshotsDir(options), old.id), {
+      recursive: true,
+      force: true,
+    });
+  }
+  return manifest;
 }
 
-async function selectTemplatesForUpdate(results) {
-  const updateable = results.filter((r) => r.needsUpdate);
-  if (updateable.length === 0) return [];
+// REQ-917: Snapshot ids can be shortened to any unique prefix
+function findSnapshot(id, options = {}) {
+  if (!id) {
+    throw new Error(
+      "Usage: rollback <snapshot-id> (run `snapshots` to list them)"
+    );
+  }
+  const matches = listSnapshots(options).filter((snapshot) =>
+    snapshot.id.startsWith(id)
+  );
+  if (matches.length === 0) {
+    throw new Error(`Unknown snapshot: ${id} (run \`snapshots\` to list them)`);
+  }
+  if (matches.length > 1 && !matches.some((snapshot) => snapshot.id === id)) {
+    throw new Error(
+      `Snapshot id ${id} is ambiguous: ${matches.map((s) => s.id).join(", ")}`
+    );
+  }
+  return matches.find((snapshot) => snapshot.id === id) || matches[0];
+}
+
+// REQ-917: restore files that differ, remove files (and agents) that the
+// snapshot didn't have
+function planRollback(manifest) {
+  const known = new Set(manifest.files.map((file) => file.path));
+  const plan = manifest.files.map((file) => {
+    const current = fileChecksum(file.path);
+    if (current === file.checksum) return { ...file, action: "unchanged" };
+    return { ...file, action: file.copy ? "restore" : "remove" };
+  });
+  for (const dir of manifest.agentDirs || []) {
+    for (const agent of listAgentFiles(dir)) {
+      if (!known.has(agent)) {
+        plan.push({ path: agent, checksum: null, action: "remove" });
+      }
+    }
+  }
+  return plan;
+}
+
+// REQ-917: Hold the file lock on every path while fn runs
+async function withFileLocks(paths, fn) {
+  if (paths.length === 0) return fn();
+  const [first, ...rest] = paths;
+  fs.mkdirSync(path.dirname(first), { recursive: true });
+  return safeConfigUpdate(first, () => withFileLocks(rest, fn));
+}
+
+// REQ-917: Stage every restored file next to its target before touching
+// anything, then rename them into place. A failed stage changes nothing.
+function applyRollback(snapshotDir, steps, options = {}) {
+  const staged = [];
+  try {
+    for (const step of steps.filter((s) => s.action === "restore")) {
+      const tempPath = `${step.path}.rollback.${process.pid}`;
+      fs.mkdirSync(path.dirname(step.path), { recursive: true });
+      fs.copyFileSync(path.join(snapshotDir, "files", step.copy), tempPath);
+      staged.push({ step, tempPath });
+      // Snapshots taken before modes were recorded keep the copy's 0600
+      if (step.mode != null) fs.chmodSync(tempPath, step.mode);
+    }
+  } catch (error) {
+    for (const { tempPath } of staged) fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+
+  for (const { step, tempPath } of staged) {
+    const checksumBefore = fileChecksum(step.path);
+    fs.renameSync(tempPath, step.path);
+    appendAuditEntry(
+      {
+        action: "restore",
+        target: step.path,
+        checksumBefore,
+        checksumAfter: step.checksum,
+      },
+      options
+    );
+  }
+  for (const step of steps.filter((s) => s.action === "remove")) {
+    removeAuditedFile(step.path, options);
+  }
+}
+
+// REQ-917: `rollback <id>` - put the snapshot's files back under the file
+// lock. The current state is snapshotted first so the rollback can be undone.
+async function rollbackSnapshot(id, options = {}) {
+  const { askFn = ask, yes = false, dryRun = false } = options;
+  const manifest = findSnapshot(id, options);
+  const steps = planRollback(manifest).filter(
+    (step) => step.action !== "unchanged"
+  );
+  const result = {
+    id: manifest.id,
+    dryRun,
+    restored: steps.filter((s) => s.action === "restore").map((s) => s.path),
+    removed: steps.filter((s) => s.action === "remove").map((s) => s.path),
+  };
+
+  console.log(
+    `⏪ Snapshot ${manifest.id} (${manifest.createdAt}, before \`${manifest.command}\`)\n`
+  );
+  if (steps.length === 0) {
+    console.log("  Nothing to do - the files already match this snapshot.");
+    return result;
+  }
+  const home = options.homeDir || HOME;
+  for (const step of steps) {
+    const verb = step.action === "restore" ? "restore" : "remove ";
+    console.log(`  ${verb} ${step.path.replace(home, "~")}`);
+  }
+  if (dryRun) {
+    console.log("\nDry run - nothing changed.");
+    return result;
+  }
+  if (!yes) {
+    const answer = await askFn("\nRoll back these files? (y/N) ", "n");
+    if (!answer.toLowerCase().startsWith("y")) {
+      console.log("Cancelled - nothing changed.");
+      return { ...result, cancelled: true };
+    }
+  }
+
+  const undo = createSnapshot({
+    ...options,
+    projectDir: manifest.projectDir,
+    command: `rollback ${manifest.id}`,
+    extraFiles: steps.map((step) => step.path),
+  });
+  const snapshotDir = path.join(snapshotsDir(options), manifest.id);
+  await withFileLocks(
+    steps.map((step) => step.path),
+    async () => applyRollback(snapshotDir, steps, options)
+  );
+
+  console.log(`\n✅ Rolled back to ${manifest.id}`);
+  if (undo) {
+    console.log(`   Undo with: npx claude-code-quickstart rollback ${undo.id}`);
+  }
+  return { ...result, ...(undo && { undoSnapshot: undo.id }) };
+}
+
+// REQ-917: `snapshots` - newest first
+function showSnapshots(options = {}) {
+  const snapshots = listSnapshots(options);
+  console.log("📸 Configuration snapshots\n");
+  if (snapshots.length === 0) {
+    console.log("  No snapshots yet - one is taken before each change.");
+    return { snapshots: [] };
+  }
+  const home = options.homeDir || HOME;
+  console.log(
+    formatTable(
+      ["ID", "CREATED (UTC)", "BEFORE", "PROJECT", "FILES"],
+      snapshots.map((snapshot) => [
+        snapshot.id,
+        snapshot.createdAt.replace("T", " ").slice(0, 19),
+        snapshot.command,
+        snapshot.projectDir.replace(home, "~"),
+        String(snapshot.files.filter((file) => file.copy).length),
+      ])
+    )
+  );
+  console.log(
+    "\n💡 Restore one with: npx claude-code-quickstart rollback <id>"
+  );
+  return {
+    snapshots: snapshots.map(
+      ({ id, createdAt, command, projectDir, files }) => ({
+        id,
+        createdAt,
+        command,
+        projectDir,
+        files: files.filter((file) => file.copy).map((file) => file.path),
+      })
+    ),
+  };
+}
+
+function createChecksum(content) {
+  const crypto = require("crypto");
+  return crypto
+    .createHash("sha256")
+    .update(content, "utf8")
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// REQ-918: Template base store - the template each scaffolded file was
+// created or last updated from, kept in the project so update-templates can
+// tell the user's edits from template changes
+function templateBasePath(relPath, options = {}) {
+  const { projectDir = PROJECT_DIR } = options;
+  return path.join(
+    projectDir,
+    ".claude",
+    "quickstart",
+    "template-base",
+    relPath
+  );
+}
+
+function readTemplateBase(relPath, options = {}) {
+  try {
+    return fs.readFileSync(templateBasePath(relPath, options), "utf8");
+  } catch {
+    return null;
+  }
+}
+
+async function recordTemplateBase(relPath, content, options = {}) {
+  if (readTemplateBase(relPath, options) === content) return;
+  const file = templateBasePath(relPath, options);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  await safeFileWrite(file, content, "utf8", options);
+  await recordQuickstartFile(file, options);
+}
+
+// REQ-920: Template packs - a directory with a pack.json listing the files
+// it scaffolds (source in the pack, target in the project) and their
+// versions. "default" is templates/ itself; named packs are looked up in the
+// project, then the user's packs, then the ones shipped in templates/packs.
+// A path (./packs/acme) loads a pack from any local directory.
+const DEFAULT_TEMPLATE_PACK = "default";
+const PACK_VERSION_PATTERN = /^\d+\.\d+\.\d+(?:[-+][0-9A-Za-z.-]+)?$/;
+
+function templatePackDirs(options = {}) {
+  const { projectDir = PROJECT_DIR, homeDir = HOME } = options;
+  return [
+    path.join(projectDir, ".claude", "quickstart", "packs"),
+    path.join(homeDir, ".claude", "quickstart", "packs"),
+    path.join(TEMPLATES, "packs"),
+  ];
+}
+
+function isTemplatePackPath(ref) {
+  return ref.startsWith(".") || ref.startsWith("~") || /[\\/]/.test(ref);
+}
+
+function listTemplatePacks(options = {}) {
+  const packs = new Map();
+  const add = (name, dir) => {
+    if (packs.has(name) || !fs.existsSync(path.join(dir, "pack.json"))) return;
+    try {
+      const pack = JSON.parse(
+        fs.readFileSync(path.join(dir, "pack.json"), "utf8")
+      );
+      packs.set(name, {
+        name,
+        version: pack.version,
+        description: pack.description || "",
+        dir,
+      });
+    } catch {
+      // Broken packs are reported when someone selects them
+    }
+  };
+  for (const root of templatePackDirs(options)) {
+    if (!fs.existsSync(root)) continue;
+    for (const name of fs.readdirSync(root).sort()) {
+      add(name, path.join(root, name));
+    }
+  }
+  add(DEFAULT_TEMPLATE_PACK, TEMPLATES);
+  // The default pack leads the list
+  return [...packs.values()].sort(
+    (a, b) =>
+      (b.name === DEFAULT_TEMPLATE_PACK) - (a.name === DEFAULT_TEMPLATE_PACK)
+  );
+}
+
+// Directory of a pack. Path references resolve against `baseDir` (the
+// project, or the pack doing the extending).
+function resolveTemplatePack(ref, options = {}) {
+  const {
+    projectDir = PROJECT_DIR,
+    homeDir = HOME,
+    baseDir = projectDir,
+  } = options;
+  if (isTemplatePackPath(ref)) {
+    const dir = ref.startsWith("~")
+      ? path.join(homeDir, ref.slice(1))
+      : path.resolve(baseDir, ref);
+    if (!fs.existsSync(path.join(dir, "pack.json"))) {
+      throw new Error(`Template pack not found: ${dir} has no pack.json`);
+    }
+    return dir;
+  }
+  const found = listTemplatePacks(options).find((pack) => pack.name === ref);
+  if (!found) {
+    const names = listTemplatePacks(options).map((pack) => pack.name);
+    throw new Error(
+      `Unknown template pack "${ref}". Available: ${names.join(", ")}`
+    );
+  }
+  return found.dir;
+}
+
+function validateTemplatePack(pack, dir) {
+  if (!pack || typeof pack !== "object" || Array.isArray(pack)) {
+    throw new Error(`Invalid template pack in ${dir}: must be a JSON object`);
+  }
+
+  const errors = [];
+  if (typeof pack.name !== "string" || pack.name.trim() === "") {
+    errors.push("name is required");
+  }
+  if (!PACK_VERSION_PATTERN.test(pack.version || "")) {
+    errors.push("version must be a semantic version such as 1.0.0");
+  }
+  if (pack.extends !== undefined && typeof pack.extends !== "string") {
+    errors.push("extends must be the name or path of another pack");
+  }
+  if (!Array.isArray(pack.files)) {
+    errors.push("files must be an array");
+  }
+  // REQ-921: Defaults for {{variables}} nothing else fills in
+  if (
+    pack.variables !== undefined &&
+    (!pack.variables ||
+      typeof pack.variables !== "object" ||
+      Array.isArray(pack.variables) ||
+      !Object.values(pack.variables).every((v) => typeof v === "string"))
+  ) {
+    errors.push("variables must map variable names to strings");
+  }
+
+  const targets = new Set();
+  (Array.isArray(pack.files) ? pack.files : []).forEach((file, i) => {
+    const where = `files[${i}]`;
+    if (!file || typeof file !== "object") {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (typeof file.source !== "string" || file.source === "") {
+      errors.push(`${where}.source is required`);
+    } else if (
+      path.relative(dir, path.resolve(dir, file.source)).startsWith("..")
+    ) {
+      errors.push(`${where}.source must stay inside the pack directory`);
+    }
+    if (typeof file.target !== "string" || file.target === "") {
+      errors.push(`${where}.target is required`);
+    } else {
+      const target = path.posix.normalize(file.target.replace(/\\/g, "/"));
+      if (path.isAbsolute(file.target) || target.startsWith("..")) {
+        errors.push(`${where}.target must be a path inside the project`);
+      } else if (target.startsWith(".claude/quickstart/")) {
+        errors.push(`${where}.target may not write quickstart's own state`);
+      } else if (targets.has(target)) {
+        errors.push(`${where}.target ${target} is listed twice`);
+      }
+      targets.add(target);
+    }
+    if (
+      file.version !== undefined &&
+      !PACK_VERSION_PATTERN.test(file.version)
+    ) {
+      errors.push(`${where}.version must be a semantic version`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid template pack "${pack.name || dir}":\n  • ${errors.join("\n  • ")}`
+    );
+  }
+}
+
+/**
+ * Load a template pack by name or path, with the files of the packs it
+ * extends. A file replaces the inherited one with the same target.
+ * Returns { name, version, description, dir, files: [{ target, source,
+ * sourcePath, version, description, pack }] }.
+ */
+function loadTemplatePack(ref = DEFAULT_TEMPLATE_PACK, options = {}) {
+  const { chain = [] } = options;
+  const dir = resolveTemplatePack(ref, options);
+  if (chain.includes(dir)) {
+    throw new Error(
+      `Template pack "${ref}" extends itself (${[...chain, dir].join(" → ")})`
+    );
+  }
+
+  let pack;
+  try {
+    pack = JSON.parse(fs.readFileSync(path.join(dir, "pack.json"), "utf8"));
+  } catch (error) {
+    throw new Error(
+      `Invalid template pack "${ref}": ${path.join(dir, "pack.json")} is not valid JSON (${error.message})`
+    );
+  }
+  validateTemplatePack(pack, dir);
+
+  const files = pack.files.map((file) => ({
+    target: path.posix.normalize(file.target.replace(/\\/g, "/")),
+    source: file.source,
+    sourcePath: path.resolve(dir, file.source),
+    version: file.version || pack.version,
+    description: file.description || file.target,
+    pack: pack.name,
+  }));
+
+  let inherited = [];
+  let variables = {};
+  if (pack.extends) {
+    const parent = loadTemplatePack(pack.extends, {
+      ...options,
+      baseDir: dir,
+      chain: [...chain, dir],
+    });
+    inherited = parent.files;
+    variables = parent.variables;
+  }
+  const own = new Map(files.map((file) => [file.target, file]));
+  const merged = inherited.map((file) => own.get(file.target) || file);
+  const added = files.filter(
+    (file) => !inherited.some((parent) => parent.target === file.target)
+  );
+
+  return {
+    name: pack.name,
+    version: pack.version,
+    description: pack.description || "",
+    dir,
+    variables: { ...variables, ...pack.variables },
+    files: [...merged, ...added],
+  };
+}
+
+// REQ-920: Which pack the project was scaffolded from and the version of
+// each file it installed, so update-templates compares against that pack
+function templatePackRecordPath(options = {}) {
+  const { projectDir = PROJECT_DIR } = options;
+  return path.join(projectDir, ".claude", "quickstart", "template-pack.json");
+}
+
+function readTemplatePackRecord(options = {}) {
+  try {
+    return JSON.parse(fs.readFileSync(templatePackRecordPath(options), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// `source` is what the pack was selected with (name or path); `files` the
+// pack files to mark as installed at their current version.
+// REQ-921: options.variables are added to the recorded template variables.
+async function recordTemplatePack(pack, source, files, options = {}) {
+  const file = templatePackRecordPath(options);
+  await updateJsonFile(
+    templatePackRecordPath(options),
+    (record) => {
+      const variables = { ...record.variables, ...options.variables };
+      return {
+        name: pack.name,
+        version: pack.version,
+        source,
+        files: {
+          ...(record.source === source ? record.files : {}),
+          ...Object.fromEntries(
+            files.map((file) => [file.target, file.version])
+          ),
+        },
+        ...(Object.keys(variables).length > 0 && { variables }),
+      };
+    },
+    options
+  );
+  await recordQuickstartFile(file, options);
+}
+
+// REQ-921: Template variables - {{name}} placeholders in pack files. Values
+// come from what was recorded for the project, then what can be detected
+// (package.json, lockfiles, pyproject.toml, go.mod, the directory tree), then
+// the user when prompting is allowed, then the pack's defaults.
+const TEMPLATE_VARIABLES = {
+  projectName: "Project name",
+  packageManager: "Package manager",
+  testCommand: "Test command",
+  lintCommand: "Lint command",
+  sourceDirs: "Source directories",
+};
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([A-Za-z]\w*)\s*\}\}/g;
+
+// Lockfiles in order of precedence (a repo can carry several)
+const LOCKFILE_MANAGERS = [
+  ["pnpm-lock.yaml", "pnpm"],
+  ["yarn.lock", "yarn"],
+  ["bun.lockb", "bun"],
+  ["bun.lock", "bun"],
+  ["package-lock.json", "npm"],
+  ["uv.lock", "uv"],
+  ["poetry.lock", "poetry"],
+  ["Pipfile.lock", "pipenv"],
+];
+const JS_MANAGERS = ["npm", "pnpm", "yarn", "bun"];
+
+// Top-level directories worth listing, and the ones whose subdirectories
+// are listed instead (src/auth/, packages/ui/)
+const SOURCE_DIRS = {
+  src: "Application code",
+  lib: "Library code",
+  app: "Application code",
+  apps: "Deployable applications",
+  packages: "Shared packages",
+  services: "Services",
+  cmd: "Entry points",
+  internal: "Private application code",
+  pkg: "Public packages",
+  server: "Server code",
+  client: "Client code",
+  api: "API layer",
+};
+const SOURCE_DIR_CONTAINERS = ["src", "apps", "packages", "services", "cmd"];
+const SOURCE_DIR_LIMIT = 12;
+
+function renderTemplate(content, variables = {}) {
+  return content.replace(TEMPLATE_VARIABLE_PATTERN, (match, name) =>
+    Object.hasOwn(variables, name) ? variables[name] : match
+  );
+}
+
+function templateVariableNames(contents) {
+  const names = new Set();
+  for (const content of contents) {
+    for (const match of content.matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+      names.add(match[1]);
+    }
+  }
+  return [...names];
+}
+
+// Markdown list of the project's source directories
+function detectSourceDirs(projectDir) {
+  const subdirs = (dir) => {
+    try {
+      return fs
+        .readdirSync(path.join(projectDir, dir), { withFileTypes: true })
+        .filter(
+          (entry) =>
+            entry.isDirectory() &&
+            !entry.name.startsWith(".") &&
+            !["node_modules", "__pycache__"].includes(entry.name)
+        )
+        .map((entry) => entry.name)
+        .sort();
+    } catch {
+      return [];
+    }
+  };
+
+  const lines = [];
+  for (const dir of subdirs(".")) {
+    const isPythonPackage = fs.existsSync(
+      path.join(projectDir, dir, "__init__.py")
+    );
+    if (!SOURCE_DIRS[dir] && !isPythonPackage) continue;
+    const children = SOURCE_DIR_CONTAINERS.includes(dir) ? subdirs(dir) : [];
+    if (children.length > 0) {
+      lines.push(...children.map((child) => `- \`${dir}/${child}/\``));
+    } else {
+      lines.push(`- \`${dir}/\` - ${SOURCE_DIRS[dir] || "Python package"}`);
+    }
+  }
+  return lines.slice(0, SOURCE_DIR_LIMIT).join("\n");
+}
+
+// REQ-922: Project stack detection - the ecosystems a project uses and the
+// commands it tests, lints, type-checks and builds with. Drives the
+// .claude/settings.json allow rules, the default template pack and the
+// template variables.
+const STACK_COMMAND_KINDS = ["test", "lint", "typecheck", "build"];
+
+// package.json scripts by kind ("test:unit" is a test script)
+const SCRIPT_KINDS = {
+  test: /^test(:|$)/,
+  lint: /^(lint|format:check|prettier:check)(:|$)/,
+  typecheck: /^(typecheck|type-check|check-types|tsc)(:|$)/,
+  build: /^build(:|$)/,
+};
+
+// Makefile targets by kind
+const MAKE_TARGET_KINDS = {
+  test: /^tests?([-_].+)?$/,
+  lint: /^(lint|vet|fmt-check|format-check|check)([-_].+)?$/,
+  typecheck: /^(typecheck|type-check|mypy)$/,
+  build: /^build([-_].+)?$/,
+};
+
+// Files that make a JavaScript project a monorepo
+const WORKSPACE_FILES = [
+  "pnpm-workspace.yaml",
+  "lerna.json",
+  "nx.json",
+  "turbo.json",
+];
+
+/**
+ * Detect the project's stack from package.json, lockfiles, pyproject.toml,
+ * requirements.txt, go.mod, Cargo.toml and the Makefile.
+ * Returns { name, stacks, packageManager, pack, commands } where commands
+ * maps test/lint/typecheck/build to [{ run, prefix }]: the command to run
+ * and the prefix an allow rule matches.
+ */
+function detectProjectStack(options = {}) {
+  const { projectDir = PROJECT_DIR } = options;
+  const has = (file) => fs.existsSync(path.join(projectDir, file));
+  const read = (file) => {
+    try {
+      return fs.readFileSync(path.join(projectDir, file), "utf8");
+    } catch {
+      return null;
+    }
+  };
+  let pkg = null;
+  try {
+    pkg = JSON.parse(read("package.json"));
+  } catch {
+    // No package.json, or not valid JSON
+  }
+  const pyproject = read("pyproject.toml");
+  const requirements = [
+    read("requirements.txt"),
+    read("requirements-dev.txt"),
+  ].join("\n");
+  const goMod = read("go.mod");
+  const cargo = read("Cargo.toml");
+  const makefile = read("Makefile");
+
+  const stack = {
+    name: null,
+    stacks: [],
+    packageManager: null,
+    pack: null,
+    commands: Object.fromEntries(STACK_COMMAND_KINDS.map((kind) => [kind, []])),
+  };
+  const add = (kind, run, prefix = run) => {
+    if (!stack.commands[kind].some((command) => command.prefix === prefix)) {
+      stack.commands[kind].push({ run, prefix });
+    }
+  };
+  const manifestName = (toml) =>
+    toml && /^name\s*=\s*["']([^"']+)["']/m.exec(toml)?.[1];
+  const goModule = goMod && /^module\s+(\S+)/m.exec(goMod);
+  stack.name =
+    (typeof pkg?.name === "string" && pkg.name) ||
+    manifestName(pyproject) ||
+    manifestName(cargo) ||
+    goModule?.[1].split("/").pop() ||
+    path.basename(path.resolve(projectDir));
+
+  // "packageManager": "pnpm@9.1.0" beats lockfiles
+  const lockfile = LOCKFILE_MANAGERS.find(([file]) => has(file))?.[1];
+
+  if (pkg) {
+    const declared =
+      typeof pkg.packageManager === "string"
+        ? pkg.packageManager.split("@")[0]
+        : null;
+    const manager =
+      declared || (JS_MANAGERS.includes(lockfile) ? lockfile : "npm");
+    const scripts = pkg.scripts || {};
+    const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+    stack.stacks.push("node");
+    stack.packageManager = manager;
+
+    // Shorter names first, so `test` comes before `test:unit`
+    for (const script of Object.keys(scripts).sort(
+      (a, b) => a.length - b.length
+    )) {
+      // npm's placeholder test script only prints an error
+      if (String(scripts[script]).includes("no test specified")) continue;
+      const kind = STACK_COMMAND_KINDS.find((k) =>
+        SCRIPT_KINDS[k].test(script)
+      );
+      if (!kind) continue;
+      add(
+        kind,
+        script === "test" && manager !== "bun"
+          ? `${manager} test`
+          : `${manager} run ${script}`
+      );
+    }
+    if (deps.vitest) add("test", "npx vitest");
+    if (deps.jest) add("test", "npx jest");
+    const typescript = Boolean(deps.typescript) || has("tsconfig.json");
+    if (typescript && stack.commands.typecheck.length === 0) {
+      add("typecheck", "npx tsc --noEmit");
+    }
+    stack.pack =
+      pkg.workspaces || WORKSPACE_FILES.some(has)
+        ? "monorepo"
+        : typescript
+          ? "node-ts"
+          : null;
+  }
+
+  if (pyproject || requirements.trim() || has("setup.py")) {
+    const manager =
+      lockfile && !JS_MANAGERS.includes(lockfile) ? lockfile : "pip";
+    const tools = `${pyproject || ""}\n${requirements}`;
+    const runner = manager === "pip" ? "" : `${manager} run `;
+    stack.stacks.push("python");
+    stack.packageManager ||= manager;
+    stack.pack ||= "python";
+
+    if (/\bpytest\b/.test(tools) || has("pytest.ini")) {
+      add("test", `${runner}pytest`);
+    }
+    if (/\bruff\b/.test(tools) || has("ruff.toml")) {
+      add("lint", `${runner}ruff check .`, `${runner}ruff check`);
+      add(
+        "lint",
+        `${runner}ruff format --check .`,
+        `${runner}ruff format --check`
+      );
+    }
+    if (/\bflake8\b/.test(tools) || has(".flake8")) {
+      add("lint", `${runner}flake8`);
+    }
+    if (/\bmypy\b/.test(tools))
+      add("typecheck", `${runner}mypy .`, `${runner}mypy`);
+    if (/\bpyright\b/.test(tools)) add("typecheck", `${runner}pyright`);
+  }
+
+  if (goMod) {
+    stack.stacks.push("go");
+    stack.packageManager ||= "go";
+    stack.pack ||= "go";
+    add("test", "go test ./...", "go test");
+    if (has(".golangci.yml") || has(".golangci.yaml")) {
+      add("lint", "golangci-lint run");
+    }
+    add("lint", "go vet ./...", "go vet");
+    add("build", "go build ./...", "go build");
+  }
+
+  if (cargo) {
+    stack.stacks.push("rust");
+    stack.packageManager ||= "cargo";
+    stack.pack ||= "rust";
+    add("test", "cargo test");
+    add("lint", "cargo clippy");
+    add("lint", "cargo fmt --check");
+    add("typecheck", "cargo check");
+    add("build", "cargo build");
+  }
+
+  if (makefile) {
+    for (const [, target] of makefile.matchAll(
+      /^([A-Za-z][\w.-]*)\s*:(?!=)/gm
+    )) {
+      const kind = STACK_COMMAND_KINDS.find((k) =>
+        MAKE_TARGET_KINDS[k].test(target)
+      );
+      if (kind) add(kind, `make ${target}`);
+    }
+  }
+
+  return stack;
+}
+
+// REQ-922: Bash allow rules for the detected commands; each matches the
+// command with any extra arguments
+function stackAllowRules(stack) {
+  const rules = STACK_COMMAND_KINDS.flatMap((kind) =>
+    stack.commands[kind].map((command) => `Bash(${command.prefix}*)`)
+  );
+  return [...new Set(rules)];
+}
+
+// REQ-922: templates/project-settings.json with its generic Bash allow rules
+// replaced by the project's own commands. Unchanged when none were found.
+function projectSettingsContent(stack) {
+  const template = TEMPLATE("project-settings.json");
+  const rules = stackAllowRules(stack);
+  if (rules.length === 0) return template;
+  const settings = JSON.parse(template);
+  settings.permissions.allow = [
+    ...settings.permissions.allow.filter((rule) => !rule.startsWith("Bash(")),
+    ...rules,
+  ];
+  return JSON.stringify(settings, null, 2) + "\n";
+}
+
+/**
+ * Variables that can be read from the project: projectName, packageManager,
+ * testCommand, lintCommand and sourceDirs. Anything not found is left out.
+ */
+function detectTemplateVariables(options = {}) {
+  const { projectDir = PROJECT_DIR } = options;
+  // REQ-922: The first test and lint commands of the detected stack
+  const stack = detectProjectStack(options);
+  const variables = { projectName: stack.name };
+  if (stack.packageManager) variables.packageManager = stack.packageManager;
+  if (stack.commands.test.length > 0) {
+    variables.testCommand = stack.commands.test[0].run;
+  }
+  if (stack.commands.lint.length > 0) {
+    variables.lintCommand = stack.commands.lint[0].run;
+  }
+
+  const sourceDirs = detectSourceDirs(projectDir);
+  if (sourceDirs) variables.sourceDirs = sourceDirs;
+  return variables;
+}
+
+/**
+ * Values for the variables `contents` use. `recorded` (from an earlier run)
+ * wins, then detection; with `prompt` the user is asked for the rest, with
+ * the pack's default offered. Variables nothing fills stay as {{name}}.
+ */
+async function resolveTemplateVariables(pack, contents, options = {}) {
+  const { prompt = false, askFn = ask, recorded = {} } = options;
+  const detected = detectTemplateVariables(options);
+  const defaults = pack.variables || {};
+  const values = {};
+
+  for (const name of templateVariableNames(contents)) {
+    if (Object.hasOwn(recorded, name)) {
+      values[name] = recorded[name];
+    } else if (Object.hasOwn(detected, name)) {
+      values[name] = detected[name];
+    } else if (prompt && name !== "sourceDirs") {
+      const fallback = defaults[name] || "";
+      values[name] =
+        (await askFn(
+          `${TEMPLATE_VARIABLES[name] || name} for CLAUDE.md/README.md?`,
+          fallback
+        )) || fallback;
+    } else if (Object.hasOwn(defaults, name)) {
+      values[name] = defaults[name];
+    }
+  }
+  return values;
+}
+
+// REQ-918: The base for merging a file - the recorded one, or the lines the
+// file and template share when none was recorded
+function mergeTemplate(currentContent, templateContent, baseContent = null) {
+  const base =
+    baseContent === null
+      ? commonLines(currentContent, templateContent)
+      : baseContent;
+  return threeWayMerge(base, currentContent, templateContent);
+}
+
+function compareTemplates(currentContent, templateContent, baseContent = null) {
+  if (currentContent === templateContent) {
+    return { status: "identical", needsUpdate: false };
+  }
+
+  const checksums = {
+    currentChecksum: createChecksum(currentContent),
+    templateChecksum: createChecksum(templateContent),
+  };
+
+  // REQ-918: With a recorded base we know which side changed
+  if (baseContent !== null) {
+    if (currentContent === baseContent) {
+      return { status: "outdated", needsUpdate: true, ...checksums };
+    }
+    if (templateContent === baseContent) {
+      // Only the user's edits differ; nothing new upstream
+      return { status: "customized", needsUpdate: false, ...checksums };
+    }
+    const { conflicts } = mergeTemplate(
+      currentContent,
+      templateContent,
+      baseContent
+    );
+    return {
+      status: "customized",
+      needsUpdate: true,
+      merge: "three-way",
+      conflicts,
+      ...checksums,
+    };
+  }
+
+  // Simple heuristic: if current content contains our template markers, it's likely customized
+  const hasCustomizations =
+    currentContent !== templateContent &&
+    (currentContent.includes("# Claude Code Guidelines") ||
+      currentContent.includes("## Mental Model") ||
+      currentContent.includes("Domain:"));
+
+  if (hasCustomizations) {
+    return {
+      status: "customized",
+      needsUpdate: true,
+      merge: "no-base",
+      conflicts: mergeTemplate(currentContent, templateContent).conflicts,
+      ...checksums,
+    };
+  }
+  return { status: "outdated", needsUpdate: true, ...checksums };
+}
+
+// Agent files come from the package's .claude/agents, the rest from the
+// template pack (REQ-920)
+function templateSourcePath(templateInfo) {
+  if (templateInfo.sourcePath) return templateInfo.sourcePath;
+  if (templateInfo.path.startsWith(".claude/agents/")) {
+    return path.join(
+      __dirname,
+      "..",
+      ".claude",
+      "agents",
+      templateInfo.templateName
+    );
+  }
+  return path.join(TEMPLATES, templateInfo.templateName);
+}
+
+// REQ-921: What a template writes - pack files rendered with the project's
+// template variables
+function templateContentFor(templateInfo) {
+  return renderTemplate(
+    fs.readFileSync(templateSourcePath(templateInfo), "utf8"),
+    templateInfo.variables
+  );
+}
+
+async function analyzeCurrentTemplates() {
+  console.log("🔍 Analyzing current templates...\n");
+
+  const results = [];
+  // REQ-920: Compare against the pack the project was scaffolded from
+  const record = readTemplatePackRecord();
+  let pack;
+  try {
+    pack = loadTemplatePack(record?.source || DEFAULT_TEMPLATE_PACK);
+  } catch (error) {
+    console.log(`⚠️  ${error.message}\n   Comparing with the default pack\n`);
+    pack = loadTemplatePack(DEFAULT_TEMPLATE_PACK);
+  }
+  console.log(`📦 Template pack: ${pack.name} ${pack.version}\n`);
+  const installedVersions =
+    record?.name === pack.name ? record.files || {} : {};
+  // REQ-921: Render with the values the files were scaffolded with
+  const variables = await resolveTemplateVariables(
+    pack,
+    pack.files
+      .filter((file) => fs.existsSync(file.sourcePath))
+      .map((file) => fs.readFileSync(file.sourcePath, "utf8")),
+    { recorded: record?.variables }
+  );
+  const templateFiles = pack.files.map((file) => ({
+    path: file.target,
+    templateName: file.source,
+    sourcePath: file.sourcePath,
+    description: file.description,
+    version: file.version,
+    variables,
+    ...(installedVersions[file.target] && {
+      installedVersion: installedVersions[file.target],
+    }),
+  }));
+
+  for (const file of templateFiles) {
+    const fullPath = path.join(PROJECT_DIR, file.path);
+    const templatePath = file.sourcePath;
+
+    if (!fs.existsSync(fullPath)) {
+      results.push({
+        ...file,
+        status: "missing",
+        needsUpdate: true,
+        action: "create",
+      });
+      continue;
+    }
+
+    if (!fs.existsSync(templatePath)) {
+      console.log(`⚠️  Template ${file.templateName} not found in package`);
+      continue;
+    }
+
+    const currentContent = fs.readFileSync(fullPath, "utf8");
+    const templateContent = templateContentFor(file);
+
+    const comparison = compareTemplates(
+      currentContent,
+      templateContent,
+      readTemplateBase(file.path)
+    );
+    results.push({
+      ...file,
+      ...comparison,
+      action: comparison.needsUpdate ? "update" : "none",
+    });
+  }
+
+  // Handle agent files separately since they're dynamic
+  const sourceAgentsDir = path.join(__dirname, "..", ".claude", "agents");
+  if (fs.existsSync(sourceAgentsDir)) {
+    const agentFiles = fs
+      .readdirSync(sourceAgentsDir)
+      .filter((f) => f.endsWith(".md"));
+
+    for (const agentFile of agentFiles) {
+      const agentPath = path.join(PROJECT_DIR, ".claude", "agents", agentFile);
+      const sourceAgentPath = path.join(sourceAgentsDir, agentFile);
+
+      if (!fs.existsSync(agentPath)) {
+        results.push({
+          path: `.claude/agents/${agentFile}`,
+          templateName: agentFile,
+          description: `Agent definition: ${agentFile.replace(".md", "")}`,
+          status: "missing",
+          needsUpdate: true,
+          action: "create",
+        });
+      } else {
+        const currentContent = fs.readFileSync(agentPath, "utf8");
+        const templateContent = fs.readFileSync(sourceAgentPath, "utf8");
+
+        const comparison = compareTemplates(
+          currentContent,
+          templateContent,
+          readTemplateBase(`.claude/agents/${agentFile}`)
+        );
+        results.push({
+          path: `.claude/agents/${agentFile}`,
+          templateName: agentFile,
+          description: `Agent definition: ${agentFile.replace(".md", "")}`,
+          ...comparison,
+          action: comparison.needsUpdate ? "update" : "none",
+        });
+      }
+    }
+  }
+
+  return results;
+}
+
+async function showTemplateStatus(results) {
+  console.log("📋 Template Status:\n");
+
+  let needsAttention = 0;
+
+  for (const result of results) {
+    const icon =
+      result.status === "identical"
+        ? "✅"
+        : result.status === "missing"
+          ? "❌"
+          : result.status === "customized"
+            ? "🔧"
+            : "⚠️";
+
+    console.log(`${icon} ${result.path}`);
+    console.log(`   ${result.description}`);
+    console.log(`   Status: ${result.status}`);
+    // REQ-920: The pack shipped a new version of this file
+    if (result.installedVersion && result.installedVersion !== result.version) {
+      console.log(`   Version: ${result.installedVersion} → ${result.version}`);
+    }
+
+    if (result.needsUpdate) {
+      needsAttention++;
+      if (result.status === "missing") {
+        console.log("   Action: Will be created");
+      } else if (result.merge === "three-way") {
+        // REQ-918: Recorded base - merge keeps the user's edits
+        console.log(
+          `   Action: Three-way merge keeps your edits${result.conflicts ? ` (${result.conflicts} conflict${result.conflicts === 1 ? "" : "s"} to resolve)` : ""}`
+        );
+      } else if (result.status === "customized") {
+        console.log(
+          `   Action: Manual review recommended (no recorded base - ${result.conflicts} differing section${result.conflicts === 1 ? "" : "s"} will get conflict markers)`
+        );
+      } else {
+        console.log("   Action: Can be updated");
+      }
+    }
+    console.log("");
+  }
+
+  return needsAttention;
+}
+
+async function selectTemplatesForUpdate(results) {
+  const updateable = results.filter((r) => r.needsUpdate);
+  if (updateable.length === 0) return [];
 
   console.log("🎯 Select templates to update:\n");
 
-  const choices = [];
-  for (let i = 0; i < updateable.length; i++) {
-    const result = updateable[i];
-    const recommendation =
-      result.status === "customized" ? " (⚠️  has customizations)" : "";
-    console.log(`  ${i + 1}) ${result.path}${recommendation}`);
-    choices.push(result);
+  const choices = [];
+  for (let i = 0; i < updateable.length; i++) {
+    const result = updateable[i];
+    const recommendation =
+      result.status === "customized" ? " (⚠️  has customizations)" : "";
+    console.log(`  ${i + 1}) ${result.path}${recommendation}`);
+    choices.push(result);
+  }
+
+  console.log(`  a) All templates`);
+  console.log(`  q) Quit without updating\n`);
+
+  const response = await ask("Select templates (1,2,3 or 'a' or 'q')", "");
+
+  if (response.toLowerCase() === "q") {
+    return [];
+  }
+
+  if (response.toLowerCase() === "a") {
+    return choices;
+  }
+
+  // Parse comma-separated numbers
+  const selected = [];
+  const numbers = response.split(",").map((s) => s.trim());
+
+  for (const num of numbers) {
+    const index = parseInt(num) - 1;
+    if (index >= 0 && index < choices.length) {
+      selected.push(choices[index]);
+    }
+  }
+
+  return selected;
+}
+
+// REQ-918: What updating a file writes - the template, or for customized
+// files the merge of the user's edits with it
+function plannedTemplateContent(templateInfo) {
+  const templateContent = templateContentFor(templateInfo);
+  if (templateInfo.status !== "customized") {
+    return { content: templateContent, templateContent, merged: false };
+  }
+  const { content, conflicts } = mergeTemplate(
+    fs.readFileSync(path.join(PROJECT_DIR, templateInfo.path), "utf8"),
+    templateContent,
+    readTemplateBase(templateInfo.path)
+  );
+  return { content, templateContent, merged: true, conflicts };
+}
+
+// REQ-919: Whether diffs are coloured. Never for --json; otherwise --color,
+// then FORCE_COLOR (as in Node and chalk, "0" and "false" turn it off), then
+// a TTY without NO_COLOR. Forcing colour lets `--diff | less -R` show it.
+function diffColorEnabled(options = {}) {
+  const { color, env = process.env, isTTY = process.stdout.isTTY } = options;
+  if (jsonOutputMode) return false;
+  if (color !== undefined) return color;
+  if (env.FORCE_COLOR !== undefined) {
+    return !["0", "false"].includes(env.FORCE_COLOR);
+  }
+  return Boolean(isTTY) && !env.NO_COLOR;
+}
+
+// REQ-919: ANSI colours for a unified diff
+function colorizeDiff(diff, enabled = diffColorEnabled()) {
+  if (!enabled) return diff;
+  const paint = (code, line) => `\x1b[${code}m${line}\x1b[0m`;
+  return diff
+    .split("\n")
+    .map((line) => {
+      if (line.startsWith("+++") || line.startsWith("---")) {
+        return paint("1", line);
+      }
+      if (line.startsWith("@@")) return paint("36", line);
+      if (line.startsWith("+")) return paint("32", line);
+      if (line.startsWith("-")) return paint("31", line);
+      return line;
+    })
+    .join("\n");
+}
+
+// REQ-919: Unified diff from the project file to what an update would write
+function templateUpdateDiff(templateInfo) {
+  const fullPath = path.join(PROJECT_DIR, templateInfo.path);
+  const exists = fs.existsSync(fullPath);
+  return unifiedDiff(
+    exists ? fs.readFileSync(fullPath, "utf8") : "",
+    plannedTemplateContent(templateInfo).content,
+    {
+      oldLabel: exists ? `a/${templateInfo.path}` : "/dev/null",
+      newLabel: `b/${templateInfo.path}`,
+    }
+  );
+}
+
+async function updateTemplate(templateInfo, dryRun = false, color) {
+  const fullPath = path.join(PROJECT_DIR, templateInfo.path);
+  // REQ-918: Customized files are merged instead of overwritten
+  const merging = templateInfo.status === "customized";
+
+  console.log(`${dryRun ? "[DRY RUN]" : ""} Updating ${templateInfo.path}...`);
+
+  if (dryRun) {
+    console.log(
+      merging
+        ? `  Would merge your edits with the new template (${templateInfo.conflicts} conflict${templateInfo.conflicts === 1 ? "" : "s"})`
+        : `  Would ${templateInfo.status === "missing" ? "create" : "update"} file`
+    );
+    // REQ-919: Show exactly what would change
+    try {
+      console.log(
+        colorizeDiff(
+          templateUpdateDiff(templateInfo),
+          diffColorEnabled({ color })
+        )
+      );
+    } catch (error) {
+      console.log(`  (no diff: ${error.message})`);
+    }
+    return { success: true, dryRun: true };
+  }
+
+  try {
+    // Ensure directory exists
+    const dir = path.dirname(fullPath);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const { content, templateContent, merged, conflicts } =
+      plannedTemplateContent(templateInfo);
+    if (merged) {
+      await safeFileWrite(fullPath, content);
+      await recordTemplateBase(templateInfo.path, templateContent);
+      console.log(
+        conflicts
+          ? `  ⚠️  Merged with ${conflicts} conflict${conflicts === 1 ? "" : "s"} - resolve the <<<<<<< markers`
+          : "  ✅ Merged (your edits kept)"
+      );
+      return { success: true, merged: true, conflicts };
+    }
+
+    // Copy template content
+    await safeFileWrite(fullPath, templateContent);
+    await recordTemplateBase(templateInfo.path, templateContent);
+
+    console.log(
+      `  ✅ ${templateInfo.status === "missing" ? "Created" : "Updated"} successfully`
+    );
+
+    return { success: true };
+  } catch (error) {
+    console.log(`  ❌ Failed to update: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+// REQ-920: Mark pack files as installed at the version they now match
+async function recordTemplateVersions(results) {
+  const files = results
+    .filter((r) => r.version && r.installedVersion !== r.version)
+    .map((r) => ({ target: r.path, version: r.version }));
+  if (files.length === 0) return;
+  const source = readTemplatePackRecord()?.source || DEFAULT_TEMPLATE_PACK;
+  try {
+    await recordTemplatePack(loadTemplatePack(source), source, files, {
+      variables: results.find((r) => r.variables)?.variables,
+    });
+  } catch (error) {
+    console.warn(`⚠️  Could not record template versions: ${error.message}`);
+  }
+}
+
+// REQ-902: Returns a structured report; `yes` updates everything that needs
+// it without prompting, `analyzeOnly` reports status without touching files.
+// REQ-919: `diff` prints what each update would change and stops there.
+async function updateTemplates(options = {}) {
+  const { yes = false, analyzeOnly = false, diff = false, color } = options;
+  const report = { initialized: true, templates: [], updated: [] };
+
+  console.log("📝 Claude Code Template Update Tool\n");
+
+  // Check if we're in a project directory
+  const hasClaudeDir = fs.existsSync(path.join(PROJECT_DIR, ".claude"));
+  if (!hasClaudeDir) {
+    console.log(
+      "❌ No .claude directory found. Please run 'npx claude-code-quickstart init' first.\n"
+    );
+    return { ...report, initialized: false };
+  }
+
+  try {
+    // Phase 1: Analysis
+    const results = await analyzeCurrentTemplates();
+    const needsAttention = await showTemplateStatus(results);
+    report.templates = results.map((r) => ({
+      path: r.path,
+      status: r.status,
+      action: r.action,
+      ...(r.version && { version: r.version }),
+      ...(r.installedVersion && { installedVersion: r.installedVersion }),
+      ...(r.merge && { merge: r.merge, conflicts: r.conflicts }),
+    }));
+
+    // REQ-918: Files that still match the template become the base for
+    // future merges
+    if (!analyzeOnly && !diff) {
+      for (const result of results) {
+        if (result.status === "identical" && !readTemplateBase(result.path)) {
+          await recordTemplateBase(result.path, templateContentFor(result));
+        }
+      }
+      await recordTemplateVersions(
+        results.filter((r) => r.status === "identical")
+      );
+    }
+
+    if (needsAttention === 0) {
+      console.log("✅ All templates are up to date!\n");
+      return report;
+    }
+
+    if (diff) {
+      report.diffs = [];
+      for (const result of results.filter((r) => r.needsUpdate)) {
+        try {
+          const text = templateUpdateDiff(result);
+          console.log(colorizeDiff(text, diffColorEnabled({ color })));
+          report.diffs.push({ path: result.path, diff: text });
+        } catch (error) {
+          console.log(`⚠️  ${result.path}: no diff (${error.message})\n`);
+          report.diffs.push({ path: result.path, error: error.message });
+        }
+      }
+      return report;
+    }
+
+    if (analyzeOnly) {
+      return report;
+    }
+
+    // Phase 2: Selection
+    const selectedTemplates = yes
+      ? results.filter((r) => r.needsUpdate)
+      : await selectTemplatesForUpdate(results);
+
+    if (selectedTemplates.length === 0) {
+      console.log("👋 No templates selected. Exiting.\n");
+      return report;
+    }
+
+    // Ask for dry run first
+    const dryRun = yes
+      ? "n"
+      : (await ask("\nPerform dry run first? (Y/n)", "y")).toLowerCase();
+    const shouldDryRun = !dryRun.startsWith("n");
+
+    if (shouldDryRun) {
+      console.log("\n🔍 Dry run - showing what would be changed:\n");
+      for (const template of selectedTemplates) {
+        await updateTemplate(template, true, color);
+      }
+
+      const proceed = await ask("\nProceed with actual updates? (y/N)", "n");
+      if (!proceed.toLowerCase().startsWith("y")) {
+        console.log("👋 Cancelled by user.\n");
+        return report;
+      }
+    }
+
+    // Phase 3: Updates
+    // REQ-917: One snapshot replaces the per-file .backup copies
+    const snapshot = createSnapshot({
+      command: "update-templates",
+      extraFiles: selectedTemplates.map((t) => t.path),
+    });
+    if (snapshot) report.snapshot = snapshot.id;
+
+    console.log("\n🔧 Updating templates:\n");
+    const results_update = [];
+
+    for (const template of selectedTemplates) {
+      const result = await updateTemplate(template, false);
+      results_update.push({ template, result });
+      report.updated.push({
+        path: template.path,
+        success: result.success,
+        ...(result.merged && { merged: true, conflicts: result.conflicts }),
+        ...(result.error && { error: result.error }),
+      });
+    }
+
+    await recordTemplateVersions(
+      results_update.filter((r) => r.result.success).map((r) => r.template)
+    );
+
+    // Summary
+    console.log("\n📊 Update Summary:");
+    const successful = results_update.filter((r) => r.result.success).length;
+    const failed = results_update.filter((r) => !r.result.success).length;
+
+    console.log(`  ✅ Successful: ${successful}`);
+    if (failed > 0) {
+      console.log(`  ❌ Failed: ${failed}`);
+    }
+    const withConflicts = results_update.filter((r) => r.result.conflicts);
+    if (withConflicts.length > 0) {
+      console.log(
+        `  ⚠️  Conflicts to resolve: ${withConflicts.map((r) => r.template.path).join(", ")}`
+      );
+    }
+
+    if (snapshot) {
+      console.log(`\n💾 Snapshot ${snapshot.id} taken before the update`);
+      console.log(
+        `  💡 To roll back: npx claude-code-quickstart rollback ${snapshot.id}`
+      );
+    }
+
+    console.log("\n✅ Template update complete!\n");
+    return report;
+  } catch (error) {
+    throw new Error(`Error during template update: ${error.message}`);
+  }
+}
+
+// REQ-901: Read-modify-write a JSON settings file under a single lock.
+// The file is only rewritten when the update actually changes it.
+async function updateJsonFile(filePath, updateFn, options = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  return safeConfigUpdate(filePath, async (lockedFilePath) => {
+    const before = fs.existsSync(lockedFilePath)
+      ? fs.readFileSync(lockedFilePath, "utf8")
+      : null;
+    const current = before ? JSON.parse(before) : {};
+    const next = await updateFn(current);
+    const after = JSON.stringify(next, null, 2) + "\n";
+
+    if (after !== before) {
+      const tempPath = `${lockedFilePath}.tmp.${Date.now()}`;
+      fs.writeFileSync(tempPath, after, "utf8");
+      fs.renameSync(tempPath, lockedFilePath);
+      // REQ-916: Settings and .mcp.json edits go through here
+      appendAuditEntry(
+        {
+          action: "write",
+          target: lockedFilePath,
+          checksumBefore: before === null ? null : createChecksum(before),
+          checksumAfter: createChecksum(after),
+        },
+        options
+      );
+    }
+
+    return { changed: after !== before, value: next };
+  });
+}
+
+// REQ-901: Union permission rules into settings, preserving existing rules
+function mergePermissionRules(settings, rules = {}) {
+  const out =
+    settings && typeof settings === "object" && !Array.isArray(settings)
+      ? { ...settings }
+      : {};
+  out.permissions = { ...(out.permissions || {}) };
+
+  for (const kind of ["allow", "ask", "deny"]) {
+    if (!Array.isArray(rules[kind])) continue;
+    const merged = new Set(out.permissions[kind] || []);
+    rules[kind].forEach((rule) => merged.add(rule));
+    out.permissions[kind] = Array.from(merged);
+  }
+
+  return out;
+}
+
+// REQ-923: Permission presets - named allow/ask/deny policies in
+// templates/permissions/<name>.json. `stackCommands` adds the allow rules
+// for the project's own test/lint/build commands (REQ-922).
+const PERMISSION_KINDS = ["allow", "ask", "deny"];
+const PERMISSION_SCOPES = ["user", "project", "local"];
+
+function listPermissionPresets() {
+  return fs
+    .readdirSync(path.join(TEMPLATES, "permissions"))
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => {
+      const preset = JSON.parse(TEMPLATE(path.join("permissions", file)));
+      return { name: file.slice(0, -5), description: preset.description };
+    });
+}
+
+function loadPermissionPreset(name, options = {}) {
+  const names = listPermissionPresets().map((preset) => preset.name);
+  if (!names.includes(name)) {
+    throw new Error(
+      `Unknown permission preset "${name}". Available: ${names.join(", ")}`
+    );
+  }
+  const preset = JSON.parse(TEMPLATE(path.join("permissions", `${name}.json`)));
+  const permissions = Object.fromEntries(
+    PERMISSION_KINDS.map((kind) => [kind, preset.permissions[kind] || []])
+  );
+  if (preset.stackCommands) {
+    permissions.allow = [
+      ...new Set([
+        ...permissions.allow,
+        ...stackAllowRules(detectProjectStack(options)),
+      ]),
+    ];
+  }
+  return {
+    name,
+    description: preset.description,
+    defaultMode: preset.defaultMode,
+    permissions,
+  };
+}
+
+function permissionSettingsPath(scope = "project", options = {}) {
+  const { homeDir = HOME, projectDir = PROJECT_DIR } = options;
+  if (!PERMISSION_SCOPES.includes(scope)) {
+    throw new Error(
+      `Invalid scope: ${scope} (expected user, project or local)`
+    );
+  }
+  if (scope === "user") return path.join(homeDir, ".claude", "settings.json");
+  return path.join(
+    projectDir,
+    ".claude",
+    scope === "local" ? "settings.local.json" : "settings.json"
+  );
+}
+
+// Which preset each settings file has and the rules it added, kept beside
+// the settings so switching presets only drops the previous preset's rules
+function presetRecordPath(settingsPath) {
+  return path.join(
+    path.dirname(settingsPath),
+    "quickstart",
+    "permission-presets.json"
+  );
+}
+
+function readPresetRecord(settingsPath) {
+  try {
+    const record = JSON.parse(
+      fs.readFileSync(presetRecordPath(settingsPath), "utf8")
+    );
+    return record[path.basename(settingsPath)] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Merge a preset into settings. Rules a previous preset added are dropped
+ * first; every other existing rule (the user's own) is kept.
+ * Returns { settings, added, dropped }.
+ */
+function mergePermissionPreset(settings, preset, previous = null) {
+  const out =
+    settings && typeof settings === "object" && !Array.isArray(settings)
+      ? { ...settings }
+      : {};
+  out.permissions = { ...(out.permissions || {}) };
+  const added = {};
+  const dropped = {};
+
+  for (const kind of PERMISSION_KINDS) {
+    const current = out.permissions[kind] || [];
+    const previousRules = previous?.added?.[kind] || [];
+    const wanted = preset.permissions[kind];
+    const kept = current.filter(
+      (rule) => !previousRules.includes(rule) || wanted.includes(rule)
+    );
+    dropped[kind] = current.filter((rule) => !kept.includes(rule));
+    added[kind] = wanted.filter((rule) => !kept.includes(rule));
+    // Rules the previous preset added stay attributed to the preset
+    const carried = previousRules.filter(
+      (rule) => wanted.includes(rule) && kept.includes(rule)
+    );
+    out.permissions[kind] = [...kept, ...added[kind]];
+    added[kind] = [...carried, ...added[kind]];
+  }
+  if (preset.defaultMode) out.permissions.defaultMode = preset.defaultMode;
+
+  return { settings: out, added, dropped };
+}
+
+/**
+ * The allow/ask/deny rules Claude Code ends up with across user, project
+ * and local settings. A rule listed under deny beats the same rule under
+ * ask or allow, and ask beats allow.
+ */
+function effectivePermissions(sources) {
+  const byKind = Object.fromEntries(
+    PERMISSION_KINDS.map((kind) => [kind, new Map()])
+  );
+  for (const { scope, settings } of sources) {
+    for (const kind of PERMISSION_KINDS) {
+      const rules = settings?.permissions?.[kind];
+      if (!Array.isArray(rules)) continue;
+      for (const rule of rules) {
+        const from = byKind[kind].get(rule) || [];
+        byKind[kind].set(rule, [...new Set([...from, scope])]);
+      }
+    }
+  }
+
+  const effective = {};
+  const overridden = [];
+  PERMISSION_KINDS.forEach((kind, i) => {
+    const stronger = PERMISSION_KINDS.slice(i + 1);
+    effective[kind] = [];
+    for (const [rule, scopes] of byKind[kind]) {
+      const winner = [...stronger]
+        .reverse()
+        .find((other) => byKind[other].has(rule));
+      if (winner) {
+        overridden.push({ rule, kind, scopes, by: winner });
+      } else {
+        effective[kind].push({ rule, scopes });
+      }
+    }
+  });
+  return { ...effective, overridden };
+}
+
+function readPermissionSources(options = {}) {
+  return PERMISSION_SCOPES.map((scope) => {
+    const file = permissionSettingsPath(scope, options);
+    let settings = null;
+    try {
+      settings = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch {
+      // Missing or unreadable settings contribute no rules
+    }
+    return {
+      scope,
+      path: file,
+      settings,
+      preset: readPresetRecord(file)?.preset || null,
+    };
+  });
+}
+
+function printEffectivePermissions(sources, effective) {
+  console.log("🛡️  Effective permissions (user → project → local)\n");
+  for (const source of sources) {
+    const status = !source.settings
+      ? "not present"
+      : source.preset
+        ? `preset: ${source.preset}`
+        : "no preset";
+    console.log(`  ${source.scope.padEnd(8)} ${source.path} (${status})`);
+  }
+  const rows = PERMISSION_KINDS.slice()
+    .reverse()
+    .flatMap((kind) =>
+      effective[kind].map(({ rule, scopes }) => [kind, rule, scopes.join(", ")])
+    );
+  console.log("");
+  console.log(
+    rows.length > 0
+      ? formatTable(["LIST", "RULE", "FROM"], rows)
+      : "  No permission rules configured"
+  );
+  for (const { rule, kind, scopes, by } of effective.overridden) {
+    console.log(
+      `\n  ⚠️  ${kind} ${rule} (${scopes.join(", ")}) has no effect - it is also under ${by}`
+    );
+  }
+}
+
+// Merge a loaded preset into a settings file under its lock and record the
+// rules it added. The record is left alone when nothing changed, so
+// re-applying the same preset is a no-op.
+async function writePermissionPreset(settingsPath, preset) {
+  const previous = readPresetRecord(settingsPath);
+  let merge;
+  const { changed } = await updateJsonFile(settingsPath, (settings) => {
+    merge = mergePermissionPreset(settings, preset, previous);
+    return merge.settings;
+  });
+  if (changed || previous?.preset !== preset.name) {
+    await updateJsonFile(presetRecordPath(settingsPath), (record) => ({
+      ...record,
+      [path.basename(settingsPath)]: {
+        preset: preset.name,
+        appliedAt: new Date().toISOString(),
+        added: merge.added,
+      },
+    }));
+  }
+  return { ...merge, changed };
+}
+
+/**
+ * `permissions apply <preset>` - merge a preset into the settings file for
+ * options.scope (project by default) under its file lock, then report the
+ * effective rules. options: scope, dryRun, homeDir, projectDir.
+ */
+async function applyPermissionPreset(name, options = {}) {
+  const { scope = "project", dryRun = false } = options;
+  if (!name) {
+    throw new Error(
+      `Usage: permissions apply <preset> (${listPermissionPresets()
+        .map((preset) => preset.name)
+        .join(", ")})`
+    );
+  }
+  const preset = loadPermissionPreset(name, options);
+  const settingsPath = permissionSettingsPath(scope, options);
+  const previous = readPresetRecord(settingsPath);
+
+  let merge;
+  if (dryRun) {
+    let current = {};
+    try {
+      current = JSON.parse(fs.readFileSync(settingsPath, "utf8"));
+    } catch {
+      // Applying creates the file
+    }
+    merge = mergePermissionPreset(current, preset, previous);
+  } else {
+    merge = await writePermissionPreset(settingsPath, preset);
+  }
+
+  const count = (rules) =>
+    PERMISSION_KINDS.reduce((sum, kind) => sum + rules[kind].length, 0);
+  console.log(
+    `${dryRun ? "[DRY RUN] Would apply" : "✅ Applied"} the ${name} preset to ${settingsPath}`
+  );
+  console.log(`   ${preset.description}`);
+  if (preset.defaultMode) console.log(`   Default mode: ${preset.defaultMode}`);
+  if (previous && previous.preset !== name) {
+    console.log(
+      `   Replaced the ${previous.preset} preset (${count(merge.dropped)} of its rules removed)`
+    );
+  }
+  console.log("   Your own rules were kept\n");
+
+  const sources = readPermissionSources(options).map((source) =>
+    dryRun && source.path === settingsPath
+      ? { ...source, settings: merge.settings, preset: name }
+      : source
+  );
+  const effective = effectivePermissions(sources);
+  printEffectivePermissions(sources, effective);
+
+  return {
+    preset: name,
+    scope,
+    path: settingsPath,
+    dryRun,
+    added: merge.added,
+    removed: merge.dropped,
+    effective,
+  };
+}
+
+// REQ-923: `permissions [show]`, `permissions list`, `permissions apply`
+async function managePermissions(action = "show", name, options = {}) {
+  if (action === "list") {
+    const presets = listPermissionPresets();
+    console.log("🛡️  Permission presets\n");
+    console.log(
+      formatTable(
+        ["PRESET", "DESCRIPTION"],
+        presets.map((preset) => [preset.name, preset.description])
+      )
+    );
+    return { presets };
+  }
+
+  if (action === "apply") {
+    return applyPermissionPreset(name, options);
+  }
+
+  if (action === "show") {
+    const sources = readPermissionSources(options);
+    const effective = effectivePermissions(sources);
+    printEffectivePermissions(sources, effective);
+    return {
+      files: sources.map(({ scope, path: file, preset, settings }) => ({
+        scope,
+        path: file,
+        exists: settings !== null,
+        preset,
+      })),
+      effective,
+    };
+  }
+
+  throw new Error(
+    `Unknown permissions action: ${action} (expected show, list or apply)`
+  );
+}
+
+// REQ-924: JSON parser that keeps the line and column of every value, keyed
+// by JSON pointer ("/permissions/allow/3"), so lint findings point into the
+// file. Returns { value, locations, duplicates } or { error } with the
+// position of the first syntax error.
+function parseJsonWithLocations(text) {
+  const locations = new Map();
+  const duplicates = [];
+  let index = 0;
+  let line = 1;
+  let column = 1;
+
+  const here = () => ({ line, column });
+  const fail = (message, at = here()) => {
+    const error = new Error(message);
+    error.location = at;
+    throw error;
+  };
+  const advance = (count = 1) => {
+    for (let i = 0; i < count; i++) {
+      if (text[index] === "\n") {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      index++;
+    }
+  };
+  const skipWhitespace = () => {
+    while (/\s/.test(text[index] || "")) advance();
+  };
+  const describe = () =>
+    index >= text.length ? "end of file" : `'${text[index]}'`;
+  const expect = (char, context) => {
+    skipWhitespace();
+    if (text[index] !== char) {
+      fail(`Expected '${char}' ${context}, found ${describe()}`);
+    }
+    advance();
+  };
+
+  const parseString = () => {
+    const start = index;
+    advance();
+    while (index < text.length && text[index] !== '"') {
+      if (text[index] === "\n") fail("Unterminated string");
+      advance(text[index] === "\\" ? 2 : 1);
+    }
+    if (index >= text.length) fail("Unterminated string");
+    advance();
+    try {
+      return JSON.parse(text.slice(start, index));
+    } catch {
+      return fail("Invalid escape in string");
+    }
+  };
+
+  const parseValue = (pointer) => {
+    skipWhitespace();
+    locations.set(pointer, here());
+    const char = text[index];
+
+    if (char === "{") {
+      const object = {};
+      advance();
+      skipWhitespace();
+      if (text[index] === "}") {
+        advance();
+        return object;
+      }
+      for (;;) {
+        skipWhitespace();
+        if (text[index] !== '"') {
+          fail(
+            text[index] === "}"
+              ? "Trailing comma before '}'"
+              : `Expected a property name in double quotes, found ${describe()}`
+          );
+        }
+        const keyAt = here();
+        const key = parseString();
+        const child = `${pointer}/${key.replace(/~/g, "~0").replace(/\//g, "~1")}`;
+        if (Object.prototype.hasOwnProperty.call(object, key)) {
+          duplicates.push({ key, pointer: child, ...keyAt });
+        }
+        expect(":", `after property name "${key}"`);
+        object[key] = parseValue(child);
+        skipWhitespace();
+        if (text[index] === ",") {
+          advance();
+          continue;
+        }
+        expect("}", "or ',' after a property value");
+        return object;
+      }
+    }
+
+    if (char === "[") {
+      const array = [];
+      advance();
+      skipWhitespace();
+      if (text[index] === "]") {
+        advance();
+        return array;
+      }
+      for (;;) {
+        skipWhitespace();
+        if (text[index] === "]") fail("Trailing comma before ']'");
+        array.push(parseValue(`${pointer}/${array.length}`));
+        skipWhitespace();
+        if (text[index] === ",") {
+          advance();
+          continue;
+        }
+        expect("]", "or ',' after an array element");
+        return array;
+      }
+    }
+
+    if (char === '"') return parseString();
+
+    const literal =
+      /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(
+        text.slice(index)
+      );
+    if (!literal) fail(`Unexpected ${describe()}`);
+    advance(literal[0].length);
+    return JSON.parse(literal[0]);
+  };
+
+  try {
+    const value = parseValue("");
+    skipWhitespace();
+    if (index < text.length)
+      fail(`Unexpected ${describe()} after the JSON value`);
+    return { value, locations, duplicates };
+  } catch (error) {
+    return { error: { message: error.message, ...error.location } };
+  }
+}
+
+// REQ-924: Tools a permission rule can name, and what goes in the
+// parentheses: a command prefix, a gitignore-style path or a domain
+const PERMISSION_TOOLS = {
+  Bash: "command",
+  Read: "path",
+  Edit: "path",
+  Write: "path",
+  MultiEdit: "path",
+  NotebookEdit: "path",
+  NotebookRead: "path",
+  WebFetch: "domain",
+  Task: "agent",
+  WebSearch: null,
+  Glob: null,
+  Grep: null,
+  LS: null,
+  TodoWrite: null,
+};
+const PERMISSION_MODES = [
+  "default",
+  "acceptEdits",
+  "plan",
+  "bypassPermissions",
+];
+const PERMISSION_KEYS = [
+  ...PERMISSION_KINDS,
+  "defaultMode",
+  "additionalDirectories",
+  "disableBypassPermissionsMode",
+];
+const PERMISSION_RULE_PATTERN = /^([A-Za-z][\w-]*)(?:\((.*)\))?$/s;
+// "/etc/..." in a rule is relative to the settings file, "//etc/..." is absolute
+const ABSOLUTE_ROOTS = [
+  "etc",
+  "usr",
+  "var",
+  "opt",
+  "tmp",
+  "root",
+  "home",
+  "Users",
+];
+
+// Files that should never reach the model; each needs a Read deny rule
+const SECRET_PATHS = [
+  { example: ".env", rule: "Read(*.env)" },
+  { example: "certs/server.pem", rule: "Read(**/*.pem)" },
+  { example: "certs/server.key", rule: "Read(**/*.key)" },
+  { example: "config/secrets/api.json", rule: "Read(**/secrets/**)" },
+  { example: "config/credentials/db.json", rule: "Read(**/credentials/**)" },
+  { example: "~/.ssh/id_ed25519", rule: "Read(~/.ssh/**)" },
+];
+
+function parsePermissionRule(rule) {
+  const match = PERMISSION_RULE_PATTERN.exec(rule);
+  return match ? { tool: match[1], specifier: match[2] ?? null } : null;
+}
+
+// gitignore-style: `*` stays within a path segment, `**` crosses them, and
+// a pattern without a slash matches at any depth
+function permissionGlobPattern(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    if (glob.startsWith("**/", i)) {
+      source += "(?:.*/)?";
+      i += 2;
+    } else if (glob.startsWith("**", i)) {
+      source += ".*";
+      i += 1;
+    } else if (glob[i] === "*") {
+      source += "[^/]*";
+    } else if (glob[i] === "?") {
+      source += "[^/]";
+    } else {
+      source += glob[i].replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  const anywhere = !glob.replace(/\/$/, "").includes("/");
+  return new RegExp(`^${anywhere ? "(?:.*/)?" : ""}${source}$`);
+}
+
+/**
+ * Whether every use `narrow` matches is also matched by `broad` (both
+ * parsed rules). Patterns are compared as text, which is exact for the
+ * prefix and glob shapes settings files use.
+ */
+function permissionRuleCovers(broad, narrow) {
+  if (broad.tool !== narrow.tool) {
+    return (
+      broad.tool.startsWith("mcp__") &&
+      broad.specifier === null &&
+      narrow.tool.startsWith(`${broad.tool}__`)
+    );
+  }
+  if (broad.specifier === null) return true;
+  if (narrow.specifier === null) return false;
+  if (broad.specifier === narrow.specifier) return true;
+
+  const kind = PERMISSION_TOOLS[broad.tool];
+  if (kind === "command") {
+    const prefix = (spec) => spec.replace(/:\*$/, "*");
+    const pattern = new RegExp(
+      `^${prefix(broad.specifier)
+        .split("*")
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*")}$`
+    );
+    return pattern.test(prefix(narrow.specifier));
+  }
+  if (kind === "path") {
+    return permissionGlobPattern(broad.specifier).test(narrow.specifier);
+  }
+  return false;
+}
+
+// REQ-924: Syntax problems in one rule, as [{ severity, code, message }]
+function checkPermissionRule(rule) {
+  const problem = (severity, code, message) => [{ severity, code, message }];
+  if (typeof rule !== "string") {
+    return problem("error", "rule-syntax", "Rules must be strings");
+  }
+  if (rule.trim() !== rule || rule === "") {
+    return problem(
+      "error",
+      "rule-syntax",
+      `"${rule}" has surrounding whitespace or is empty`
+    );
+  }
+  const parsed = parsePermissionRule(rule);
+  if (!parsed) {
+    return problem(
+      "error",
+      "rule-syntax",
+      `"${rule}" is not Tool or Tool(specifier)`
+    );
+  }
+
+  const { tool, specifier } = parsed;
+  if (tool.startsWith("mcp__")) {
+    return specifier === null
+      ? []
+      : problem(
+          "error",
+          "rule-syntax",
+          `"${rule}": MCP rules name a server or tool (mcp__server__tool) without parentheses`
+        );
+  }
+  if (!(tool in PERMISSION_TOOLS)) {
+    return problem("warning", "unknown-tool", `Unknown tool "${tool}"`);
+  }
+  if (specifier === null) return [];
+
+  const kind = PERMISSION_TOOLS[tool];
+  if (specifier.trim() === "") {
+    return problem(
+      "error",
+      "rule-syntax",
+      `"${rule}" has empty parentheses; write ${tool} to match every use`
+    );
+  }
+  if (kind === null) {
+    return problem(
+      "warning",
+      "rule-syntax",
+      `${tool} rules don't take a specifier; "${rule}" is matched as ${tool}`
+    );
+  }
+  if (kind === "command" && specifier.slice(0, -2).includes(":*")) {
+    return problem(
+      "error",
+      "rule-syntax",
+      `"${rule}": ":*" only works at the end of a Bash rule`
+    );
+  }
+  if (kind === "domain" && !/^domain:[\w*.-]+$/.test(specifier)) {
+    return problem(
+      "error",
+      "rule-syntax",
+      `"${rule}": WebFetch rules look like WebFetch(domain:example.com)`
+    );
+  }
+  if (kind === "path") {
+    const regexLike = /\.\*[^/*]/.exec(specifier);
+    if (regexLike) {
+      const name = specifier.slice(regexLike.index).split("/")[0];
+      return problem(
+        "warning",
+        "regex-in-glob",
+        `"${rule}": rules are globs, not regular expressions - "${name}" matches any name starting with "." and ending in "${name.slice(2)}"; write ".${name.slice(2)}" for that one name`
+      );
+    }
+    const root = /^\/([^/]+)/.exec(specifier);
+    if (root && ABSOLUTE_ROOTS.includes(root[1])) {
+      return problem(
+        "warning",
+        "path-anchor",
+        `"${rule}": a leading / is relative to the settings file's directory; write ${tool}(/${specifier}) for the absolute path`
+      );
+    }
+  }
+  return [];
+}
+
+/**
+ * Lint one parsed settings object. `at(pointer)` gives the location of a
+ * JSON pointer. Returns findings without file names.
+ */
+function lintPermissionSettings(settings, at = () => ({})) {
+  const findings = [];
+  const report = (pointer, severity, code, message) =>
+    findings.push({ severity, code, message, pointer, ...at(pointer) });
+
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    report("", "error", "structure", "Settings must be a JSON object");
+    return findings;
+  }
+  for (const pointer of ["/defaultMode", "/permissions/defaultMode"]) {
+    const mode =
+      pointer === "/defaultMode"
+        ? settings.defaultMode
+        : settings.permissions?.defaultMode;
+    if (mode !== undefined && !PERMISSION_MODES.includes(mode)) {
+      report(
+        pointer,
+        "error",
+        "default-mode",
+        `defaultMode "${mode}" is not one of ${PERMISSION_MODES.join(", ")}`
+      );
+    }
+  }
+  const permissions = settings.permissions;
+  if (permissions === undefined) return findings;
+  if (
+    !permissions ||
+    typeof permissions !== "object" ||
+    Array.isArray(permissions)
+  ) {
+    report(
+      "/permissions",
+      "error",
+      "structure",
+      "permissions must be an object"
+    );
+    return findings;
+  }
+  for (const key of Object.keys(permissions)) {
+    if (!PERMISSION_KEYS.includes(key)) {
+      report(
+        `/permissions/${key}`,
+        "warning",
+        "unknown-key",
+        `Unknown key permissions.${key} (expected ${PERMISSION_KEYS.join(", ")})`
+      );
+    }
+  }
+
+  // Parse every well-formed rule; strongest list first
+  const lists = {};
+  for (const kind of [...PERMISSION_KINDS].reverse()) {
+    const rules = permissions[kind];
+    if (rules === undefined) continue;
+    if (!Array.isArray(rules)) {
+      report(
+        `/permissions/${kind}`,
+        "error",
+        "structure",
+        `permissions.${kind} must be an array of rules`
+      );
+      continue;
+    }
+    lists[kind] = [];
+    rules.forEach((rule, i) => {
+      const pointer = `/permissions/${kind}/${i}`;
+      const problems = checkPermissionRule(rule);
+      problems.forEach((p) => report(pointer, p.severity, p.code, p.message));
+      if (
+        problems.some((p) => p.code === "rule-syntax" && p.severity === "error")
+      ) {
+        return;
+      }
+      lists[kind].push({
+        rule,
+        pointer,
+        index: i,
+        parsed: parsePermissionRule(rule),
+      });
+    });
+  }
+
+  // Deny is checked before ask, and ask before allow: a rule is
+  // unreachable when the same or a stronger list already matches all it does
+  const strength = ["deny", "ask", "allow"];
+  for (const kind of strength.filter((k) => lists[k])) {
+    for (const entry of lists[kind]) {
+      const stronger = strength
+        .slice(0, strength.indexOf(kind))
+        .flatMap((other) =>
+          (lists[other] || []).map((e) => ({ ...e, kind: other }))
+        )
+        .find((other) => permissionRuleCovers(other.parsed, entry.parsed));
+      if (stronger) {
+        const contradiction = kind === "allow" && stronger.kind === "deny";
+        report(
+          entry.pointer,
+          contradiction ? "error" : "warning",
+          contradiction ? "contradiction" : "shadowed",
+          stronger.rule === entry.rule
+            ? `"${entry.rule}" is listed under both ${kind} and ${stronger.kind}; ${stronger.kind} wins`
+            : `"${entry.rule}" never applies: ${stronger.kind} "${stronger.rule}" matches everything it does`
+        );
+        continue;
+      }
+      const same = lists[kind].find(
+        (other) =>
+          other !== entry &&
+          permissionRuleCovers(other.parsed, entry.parsed) &&
+          // Of two equivalent rules only the later one is redundant
+          (other.index < entry.index ||
+            !permissionRuleCovers(entry.parsed, other.parsed))
+      );
+      if (same) {
+        report(
+          entry.pointer,
+          "warning",
+          same.rule === entry.rule ? "duplicate" : "shadowed",
+          same.rule === entry.rule
+            ? `"${entry.rule}" is listed twice under ${kind}`
+            : `"${entry.rule}" is redundant: ${kind} "${same.rule}" already covers it`
+        );
+      }
+    }
+  }
+  return findings;
+}
+
+// REQ-924: Secret paths no Read deny rule covers, across all linted files
+function uncoveredSecretPaths(settingsList) {
+  const denies = settingsList
+    .flatMap((settings) => {
+      const rules = settings?.permissions?.deny;
+      return Array.isArray(rules) ? rules : [];
+    })
+    .map((rule) =>
+      typeof rule === "string" ? parsePermissionRule(rule) : null
+    )
+    .filter((parsed) => parsed && parsed.tool === "Read");
+  return SECRET_PATHS.filter(
+    ({ example }) =>
+      !denies.some((deny) =>
+        permissionRuleCovers(deny, { tool: "Read", specifier: example })
+      )
+  );
+}
+
+/**
+ * `lint-settings [file...]` - lint the given settings files, or the user,
+ * project and local settings that exist. Returns
+ * { files: [{ path, findings }], summary: { errors, warnings } } where each
+ * finding is { severity, code, message, line, column }.
+ */
+function lintSettingsFiles(files = [], options = {}) {
+  const paths =
+    files.length > 0
+      ? files.map((file) =>
+          path.resolve(options.projectDir || PROJECT_DIR, file)
+        )
+      : PERMISSION_SCOPES.map((scope) =>
+          permissionSettingsPath(scope, options)
+        ).filter((file) => fs.existsSync(file));
+
+  const results = paths.map((file) => {
+    if (!fs.existsSync(file)) {
+      throw new Error(`No such settings file: ${file}`);
+    }
+    const parsed = parseJsonWithLocations(fs.readFileSync(file, "utf8"));
+    if (parsed.error) {
+      const { message, line, column } = parsed.error;
+      return {
+        path: file,
+        settings: null,
+        locations: new Map(),
+        findings: [
+          { severity: "error", code: "json-syntax", message, line, column },
+        ],
+      };
+    }
+    const at = (pointer) => {
+      // Fall back to the nearest parent that exists in the file
+      for (let p = pointer; ; p = p.slice(0, p.lastIndexOf("/"))) {
+        if (parsed.locations.has(p)) return parsed.locations.get(p);
+        if (p === "") return { line: 1, column: 1 };
+      }
+    };
+    const findings = [
+      ...parsed.duplicates.map(({ key, line, column }) => ({
+        severity: "warning",
+        code: "duplicate-key",
+        message: `Duplicate key "${key}"; only the last one is used`,
+        line,
+        column,
+      })),
+      ...lintPermissionSettings(parsed.value, at),
+    ];
+    return { path: file, settings: parsed.value, at, findings };
+  });
+
+  const parsedResults = results.filter((result) => result.settings);
+  if (parsedResults.length > 0) {
+    const target =
+      parsedResults.find((result) =>
+        Array.isArray(result.settings.permissions?.deny)
+      ) || parsedResults[0];
+    for (const secret of uncoveredSecretPaths(
+      parsedResults.map((r) => r.settings)
+    )) {
+      target.findings.push({
+        severity: "warning",
+        code: "secret-not-denied",
+        message: `No deny rule keeps ${secret.example} from being read; add "${secret.rule}"`,
+        ...target.at("/permissions/deny"),
+      });
+    }
+  }
+
+  const summary = { errors: 0, warnings: 0 };
+  const output = results.map(({ path: file, findings }) => {
+    findings.sort((a, b) => a.line - b.line || a.column - b.column);
+    findings.forEach((finding) =>
+      finding.severity === "error" ? summary.errors++ : summary.warnings++
+    );
+    return {
+      path: file,
+      findings: findings.map(({ severity, code, message, line, column }) => ({
+        severity,
+        code,
+        message,
+        line,
+        column,
+      })),
+    };
+  });
+  return { files: output, summary };
+}
+
+// REQ-924: Print lint results like a compiler: file, then line:column
+function showSettingsLint(files = [], options = {}) {
+  const report = lintSettingsFiles(files, options);
+  if (report.files.length === 0) {
+    console.log("No settings files found (user, project or local)");
+    return report;
+  }
+  for (const file of report.files) {
+    console.log(file.path);
+    if (file.findings.length === 0) console.log("  ✅ No problems");
+    for (const finding of file.findings) {
+      console.log(
+        `  ${`${finding.line}:${finding.column}`.padEnd(7)} ${finding.severity.padEnd(7)} ${finding.message}  ${finding.code}`
+      );
+    }
+    console.log("");
+  }
+  const { errors, warnings } = report.summary;
+  console.log(
+    `${errors > 0 ? "❌" : warnings > 0 ? "⚠️ " : "✅"} ${errors} errors, ${warnings} warnings`
+  );
+  return report;
+}
+
+// REQ-901: Validate a quickstart.json manifest and fill in defaults
+function validateManifest(manifest) {
+  if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) {
+    throw new Error("Manifest must be a JSON object");
+  }
+
+  const errors = [];
+  const knownKeys = [
+    "$schema",
+    "tier",
+    "scope",
+    "servers",
+    "scaffold",
+    "permissions",
+  ];
+  Object.keys(manifest)
+    .filter((key) => !knownKeys.includes(key))
+    .forEach((key) => errors.push(`unknown field "${key}"`));
+
+  const tier = manifest.tier || "quick-start";
+  if (!SETUP_TIERS[tier]) {
+    errors.push(`tier must be one of: ${Object.keys(SETUP_TIERS).join(", ")}`);
+  }
+
+  const scope = manifest.scope || "user";
+  if (!["user", "project", "local"].includes(scope)) {
+    errors.push("scope must be one of: user, project, local");
+  }
+
+  let servers = null;
+  if (manifest.servers !== undefined) {
+    if (
+      !Array.isArray(manifest.servers) ||
+      !manifest.servers.every((key) => typeof key === "string")
+    ) {
+      errors.push("servers must be an array of server keys");
+    } else if (SETUP_TIERS[tier]) {
+      const tierKeys = getServersForTier(tier).map((spec) => spec.key);
+      for (const key of manifest.servers) {
+        if (!SERVER_SPECS.some((spec) => spec.key === key)) {
+          errors.push(`unknown server "${key}"`);
+        } else if (!tierKeys.includes(key)) {
+          errors.push(`server "${key}" is not part of the ${tier} tier`);
+        }
+      }
+      servers = manifest.servers;
+    }
+  }
+
+  const scaffold = manifest.scaffold === undefined ? false : manifest.scaffold;
+  if (typeof scaffold === "object" && scaffold !== null) {
+    for (const [key, value] of Object.entries(scaffold)) {
+      if (key === "template") {
+        // REQ-920: Template pack name or path
+        if (typeof value !== "string" || value === "") {
+          errors.push("scaffold.template must be a template pack name or path");
+        }
+      } else if (!["agents", "gitignore"].includes(key)) {
+        errors.push(`unknown scaffold option "${key}"`);
+      } else if (typeof value !== "boolean") {
+        errors.push(`scaffold.${key} must be true or false`);
+      }
+    }
+  } else if (typeof scaffold !== "boolean") {
+    errors.push("scaffold must be true, false or an options object");
+  }
+
+  const permissions = manifest.permissions || null;
+  if (permissions) {
+    for (const [kind, rules] of Object.entries(permissions)) {
+      if (kind === "preset") {
+        // REQ-923: Named permission preset, merged before the raw rules
+        const presets = listPermissionPresets().map((preset) => preset.name);
+        if (!presets.includes(rules)) {
+          errors.push(
+            `permissions.preset must be one of: ${presets.join(", ")}`
+          );
+        }
+      } else if (!["allow", "ask", "deny"].includes(kind)) {
+        errors.push(`unknown permissions list "${kind}"`);
+      } else if (
+        !Array.isArray(rules) ||
+        !rules.every((rule) => typeof rule === "string")
+      ) {
+        errors.push(`permissions.${kind} must be an array of rule strings`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid manifest:\n  • ${errors.join("\n  • ")}`);
+  }
+
+  return {
+    tier,
+    scope,
+    servers: servers || getServersForTier(tier).map((spec) => spec.key),
+    scaffold,
+    permissions,
+  };
+}
+
+// REQ-909: Spec args with secrets left as ${VAR} references instead of values
+function referenceSpecArgs(spec, extraArgs = []) {
+  const ref = (name) => `\${${name}}`;
+  const args =
+    typeof spec.args === "function"
+      ? spec.args(
+          ...(extraArgs.length > 0
+            ? extraArgs
+            : [spec.envVar && ref(spec.envVar)])
+        )
+      : (spec.args || []).map((arg) =>
+          arg.replace(ENV_PLACEHOLDER, (_, name) => ref(name))
+        );
+  return args.filter((arg) => arg !== undefined);
+}
+
+// REQ-909: .mcp.json entry for a spec. Secrets become ${VAR} references that
+// Claude Code expands when it launches the server, so the file can be committed.
+function buildProjectMcpEntry(spec, envVars = {}, extraArgs = []) {
+  if (spec.transport === "sse") {
+    return { type: "sse", url: validateSSEUrl(spec.url) };
+  }
+
+  const ref = (name) => `\${${name}}`;
+  const args = referenceSpecArgs(spec, extraArgs);
+  const envNames = [
+    ...new Set([spec.envVar, spec.envVar2, ...Object.keys(envVars)]),
+  ].filter(Boolean);
+
+  const entry = {
+    type: "stdio",
+    command: spec.command,
+    args,
+    ...(envNames.length > 0 && {
+      env: Object.fromEntries(envNames.map((name) => [name, ref(name)])),
+    }),
+  };
+
+  // Belt and braces: no value the user typed may end up in the file. Short
+  // values are only matched exactly so "1" doesn't trip over "-y".
+  const written = [...entry.args, ...Object.values(entry.env || {})];
+  const leaked = Object.entries(envVars).find(
+    ([, value]) =>
+      value &&
+      written.some((text) =>
+        value.length >= 8 ? text.includes(value) : text === value
+      )
+  );
+  if (leaked) {
+    throw new Error(
+      `Refusing to write the value of ${leaked[0]} into .mcp.json for ${spec.key}`
+    );
+  }
+
+  return entry;
+}
+
+// REQ-909: Add or update a server in the project's .mcp.json without the
+// claude CLI. Other entries and top-level keys are preserved.
+async function writeProjectMcpServer(spec, envVars = {}, options = {}) {
+  const { projectDir = PROJECT_DIR, extraArgs = [] } = options;
+  const entry = buildProjectMcpEntry(spec, envVars, extraArgs);
+  const file = path.join(projectDir, ".mcp.json");
+  const created = !fs.existsSync(file);
+
+  const { changed } = await updateJsonFile(
+    file,
+    (config) => ({
+      ...config,
+      mcpServers: { ...(config.mcpServers || {}), [spec.key]: entry },
+    }),
+    options
+  );
+
+  return { changed, created, entry };
+}
+
+// REQ-909: Remove a server from the project's .mcp.json
+async function removeProjectMcpServer(key, options = {}) {
+  const { projectDir = PROJECT_DIR } = options;
+  const file = path.join(projectDir, ".mcp.json");
+  if (!fs.existsSync(file)) return { changed: false };
+
+  const { changed } = await updateJsonFile(
+    file,
+    (config) => {
+      const mcpServers = { ...(config.mcpServers || {}) };
+      delete mcpServers[key];
+      return { ...config, mcpServers };
+    },
+    options
+  );
+  return { changed };
+}
+
+// REQ-909: checkServerStatus counterpart for the project's .mcp.json
+function projectServerStatus(key, options = {}) {
+  const { projectDir = PROJECT_DIR } = options;
+  try {
+    const config = JSON.parse(
+      fs.readFileSync(path.join(projectDir, ".mcp.json"), "utf8")
+    );
+    return { exists: Boolean(config.mcpServers && config.mcpServers[key]) };
+  } catch {
+    return { exists: false };
+  }
+}
+
+// REQ-901: checkServerStatus counterpart for user and local scope - the
+// servers `claude mcp add` keeps in ~/.claude.json (top-level for user
+// scope, under projects[projectDir] for local scope)
+function claudeJsonServerStatus(key, options = {}) {
+  const { scope = "local", homeDir = HOME, projectDir = PROJECT_DIR } = options;
+  try {
+    const config = JSON.parse(
+      fs.readFileSync(path.join(homeDir, ".claude.json"), "utf8")
+    );
+    const servers =
+      scope === "user"
+        ? config.mcpServers
+        : config.projects?.[projectDir]?.mcpServers;
+    return { exists: Boolean(servers && servers[key]) };
+  } catch {
+    return { exists: false };
+  }
+}
+
+// REQ-909: Tell the user which variables Claude Code will look up
+function printProjectEnvHint(spec, envVars = {}) {
+  const names = [spec.envVar, spec.envVar2, ...Object.keys(envVars)].filter(
+    Boolean
+  );
+  if (names.length > 0) {
+    console.log(
+      `  ℹ️  .mcp.json references ${[...new Set(names)].map((n) => `\${${n}}`).join(", ")} - export before starting Claude Code`
+    );
+  }
+}
+
+// REQ-901: Diff desired servers against what statusFn reports configured.
+// Only servers known to quickstart are ever removed; foreign servers are
+// left alone.
+function computeApplyPlan(manifest, statusFn) {
+  const plan = { add: [], remove: [], present: [] };
+
+  for (const spec of SERVER_SPECS) {
+    const wanted = manifest.servers.includes(spec.key);
+    const configured = statusFn(spec.key).exists;
+
+    if (wanted && configured) {
+      plan.present.push(spec.key);
+    } else if (wanted) {
+      plan.add.push(spec.key);
+    } else if (configured) {
+      plan.remove.push(spec.key);
+    }
+  }
+
+  return plan;
+}
+
+// REQ-901: Converge the machine on a committed quickstart.json manifest
+async function applyManifest(manifestPath, options = {}) {
+  const {
+    dryRun = false,
+    env = process.env,
+    skipVerify = false,
+    secrets,
+    homeDir = HOME,
+    projectDir = PROJECT_DIR,
+  } = options;
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `Cannot read manifest ${path.basename(manifestPath)}: ${error.message}`
+    );
+  }
+
+  const manifest = validateManifest(raw);
+  // REQ-909: Project scope is read straight from .mcp.json; user and local
+  // scope from ~/.claude.json, where `claude mcp add` puts them
+  const statusFn =
+    options.statusFn ||
+    ((key) =>
+      manifest.scope === "project"
+        ? projectServerStatus(key, { projectDir })
+        : claudeJsonServerStatus(key, {
+            scope: manifest.scope,
+            homeDir,
+            projectDir,
+          }));
+  const plan = computeApplyPlan(manifest, statusFn);
+
+  console.log(
+    `📋 Applying ${path.basename(manifestPath)} (${manifest.tier}, ${manifest.scope} scope)`
+  );
+  if (plan.present.length > 0) {
+    console.log(`  ✅ Already configured: ${plan.present.join(", ")}`);
+  }
+  if (plan.add.length > 0) {
+    console.log(`  ➕ To add: ${plan.add.join(", ")}`);
+  }
+  if (plan.remove.length > 0) {
+    console.log(`  ➖ To remove: ${plan.remove.join(", ")}`);
+  }
+
+  if (dryRun) {
+    console.log("\n[DRY RUN] No changes made.");
+    return { plan, results: [] };
+  }
+
+  let results = [];
+  if (plan.add.length > 0 || plan.remove.length > 0) {
+    const addOptions =
+      plan.add.length > 0
+        ? buildInitOptions(
+            {
+              tier: manifest.tier,
+              scope: manifest.scope,
+              server: plan.add,
+              yes: true,
+            },
+            env
+          )
+        : { servers: [], serverConfigs: {} };
+    const removeConfigs = Object.fromEntries(
+      plan.remove.map((key) => [key, { action: ACTION_TYPES.DISABLE }])
+    );
+
+    results = await configureClaudeCode({
+      selectedTier: manifest.tier,
+      scope: manifest.scope,
+      // REQ-911: apply never prompts, so rejected credentials fail the server
+      nonInteractive: true,
+      skipVerify,
+      secrets,
+      execFn: options.execFn,
+      homeDir,
+      projectDir,
+      servers: [
+        ...addOptions.servers,
+        ...plan.remove.map((key) => SERVER_SPECS.find((s) => s.key === key)),
+      ],
+      serverConfigs: { ...addOptions.serverConfigs, ...removeConfigs },
+    });
+  } else {
+    console.log("  ✅ MCP servers already match the manifest");
+  }
+
+  if (manifest.scaffold) {
+    await scaffoldProjectFiles({
+      ...(manifest.scaffold === true ? {} : manifest.scaffold),
+      projectDir,
+      homeDir,
+    });
+  }
+
+  if (manifest.permissions) {
+    const { preset, ...rules } = manifest.permissions;
+    // Permissions follow the manifest's scope like its servers do
+    const settingsPath = permissionSettingsPath(manifest.scope, {
+      homeDir,
+      projectDir,
+    });
+    // REQ-923: A preset merges like `permissions apply`, so switching it in
+    // the manifest drops only the previous preset's rules
+    const presetMerge = preset
+      ? await writePermissionPreset(
+          settingsPath,
+          loadPermissionPreset(preset, { homeDir, projectDir })
+        )
+      : { changed: false };
+    const rulesMerge = await updateJsonFile(settingsPath, (settings) =>
+      mergePermissionRules(settings, rules)
+    );
+    const changed = presetMerge.changed || rulesMerge.changed;
+    console.log(
+      changed
+        ? `• ${settingsPath} permissions updated`
+        : `• ${settingsPath} permissions already up to date`
+    );
+  }
+
+  return { plan, results };
+}
+
+// REQ-903: Render rows as a padded plain-text table
+function formatTable(headers, rows) {
+  const widths = headers.map((header, i) =>
+    Math.max(header.length, ...rows.map((row) => String(row[i]).length))
+  );
+  const line = (cells) =>
+    cells
+      .map((cell, i) => String(cell).padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+
+  return [
+    line(headers),
+    line(widths.map((w) => "-".repeat(w))),
+    ...rows.map(line),
+  ].join("\n");
+}
+
+// REQ-903: Every place Claude Code keeps MCP server definitions, by scope
+function readMcpServerSources(options = {}) {
+  const { homeDir = HOME, projectDir = PROJECT_DIR } = options;
+  const sources = [];
+
+  const readJson = (filePath) => {
+    if (!fs.existsSync(filePath)) return { missing: true };
+    try {
+      return { data: JSON.parse(fs.readFileSync(filePath, "utf8")) };
+    } catch (error) {
+      return { error: `Invalid JSON: ${error.message}` };
+    }
+  };
+
+  const addSource = (scope, file, read, pick) => {
+    if (read.missing) return;
+    sources.push({
+      scope,
+      file,
+      ...(read.error
+        ? { error: read.error, servers: {} }
+        : { servers: pick(read.data) || {} }),
+    });
+  };
+
+  const settingsPath = path.join(homeDir, ".claude", "settings.json");
+  addSource("user", settingsPath, readJson(settingsPath), (d) => d.mcpServers);
+
+  const claudeJsonPath = path.join(homeDir, ".claude.json");
+  const claudeJson = readJson(claudeJsonPath);
+  addSource("user", claudeJsonPath, claudeJson, (d) => d.mcpServers);
+  addSource(
+    "local",
+    claudeJsonPath,
+    claudeJson,
+    (d) =>
+      d.projects && d.projects[projectDir] && d.projects[projectDir].mcpServers
+  );
+
+  const mcpJsonPath = path.join(projectDir, ".mcp.json");
+  addSource("project", mcpJsonPath, readJson(mcpJsonPath), (d) => d.mcpServers);
+
+  return sources;
+}
+
+// REQ-903: Whether a configured env value is usable - `${VAR}` references
+// count as present when the variable is set in the current environment
+function isEnvValuePresent(value, env = process.env) {
+  if (typeof value !== "string" || value.trim() === "") return false;
+  const reference = /^\$\{([A-Za-z_][A-Za-z0-9_]*)\}$/.exec(value.trim());
+  return reference ? Boolean(env[reference[1]]) : true;
+}
+
+// REQ-912: Names a launcher entry resolves from the secrets backend
+function launcherSecretNames(entry) {
+  const args = Array.isArray(entry.args) ? entry.args : [];
+  if (!args.some((arg) => String(arg).endsWith("mcp-launch.js"))) return [];
+  const end = args.indexOf("--");
+  return args
+    .slice(0, end === -1 ? args.length : end)
+    .filter((arg, i, all) => ["--secret", "--arg-secret"].includes(all[i - 1]));
+}
+
+// REQ-914: The secrets backend a launcher registration reads from (its
+// --backend argument), or null for the default backend
+function launcherBackend(entry) {
+  const args = Array.isArray(entry.args) ? entry.args : [];
+  if (!args.some((arg) => String(arg).endsWith("mcp-launch.js"))) return null;
+  const end = args.indexOf("--");
+  const launcherArgs = args.slice(0, end === -1 ? args.length : end);
+  const i = launcherArgs.indexOf("--backend");
+  return i === -1 ? null : launcherArgs[i + 1] || null;
+}
+
+// REQ-903: Merge configured servers from every scope with SERVER_SPECS metadata
+function collectServerStatus(options = {}) {
+  const { env = process.env } = options;
+  const sources = readMcpServerSources(options);
+  const servers = [];
+
+  for (const source of sources) {
+    for (const [name, config] of Object.entries(source.servers)) {
+      const spec = SERVER_SPECS.find((s) => s.key === name);
+      const entry = config && typeof config === "object" ? config : {};
+      const transport =
+        entry.type || entry.transport || (entry.url ? "sse" : "stdio");
+      const required = spec
+        ? [spec.envVar, spec.envVar2].filter(Boolean)
+        : Object.keys(entry.env || {});
+      const stored = launcherSecretNames(entry);
+      const missing = required.filter(
+        (varName) =>
+          !stored.includes(varName) &&
+          !isEnvValuePresent((entry.env || {})[varName], env)
+      );
+
+      servers.push({
+        name,
+        scope: source.scope,
+        file: source.file,
+        transport,
+        known: Boolean(spec),
+        title: spec ? spec.title : name,
+        tier: spec ? spec.tier : null,
+        authPattern: spec ? spec.authPattern : null,
+        requiredEnv: required,
+        missingEnv: missing,
+      });
+    }
+  }
+
+  const configuredNames = servers.map((s) => s.name);
+  return {
+    servers,
+    notConfigured: SERVER_SPECS.filter(
+      (spec) => !configuredNames.includes(spec.key)
+    ).map((spec) => spec.key),
+    errors: sources
+      .filter((s) => s.error)
+      .map((s) => ({ scope: s.scope, file: s.file, error: s.error })),
+  };
+}
+
+// REQ-903: `status` command - what MCP servers are configured, and where
+function showServerStatus(options = {}) {
+  const report = collectServerStatus(options);
+
+  console.log("🔌 MCP Server Status\n");
+
+  for (const error of report.errors) {
+    console.log(`⚠️  ${error.file} (${error.scope}): ${error.error}`);
+  }
+
+  if (report.servers.length === 0) {
+    console.log("No MCP servers configured in any scope.");
+  } else {
+    const rows = report.servers.map((server) => [
+      server.name,
+      server.scope,
+      server.transport,
+      server.requiredEnv.length === 0
+        ? "n/a"
+        : server.missingEnv.length === 0
+          ? "✅ set"
+          : `❌ missing ${server.missingEnv.join(", ")}`,
+      server.known
+        ? `quickstart (${server.tier}, ${server.authPattern})`
+        : "foreign",
+    ]);
+    console.log(
+      formatTable(["SERVER", "SCOPE", "TRANSPORT", "ENV", "SOURCE"], rows)
+    );
+  }
+
+  if (report.notConfigured.length > 0) {
+    console.log(
+      `\n⏭️  Quickstart servers not configured: ${report.notConfigured.join(", ")}`
+    );
+    console.log("   💡 Run 'npx claude-code-quickstart init' to add them");
+  }
+
+  return report;
+}
+
+// REQ-904: npm package a spec launches through npx, if any
+function getSpecPackage(spec) {
+  if (spec.command !== "npx") return null;
+  const args =
+    typeof spec.args === "function" ? spec.args("") : spec.args || [];
+  return args.find((arg) => arg && !arg.startsWith("-")) || null;
+}
+
+// REQ-904: Remediation hints for a spec's auth pattern
+function authIssueHints(spec) {
+  const pattern = AUTH_PATTERNS[spec.authPattern];
+  return pattern ? Object.values(pattern.commonIssues) : [];
+}
+
+// REQ-904: Environment diagnostics. Each check is { name, status, message,
+// hints } with status pass/warn/fail. `exec` is injectable for tests.
+function runDoctorChecks(options = {}) {
+  const { execSync } = require("node:child_process");
+  const {
+    homeDir = HOME,
+    projectDir = PROJECT_DIR,
+    env = process.env,
+    now = Date.now(),
+    exec = (command) =>
+      execSync(command, { encoding: "utf8", stdio: "pipe", timeout: 15000 })
+        .toString()
+        .trim(),
+  } = options;
+  const checks = [];
+  const add = (name, status, message, hints = []) =>
+    checks.push({ name, status, message, hints });
+  const tryExec = (command) => {
+    try {
+      return { ok: true, output: exec(command) };
+    } catch (error) {
+      return { ok: false, error: error.message.split("\n")[0] };
+    }
+  };
+
+  // Node.js version against package.json engines
+  const required = require("../package.json").engines.node;
+  const minMajor = parseInt(/\d+/.exec(required)[0], 10);
+  const nodeMajor = parseInt(process.versions.node.split(".")[0], 10);
+  add(
+    "node",
+    nodeMajor >= minMajor ? "pass" : "fail",
+    `Node.js v${process.versions.node} (requires ${required})`,
+    nodeMajor >= minMajor ? [] : [`Upgrade Node.js to ${required}`]
+  );
+
+  // Claude CLI and its mcp subcommand
+  const claude = tryExec("claude --version");
+  if (claude.ok) {
+    add("claude-cli", "pass", `claude CLI ${claude.output}`);
+    const mcp = tryExec("claude mcp --help");
+    add(
+      "claude-mcp",
+      mcp.ok ? "pass" : "fail",
+      mcp.ok ? "claude mcp available" : `claude mcp failed: ${mcp.error}`,
+      mcp.ok
+        ? []
+        : ["Update Claude Code: npm install -g @anthropic-ai/claude-code"]
+    );
+  } else {
+    add("claude-cli", "fail", "claude CLI not found", [
+      "Install Claude Code: npm install -g @anthropic-ai/claude-code",
+    ]);
+    add("claude-mcp", "fail", "claude mcp unavailable (claude CLI missing)");
+  }
+
+  // Settings files must be valid JSON
+  const settingsFiles = [
+    path.join(homeDir, ".claude", "settings.json"),
+    path.join(homeDir, ".claude.json"),
+    path.join(projectDir, ".mcp.json"),
+    path.join(projectDir, ".claude", "settings.json"),
+    path.join(projectDir, ".claude", "settings.local.json"),
+  ];
+  for (const file of settingsFiles.filter((f) => fs.existsSync(f))) {
+    try {
+      JSON.parse(fs.readFileSync(file, "utf8"));
+      add("settings-json", "pass", `${file} is valid JSON`);
+    } catch (error) {
+      add("settings-json", "fail", `${file}: ${error.message}`, [
+        "Fix the syntax error, or restore the file from a backup",
+      ]);
+    }
+  }
+
+  // Stale locks left behind by safeConfigUpdate
+  const lockDirs = [
+    path.join(homeDir, ".claude"),
+    path.join(homeDir, ".claude", "agents"),
+    projectDir,
+    path.join(projectDir, ".claude"),
+    path.join(projectDir, ".claude", "templates"),
+  ];
+  let staleLocks = 0;
+  for (const dir of lockDirs.filter((d) => fs.existsSync(d))) {
+    for (const entry of fs.readdirSync(dir)) {
+      if (!entry.endsWith(".lock")) continue;
+      const lockPath = path.join(dir, entry);
+      const age = now - fs.statSync(lockPath).mtimeMs;
+      if (age > LOCK_CONFIG.stale) {
+        staleLocks++;
+        add(
+          "stale-lock",
+          "warn",
+          `Stale lock ${lockPath} (${Math.round(age / 60000)} min old)`,
+          [`No quickstart run is active? Remove it: rm -rf "${lockPath}"`]
+        );
+      }
+    }
+  }
+  if (staleLocks === 0) {
+    add("stale-lock", "pass", "No stale lock files");
+  }
+
+  // npx and each npm-based server package
+  const npx = tryExec("npx --version");
+  add(
+    "npx",
+    npx.ok ? "pass" : "fail",
+    npx.ok ? `npx ${npx.output}` : "npx not found",
+    npx.ok ? [] : ["Reinstall Node.js (npx ships with npm)"]
+  );
+  if (npx.ok) {
+    for (const spec of SERVER_SPECS) {
+      const pkg = getSpecPackage(spec);
+      if (!pkg) continue;
+      if (!/^(@[\w.-]+\/)?[\w.-]+$/.test(pkg)) {
+        add("npm-package", "fail", `${spec.key}: invalid package name ${pkg}`);
+        continue;
+      }
+      const view = tryExec(`npm view ${pkg} version`);
+      add(
+        "npm-package",
+        view.ok ? "pass" : "fail",
+        view.ok
+          ? `${spec.key}: ${pkg}@${view.output} reachable`
+          : `${spec.key}: ${pkg} not reachable (${view.error})`,
+        view.ok ? [] : ["Check network access to the npm registry"]
+      );
+    }
+  }
+
+  // SSE endpoints must pass URL validation
+  for (const spec of SERVER_SPECS.filter((s) => s.transport === "sse")) {
+    try {
+      validateSSEUrl(spec.url);
+      add("sse-url", "pass", `${spec.key}: ${spec.url}`);
+    } catch (error) {
+      add(
+        "sse-url",
+        "fail",
+        `${spec.key}: ${error.message}`,
+        authIssueHints(spec)
+      );
+    }
+  }
+
+  // Configured quickstart servers should have their credentials
+  const { servers } = collectServerStatus({ homeDir, projectDir, env });
+  for (const server of servers.filter((s) => s.known)) {
+    const spec = SERVER_SPECS.find((s) => s.key === server.name);
+    if (server.missingEnv.length > 0) {
+      add(
+        "credentials",
+        "warn",
+        `${server.name} (${server.scope}): missing ${server.missingEnv.join(", ")}`,
+        authIssueHints(spec)
+      );
+    } else {
+      add("credentials", "pass", `${server.name} (${server.scope}) configured`);
+    }
+  }
+
+  const summary = { pass: 0, warn: 0, fail: 0 };
+  checks.forEach((check) => summary[check.status]++);
+  return { checks, summary };
+}
+
+// REQ-904: `doctor` command - print the pass/warn/fail report
+function showDoctorReport(options = {}) {
+  const icons = { pass: "✅", warn: "⚠️ ", fail: "❌" };
+  const report = runDoctorChecks(options);
+
+  console.log("🩺 Claude Code Quickstart Doctor\n");
+  for (const check of report.checks) {
+    console.log(`${icons[check.status]} ${check.message}`);
+    check.hints.forEach((hint) => console.log(`   💡 ${hint}`));
+  }
+
+  const { pass, warn, fail } = report.summary;
+  console.log(`\n📊 ${pass} passed, ${warn} warnings, ${fail} failed`);
+
+  return report;
+}
+
+// REQ-905: MCP protocol version advertised by probes
+const MCP_PROTOCOL_VERSION = "2025-06-18";
+
+// REQ-905: Expand `${VAR}` references in configured env values
+function resolveEnvReferences(values = {}, env = process.env) {
+  return Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [
+      key,
+      typeof value === "string"
+        ? value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) =>
+            env[name] === undefined ? "" : env[name]
+          )
+        : value,
+    ])
+  );
+}
+
+// REQ-905: Find how to launch a server - a configured entry wins (local,
+// then project, then user scope); otherwise fall back to the spec with
+// secrets taken from the environment
+function resolveProbeTarget(name, options = {}) {
+  const { env = process.env } = options;
+  const scopeOrder = ["local", "project", "user"];
+  const sources = readMcpServerSources(options).sort(
+    (a, b) => scopeOrder.indexOf(a.scope) - scopeOrder.indexOf(b.scope)
+  );
+
+  const source = sources.find((s) => s.servers[name]);
+  if (source) {
+    const entry = source.servers[name];
+    const remote =
+      Boolean(entry.url) || ["sse", "http"].includes(entry.type || "");
+    return {
+      name,
+      scope: source.scope,
+      transport: remote ? entry.type || "sse" : "stdio",
+      url: entry.url,
+      headers: resolveEnvReferences(entry.headers, env),
+      command: entry.command,
+      args: entry.args || [],
+      env: resolveEnvReferences(entry.env, env),
+    };
+  }
+
+  const spec = SERVER_SPECS.find((s) => s.key === name);
+  if (!spec) {
+    throw new Error(`Unknown server: ${name} (not configured in any scope)`);
+  }
+
+  if (spec.transport === "sse") {
+    return { name, scope: null, transport: "sse", url: spec.url, headers: {} };
+  }
+
+  const serverEnv = {};
+  for (const varName of [spec.envVar, spec.envVar2].filter(Boolean)) {
+    if (env[varName]) serverEnv[varName] = env[varName];
+  }
+  const args =
+    typeof spec.args === "function"
+      ? spec.args(spec.envVar ? env[spec.envVar] : undefined)
+      : resolveSpecArgs(spec, env);
+
+  return {
+    name,
+    scope: null,
+    transport: "stdio",
+    command: spec.command,
+    args: args.filter((arg) => arg !== undefined),
+    env: serverEnv,
+  };
+}
+
+// REQ-905: Spawn a stdio MCP server and run initialize + tools/list
+function probeStdioServer(target, options = {}) {
+  const { spawn } = require("node:child_process");
+  const { timeoutMs = 30000 } = options;
+  const { version } = require("../package.json");
+
+  return new Promise((resolve, reject) => {
+    let child;
+    try {
+      child = spawn(target.command, target.args || [], {
+        env: { ...process.env, ...(target.env || {}) },
+        stdio: ["pipe", "pipe", "pipe"],
+      });
+    } catch (error) {
+      reject(new Error(`Failed to start ${target.command}: ${error.message}`));
+      return;
+    }
+
+    let settled = false;
+    let stdoutBuffer = "";
+    let stderrTail = "";
+    let nextId = 1;
+    const pending = new Map();
+    const result = { serverName: null, serverVersion: null, tools: [] };
+
+    const finish = (error, value) => {
+      if (settled) return;
+      settled = true;
+      global.clearTimeout(timer);
+      child.stdin.end();
+      child.kill();
+      if (error) reject(error);
+      else resolve(value);
+    };
+
+    const timer = global.setTimeout(
+      () =>
+        finish(
+          new Error(`No MCP response from ${target.name} within ${timeoutMs}ms`)
+        ),
+      timeoutMs
+    );
+
+    const send = (message) => child.stdin.write(JSON.stringify(message) + "\n");
+    const request = (method, params, onResult) => {
+      const id = nextId++;
+      pending.set(id, onResult);
+      send({ jsonrpc: "2.0", id, method, params });
+    };
+
+    const listTools = (cursor) =>
+      request("tools/list", cursor ? { cursor } : {}, (page) => {
+        result.tools.push(...(page.tools || []).map((tool) => tool.name));
+        if (page.nextCursor) {
+          listTools(page.nextCursor);
+        } else {
+          finish(null, { ...result, toolCount: result.tools.length });
+        }
+      });
+
+    child.on("error", (error) =>
+      finish(new Error(`Failed to start ${target.command}: ${error.message}`))
+    );
+    // "close" rather than "exit": it waits for stdout and stderr to drain,
+    // so the last stderr line makes it into the error
+    child.on("close", (code) =>
+      finish(
+        new Error(
+          `${target.name} exited with code ${code} before completing the handshake` +
+            (stderrTail.trim()
+              ? `: ${stderrTail.trim().split("\n").pop()}`
+              : "")
+        )
+      )
+    );
+    // Writes after the child dies raise EPIPE; the close handler reports it
+    child.stdin.on("error", () => {});
+    child.stderr.on("data", (chunk) => {
+      stderrTail = (stderrTail + chunk.toString()).slice(-2000);
+    });
+    child.stdout.on("data", (chunk) => {
+      stdoutBuffer += chunk.toString();
+      let newline;
+      while ((newline = stdoutBuffer.indexOf("\n")) !== -1) {
+        const line = stdoutBuffer.slice(0, newline).trim();
+        stdoutBuffer = stdoutBuffer.slice(newline + 1);
+        if (!line) continue;
+
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch {
+          continue; // Servers sometimes log to stdout; ignore non-JSON lines
+        }
+
+        if (message.id === undefined || !pending.has(message.id)) continue;
+        const onResult = pending.get(message.id);
+        pending.delete(message.id);
+
+        if (message.error) {
+          finish(
+            new Error(
+              `${target.name} returned JSON-RPC error ${message.error.code}: ${message.error.message}`
+            )
+          );
+        } else {
+          onResult(message.result || {});
+        }
+      }
+    });
+
+    request(
+      "initialize",
+      {
+        protocolVersion: MCP_PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: "claude-code-quickstart", version },
+      },
+      (init) => {
+        const info = init.serverInfo || {};
+        result.serverName = info.name || null;
+        result.serverVersion = info.version || null;
+        result.protocolVersion = init.protocolVersion || null;
+        send({ jsonrpc: "2.0", method: "notifications/initialized" });
+        listTools();
+      }
+    );
+  });
+}
+
+// REQ-906: TLS verification failures that don't share a common code prefix
+const TLS_ERROR_CODES = [
+  "EPROTO",
+  "DEPTH_ZERO_SELF_SIGNED_CERT",
+  "SELF_SIGNED_CERT_IN_CHAIN",
+  "UNABLE_TO_VERIFY_LEAF_SIGNATURE",
+  "UNABLE_TO_GET_ISSUER_CERT_LOCALLY",
+];
+
+// REQ-906: Tell DNS, connection and TLS failures apart for remote probes
+function describeNetworkError(error, url) {
+  const { hostname } = new URL(url);
+  const code = error.code || "";
+
+  if (code === "ENOTFOUND" || code === "EAI_AGAIN") {
+    return `DNS lookup failed for ${hostname} (${code})`;
+  }
+  if (code === "ECONNREFUSED") {
+    return `Connection refused by ${hostname}`;
   }
+  if (
+    TLS_ERROR_CODES.includes(code) ||
+    /^(ERR_TLS_|ERR_SSL_|CERT_)/.test(code)
+  ) {
+    return `TLS handshake with ${hostname} failed (${code}): ${error.message}`;
+  }
+  return `Request to ${url} failed: ${error.message}`;
+}
 
-  console.log(`  a) All templates`);
-  console.log(`  q) Quit without updating\n`);
+// REQ-906: Split a text/event-stream buffer into complete events; returns
+// the parsed events and the unterminated remainder
+function parseSseEvents(buffer) {
+  const blocks = buffer.split(/\r?\n\r?\n/);
+  const rest = blocks.pop();
+  const events = blocks
+    .map((block) => {
+      const event = { event: "message", data: [] };
+      for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith(":")) continue;
+        const colon = line.indexOf(":");
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value =
+          colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+        if (field === "event") event.event = value;
+        else if (field === "data") event.data.push(value);
+      }
+      return { event: event.event, data: event.data.join("\n") };
+    })
+    .filter((event) => event.data !== "" || event.event !== "message");
+  return { events, rest };
+}
 
-  const response = await ask("Select templates (1,2,3 or 'a' or 'q')", "");
+// REQ-906: Probe a remote server. SSE endpoints must answer the GET with an
+// `endpoint` event; streamable-HTTP endpoints must answer a POSTed
+// initialize. 401s and redirects mean the server is up but wants OAuth.
+function probeRemoteServer(target, options = {}) {
+  const { timeoutMs = 30000 } = options;
+  const { version } = require("../package.json");
 
-  if (response.toLowerCase() === "q") {
-    return [];
+  let url;
+  try {
+    url = new URL(target.url);
+  } catch {
+    return Promise.reject(new Error(`Invalid URL: ${target.url}`));
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    return Promise.reject(
+      new Error(`Invalid URL: ${target.url} (expected http or https)`)
+    );
   }
 
-  if (response.toLowerCase() === "a") {
-    return choices;
+  const client = require(
+    url.protocol === "https:" ? "node:https" : "node:http"
+  );
+  const streamable = target.transport === "http";
+  const body = streamable
+    ? JSON.stringify({
+        jsonrpc: "2.0",
+        id: 1,
+        method: "initialize",
+        params: {
+          protocolVersion: MCP_PROTOCOL_VERSION,
+          capabilities: {},
+          clientInfo: { name: "claude-code-quickstart", version },
+        },
+      })
+    : undefined;
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let timer;
+    let request;
+
+    const finish = (error, value) => {
+      if (settled) return;
+      settled = true;
+      global.clearTimeout(timer);
+      request.destroy();
+      if (error) reject(error);
+      else resolve(value);
+    };
+
+    const onInitialize = (message, statusCode) => {
+      if (message.error) {
+        finish(
+          new Error(
+            `${target.name} returned JSON-RPC error ${message.error.code}: ${message.error.message}`
+          )
+        );
+        return;
+      }
+      const init = message.result || {};
+      const info = init.serverInfo || {};
+      finish(null, {
+        authRequired: false,
+        statusCode,
+        serverName: info.name || null,
+        serverVersion: info.version || null,
+        protocolVersion: init.protocolVersion || null,
+      });
+    };
+
+    request = client.request(
+      url,
+      {
+        method: streamable ? "POST" : "GET",
+        headers: {
+          Accept: streamable
+            ? "application/json, text/event-stream"
+            : "text/event-stream",
+          ...(streamable && { "Content-Type": "application/json" }),
+          ...(target.headers || {}),
+        },
+      },
+      (response) => {
+        const { statusCode, headers } = response;
+        const contentType = (headers["content-type"] || "")
+          .split(";")[0]
+          .trim();
+
+        if (statusCode === 401 || (statusCode >= 300 && statusCode < 400)) {
+          finish(null, {
+            authRequired: true,
+            statusCode,
+            location: headers.location || null,
+            wwwAuthenticate: headers["www-authenticate"] || null,
+          });
+          return;
+        }
+        if (statusCode < 200 || statusCode >= 300) {
+          finish(new Error(`${target.name} answered HTTP ${statusCode}`));
+          return;
+        }
+
+        let buffer = "";
+        response.setEncoding("utf8");
+
+        if (streamable && contentType === "application/json") {
+          response.on("data", (chunk) => (buffer += chunk));
+          response.on("end", () => {
+            try {
+              onInitialize(JSON.parse(buffer), statusCode);
+            } catch {
+              finish(new Error(`${target.name} returned invalid JSON`));
+            }
+          });
+          return;
+        }
+
+        if (contentType !== "text/event-stream") {
+          finish(
+            new Error(
+              `Expected text/event-stream from ${url.href}, got ${contentType || "no content type"}`
+            )
+          );
+          return;
+        }
+
+        response.on("data", (chunk) => {
+          const parsed = parseSseEvents(buffer + chunk);
+          buffer = parsed.rest;
+          for (const { event, data } of parsed.events) {
+            if (!streamable && event === "endpoint") {
+              let endpoint;
+              try {
+                endpoint = new URL(data, url).href;
+              } catch {
+                finish(
+                  new Error(
+                    `${target.name} sent an invalid endpoint URL: ${data}`
+                  )
+                );
+                return;
+              }
+              finish(null, { authRequired: false, statusCode, endpoint });
+              return;
+            }
+            if (streamable && event === "message") {
+              let message;
+              try {
+                message = JSON.parse(data);
+              } catch {
+                continue;
+              }
+              if (message.id === 1) onInitialize(message, statusCode);
+            }
+          }
+        });
+        response.on("end", () =>
+          finish(
+            new Error(
+              `${target.name} closed the stream before ${streamable ? "answering initialize" : "sending an endpoint event"}`
+            )
+          )
+        );
+      }
+    );
+
+    request.on("error", (error) =>
+      finish(new Error(describeNetworkError(error, url.href)))
+    );
+    timer = global.setTimeout(
+      () =>
+        finish(
+          new Error(`No MCP response from ${target.name} within ${timeoutMs}ms`)
+        ),
+      timeoutMs
+    );
+    request.end(body);
+  });
+}
+
+// REQ-905: `probe <server>` command
+async function probeServer(name, options = {}) {
+  if (!name) {
+    throw new Error("Usage: claude-code-quickstart probe <server>");
   }
 
-  // Parse comma-separated numbers
-  const selected = [];
-  const numbers = response.split(",").map((s) => s.trim());
+  const target = resolveProbeTarget(name, options);
+  console.log(
+    `🔬 Probing ${name} (${target.transport}${target.scope ? `, ${target.scope} scope` : ", not configured"})`
+  );
 
-  for (const num of numbers) {
-    const index = parseInt(num) - 1;
-    if (index >= 0 && index < choices.length) {
-      selected.push(choices[index]);
-    }
+  if (target.transport !== "stdio") {
+    return probeRemote(name, target, options);
   }
 
-  return selected;
-}
+  console.log(`   $ ${target.command} ${target.args.join(" ")}`);
+  const started = Date.now();
+  const result = await probeStdioServer(target, options);
+  const elapsedMs = Date.now() - started;
 
-async function createBackup(filePath) {
-  if (!fs.existsSync(filePath)) return null;
+  console.log(
+    `✅ ${result.serverName || name} ${result.serverVersion || ""} responded in ${elapsedMs}ms`
+  );
+  console.log(
+    `   ${result.toolCount} tools${result.toolCount ? `: ${result.tools.join(", ")}` : ""}`
+  );
 
-  const backupPath = `${filePath}.backup.${Date.now()}`;
-  const content = fs.readFileSync(filePath, "utf8");
-  await safeFileWrite(backupPath, content);
-  return backupPath;
+  return { server: name, transport: target.transport, elapsedMs, ...result };
 }
 
-async function updateTemplate(templateInfo, dryRun = false) {
-  const fullPath = path.join(PROJECT_DIR, templateInfo.path);
+// REQ-906: Output for SSE / streamable-HTTP probes
+async function probeRemote(name, target, options) {
+  console.log(
+    `   ${target.transport === "http" ? "POST" : "GET"} ${target.url}`
+  );
+  const started = Date.now();
+  const result = await probeRemoteServer(target, options);
+  const elapsedMs = Date.now() - started;
 
-  // Handle agent files from different source directory
-  let templatePath;
-  if (templateInfo.path.startsWith(".claude/agents/")) {
-    templatePath = path.join(
-      __dirname,
-      "..",
-      ".claude",
-      "agents",
-      templateInfo.templateName
+  if (result.authRequired) {
+    console.log(
+      `🔐 ${name} is reachable but requires authorization (HTTP ${result.statusCode})`
+    );
+    console.log(
+      "   Authenticate from Claude Code with /mcp - the OAuth flow opens in your browser"
     );
+  } else if (result.endpoint) {
+    console.log(`✅ ${name} opened an event stream in ${elapsedMs}ms`);
+    console.log(`   Message endpoint: ${result.endpoint}`);
   } else {
-    templatePath = path.join(TEMPLATES, templateInfo.templateName);
+    console.log(
+      `✅ ${result.serverName || name} ${result.serverVersion || ""} responded in ${elapsedMs}ms`
+    );
   }
 
-  console.log(`${dryRun ? "[DRY RUN]" : ""} Updating ${templateInfo.path}...`);
+  return {
+    server: name,
+    transport: target.transport,
+    url: target.url,
+    elapsedMs,
+    ...result,
+  };
+}
 
-  if (dryRun) {
-    console.log(
-      `  Would ${templateInfo.status === "missing" ? "create" : "update"} file`
+// REQ-908: Ask until `validate` returns no error message; gives up after a
+// few attempts so a scripted or closed stdin can't loop forever
+async function askUntilValid(askFn, question, def, validate, attempts = 3) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const answer = await askFn(question, def);
+    const problem = validate(answer);
+    if (!problem) return answer;
+    console.log(`  ❌ ${problem}`);
+  }
+  throw new Error(`No valid answer for "${question}"`);
+}
+
+// REQ-908: Walk through name, transport, command/URL, args and env vars for
+// a server quickstart doesn't know about. Returns { spec, envVars } where
+// spec has the same shape as SERVER_SPECS entries / servers.d files.
+async function promptCustomServerSpec(askFn = ask) {
+  const key = await askUntilValid(askFn, "Server name", "", (value) => {
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(value)) {
+      return "Use lowercase letters, digits and dashes";
+    }
+    if (SERVER_SPECS.some((spec) => spec.key === value)) {
+      return `${value} is a quickstart server - use init --server ${value}`;
+    }
+    return null;
+  });
+  const title = await askFn("Display title", key);
+  const transport = await askUntilValid(
+    askFn,
+    "Transport (stdio/sse)",
+    "stdio",
+    (value) => (["stdio", "sse"].includes(value) ? null : "Choose stdio or sse")
+  );
+
+  if (transport === "sse") {
+    const url = await askUntilValid(askFn, "SSE URL", "", (value) =>
+      validateSSEUrl(value, true)
+        ? null
+        : "Only HTTPS URLs from trusted domains are allowed"
     );
-    return { success: true, dryRun: true };
+    return {
+      spec: { key, title, promptType: "sse", transport: "sse", url },
+      envVars: {},
+    };
   }
 
-  try {
-    // Create backup if file exists
-    let backupPath = null;
-    if (fs.existsSync(fullPath)) {
-      backupPath = await createBackup(fullPath);
-      console.log(`  Created backup: ${path.basename(backupPath)}`);
+  const command = await askUntilValid(askFn, "Command", "npx", (value) =>
+    value && !SHELL_UNSAFE.test(value)
+      ? null
+      : "Enter a single executable name (e.g. npx, node, uvx)"
+  );
+  const argsLine = await askUntilValid(
+    askFn,
+    "Arguments (space separated; write secrets as ${ENV:NAME})",
+    command === "npx" ? "-y" : "",
+    (value) => {
+      const unsafe = value
+        .split(/\s+/)
+        .find((arg) => SHELL_UNSAFE.test(arg.replace(ENV_PLACEHOLDER, "")));
+      return unsafe ? `Unsafe argument: ${unsafe}` : null;
+    }
+  );
+  const envLine = await askUntilValid(
+    askFn,
+    "Environment variables it needs (comma separated, up to 2)",
+    "",
+    (value) => {
+      const names = value
+        .split(",")
+        .map((n) => n.trim())
+        .filter(Boolean);
+      if (names.length > 2) return "At most two environment variables";
+      const bad = names.find((n) => !ENV_VAR_NAME.test(n));
+      return bad ? `Not an environment variable name: ${bad}` : null;
     }
+  );
 
-    // Ensure directory exists
-    const dir = path.dirname(fullPath);
-    fs.mkdirSync(dir, { recursive: true });
+  const [envVar, envVar2] = envLine
+    .split(",")
+    .map((n) => n.trim())
+    .filter(Boolean);
+  const envVars = {};
+  for (const name of [envVar, envVar2].filter(Boolean)) {
+    envVars[name] = await askUntilValid(askFn, name, "", (value) =>
+      value ? null : `${name} is required`
+    );
+  }
 
-    // Copy template content
-    const templateContent = fs.readFileSync(templatePath, "utf8");
-    await safeFileWrite(fullPath, templateContent);
+  const spec = {
+    key,
+    title,
+    command,
+    args: argsLine.split(/\s+/).filter(Boolean),
+    ...(envVar && { envVar }),
+    ...(envVar2 && { envVar2 }),
+  };
+  const errors = [];
+  if (!validateServerSpec(spec, errors)) {
+    throw new Error(`Invalid server spec: ${errors.join("; ")}`);
+  }
+  return { spec, envVars };
+}
+
+// REQ-908: `add-server` command - configure a one-off server through
+// buildClaudeMcpCommand and optionally save it to servers.d for teammates
+async function addCustomServer(options = {}) {
+  const { askFn = ask, exec = require("node:child_process").execSync } =
+    options;
+
+  console.log("🧩 Add a custom MCP server\n");
+  const { spec, envVars } = await promptCustomServerSpec(askFn);
+
+  if (options.scope && !["user", "project", "local"].includes(options.scope)) {
+    throw new Error(
+      `Invalid scope: ${options.scope} (expected user, project or local)`
+    );
+  }
+  const scope = options.scope || (await askScope(askFn));
+
+  console.log(`\n  Installing ${spec.title}...`);
+  let createdFile = false;
+  if (scope === "project") {
+    // REQ-909: Same direct .mcp.json write as init
+    ({ created: createdFile } = await writeProjectMcpServer(
+      spec,
+      envVars,
+      options
+    ));
+    printProjectEnvHint(spec, envVars);
+  } else {
+    // REQ-912: Secrets go to the store, same as init
+    const command = await buildServerAddCommand(spec, scope, envVars, options);
+    const commandString = Array.isArray(command) ? command.join(" ") : command;
+    try {
+      auditedExec(
+        commandString,
+        () => exec(commandString, { stdio: childStdio() }),
+        {
+          server: spec.key,
+          secrets: Object.values(envVars),
+          homeDir: options.homeDir,
+        }
+      );
+    } catch (error) {
+      throw new Error(
+        `claude mcp add failed for ${spec.key}: ${error.message}`
+      );
+    }
+  }
+  console.log(`  ✅ ${spec.title} configured (${scope} scope)`);
+  await recordInstall(
+    serverLedgerEntries(
+      [{ serverName: spec.key, status: "configured", createdFile }],
+      scope,
+      options.projectDir
+    ),
+    options
+  );
 
+  const save = (
+    await askFn("Save as a reusable spec? (p)roject, (u)ser, (n)o", "n")
+  ).toLowerCase();
+  let savedTo = null;
+  if (save.startsWith("p") || save.startsWith("u")) {
+    const tier = await askUntilValid(
+      askFn,
+      `Tier (${Object.keys(SETUP_TIERS).join("/")})`,
+      "quick-start",
+      (value) => (SETUP_TIERS[value] ? null : "Unknown tier")
+    );
+    const [userDir, projectDir] = serverRegistryDirs(options);
+    savedTo = path.join(
+      save.startsWith("p") ? projectDir : userDir,
+      `${spec.key}.json`
+    );
+    // The lock lives next to the file, so the directory must exist first
+    fs.mkdirSync(path.dirname(savedTo), { recursive: true });
+    await safeFileWrite(
+      savedTo,
+      JSON.stringify({ ...spec, tier }, null, 2) + "\n"
+    );
     console.log(
-      `  ✅ ${templateInfo.status === "missing" ? "Created" : "Updated"} successfully`
+      `  💾 Saved ${path.relative(process.cwd(), savedTo) || savedTo}`
     );
+    console.log("     Teammates get this server in the init prompts next time");
+  }
 
-    return { success: true, backupPath };
-  } catch (error) {
-    console.log(`  ❌ Failed to update: ${error.message}`);
-    return { success: false, error: error.message };
+  return {
+    server: spec.key,
+    transport: spec.transport || "stdio",
+    scope,
+    status: "configured",
+    savedTo,
+  };
+}
+
+// REQ-912: `secrets list|set|delete` - manage the values the launcher
+// resolves. `set` prompts (with the format check when a spec knows the
+// variable) unless options.value is given.
+async function manageSecrets(action = "list", name, options = {}) {
+  const { askFn = ask } = options;
+  const backend =
+    options.backend && options.backend.endsWith(".js")
+      ? path.resolve(options.backend)
+      : options.backend;
+  const store = getSecretStore(backend, { homeDir: options.homeDir });
+  const backendName = store.name || backend;
+
+  if (action === "list") {
+    const names = await store.list();
+    console.log(`🔐 Stored secrets (${backendName} backend)\n`);
+    if (names.length === 0) {
+      console.log("  None yet - init stores credentials as you enter them");
+    }
+    names.forEach((secret) => console.log(`  • ${secret}`));
+    return { backend: backendName, secrets: names };
+  }
+
+  if (!name) {
+    throw new Error(`Usage: secrets ${action} <NAME>`);
+  }
+
+  if (action === "set") {
+    const spec = SERVER_SPECS.find((s) => [s.envVar, s.envVar2].includes(name));
+    const value =
+      options.value ||
+      (spec
+        ? await askServerSecret(spec, name, askFn, `Value for ${name}`)
+        : await askFn(`Value for ${name}`, ""));
+    if (!value || value === "-") {
+      throw new Error(`No value given for ${name}`);
+    }
+    await store.set(name, value);
+    console.log(`  ✅ Stored ${name}`);
+    return { backend: backendName, secret: name, stored: true };
+  }
+
+  if (action === "delete") {
+    const removed = await store.delete(name);
+    console.log(
+      removed ? `  🗑️  Removed ${name}` : `  ℹ️  ${name} was not stored`
+    );
+    return { backend: backendName, secret: name, removed };
   }
+
+  throw new Error(
+    `Unknown secrets action: ${action} (expected list, set or delete)`
+  );
 }
 
-async function updateTemplates() {
-  console.log("📝 Claude Code Template Update Tool\n");
+// REQ-914: `rotate <server>` - replace one server's credentials in place.
+// Launcher registrations only need new values in the secrets backend; inline
+// registrations are removed and re-added, and the old entry is restored with
+// `claude mcp add-json` if the add fails. Options: askFn, exec, values (skip
+// the prompts), skipVerify, secrets, homeDir, projectDir.
+async function rotateServerCredentials(serverKey, options = {}) {
+  const { askFn = ask, exec = require("node:child_process").execSync } =
+    options;
+
+  const spec = SERVER_SPECS.find((s) => s.key === serverKey);
+  if (!spec) {
+    throw new Error(`Unknown server: ${serverKey}`);
+  }
+  const names = [spec.envVar, spec.envVar2].filter(Boolean);
+  if (names.length === 0) {
+    throw new Error(`${spec.title} has no credentials to rotate`);
+  }
 
-  // Check if we're in a project directory
-  const hasClaudeDir = fs.existsSync(path.join(PROJECT_DIR, ".claude"));
-  if (!hasClaudeDir) {
+  const scopeOrder = ["local", "user", "project"];
+  const source = readMcpServerSources(options)
+    .sort((a, b) => scopeOrder.indexOf(a.scope) - scopeOrder.indexOf(b.scope))
+    .find((s) => s.servers[serverKey]);
+  if (!source) {
+    throw new Error(
+      `${serverKey} is not configured - run: npx claude-code-quickstart init --server ${serverKey}`
+    );
+  }
+  if (source.scope === "project") {
+    throw new Error(
+      `${serverKey} is in .mcp.json, which only holds \${VAR} references - update ${names.join(", ")} in your environment instead`
+    );
+  }
+
+  const entry = source.servers[serverKey];
+  const stored = launcherSecretNames(entry);
+  // The new value goes where the launcher will look for it
+  const store =
+    stored.length > 0
+      ? getSecretStore(launcherBackend(entry) || options.secrets, options)
+      : null;
+  const current = {
+    ...getExistingServerEnv(serverKey, options),
+    ...(entry.env || {}),
+  };
+  for (const name of stored) {
+    current[name] = (await store.get(name)) || "";
+  }
+
+  console.log(`🔄 Rotating ${spec.title} credentials (${source.scope} scope)`);
+  const updated = {};
+  for (const name of names) {
+    if (options.values) {
+      if (options.values[name]) updated[name] = options.values[name];
+      continue;
+    }
     console.log(
-      "❌ No .claude directory found. Please run 'npx claude-code-quickstart init' first.\n"
+      `  Current ${name}: ${current[name] ? maskKey(current[name]) : "(not readable)"}`
     );
-    return;
+    const answer = await askServerSecret(
+      spec,
+      name,
+      askFn,
+      `New ${name} (Enter keeps the current value)`
+    );
+    if (answer && answer !== "-") updated[name] = answer;
   }
 
-  try {
-    // Phase 1: Analysis
-    const results = await analyzeCurrentTemplates();
-    const needsAttention = await showTemplateStatus(results);
+  const rotated = Object.keys(updated);
+  if (rotated.length === 0) {
+    throw new Error(`No new value given - ${spec.title} left unchanged`);
+  }
 
-    if (needsAttention === 0) {
-      console.log("✅ All templates are up to date!\n");
-      return;
+  const envVars = { ...current, ...updated };
+  if (!options.skipVerify) {
+    const { proceed, verification } = await confirmCredentials(spec, envVars, {
+      askFn,
+      interactive: !options.values,
+    });
+    if (!proceed) {
+      throw new Error(`${verification.message} - ${spec.title} left unchanged`);
     }
+  }
 
-    // Phase 2: Selection
-    const selectedTemplates = await selectTemplatesForUpdate(results);
+  if (store && rotated.every((name) => stored.includes(name))) {
+    // The registration only references the names, so it stays as it is
+    const previous = {};
+    try {
+      for (const name of rotated) {
+        previous[name] = current[name];
+        await store.set(name, updated[name]);
+      }
+    } catch (error) {
+      for (const [name, value] of Object.entries(previous)) {
+        if (value) await store.set(name, value).catch(() => {});
+      }
+      throw new Error(
+        `Could not store ${spec.title} credentials: ${error.message}`
+      );
+    }
+    console.log(`  ✅ ${spec.title} credentials rotated in the secrets store`);
+    return {
+      server: serverKey,
+      scope: source.scope,
+      rotated,
+      method: "secret-store",
+    };
+  }
 
-    if (selectedTemplates.length === 0) {
-      console.log("👋 No templates selected. Exiting.\n");
-      return;
+  const stdio = { stdio: childStdio() };
+  const command = await buildServerAddCommand(spec, source.scope, envVars, {
+    ...options,
+    extraArgs: [],
+  });
+  // REQ-916: Old and new values are both redacted from the audit log
+  const run = (commandString) =>
+    auditedExec(commandString, () => exec(commandString, stdio), {
+      server: serverKey,
+      secrets: [...Object.values(entry.env || {}), ...Object.values(envVars)],
+      homeDir: options.homeDir,
+    });
+  try {
+    run(`claude mcp remove ${serverKey} -s ${source.scope}`);
+  } catch (error) {
+    throw new Error(
+      `claude mcp remove failed for ${serverKey}: ${error.message}`
+    );
+  }
+
+  try {
+    run(Array.isArray(command) ? command.join(" ") : command);
+  } catch (error) {
+    let restored = true;
+    try {
+      run(
+        `claude mcp add-json ${serverKey} ${shellQuote(JSON.stringify(entry))} -s ${source.scope}`
+      );
+    } catch {
+      restored = false;
     }
+    throw new Error(
+      `claude mcp add failed for ${serverKey}: ${error.message} - ${
+        restored
+          ? "previous registration restored"
+          : `could not restore the previous registration, run: npx claude-code-quickstart init --server ${serverKey}`
+      }`
+    );
+  }
 
-    // Ask for dry run first
-    const dryRun = (
-      await ask("\nPerform dry run first? (Y/n)", "y")
-    ).toLowerCase();
-    const shouldDryRun = !dryRun.startsWith("n");
+  console.log(`  ✅ ${spec.title} re-registered with the new credentials`);
+  return {
+    server: serverKey,
+    scope: source.scope,
+    rotated,
+    method: "re-registered",
+  };
+}
 
-    if (shouldDryRun) {
-      console.log("\n🔍 Dry run - showing what would be changed:\n");
-      for (const template of selectedTemplates) {
-        await updateTemplate(template, true);
+// REQ-915: What uninstall does with each ledger entry: remove, skip (edited
+// since install and no force) or gone (already deleted). Project-bound
+// entries from other project directories are left out.
+function planUninstall(entries, options = {}) {
+  const {
+    projectDir = PROJECT_DIR,
+    categories = LEDGER_CATEGORIES,
+    force = false,
+  } = options;
+
+  return entries
+    .filter((entry) => categories.includes(entry.category))
+    .filter((entry) => !entry.projectDir || entry.projectDir === projectDir)
+    .map((entry) => {
+      if (entry.category === "servers") {
+        return { entry, action: "remove" };
+      }
+      if (!fs.existsSync(entry.path)) {
+        return { entry, action: "gone" };
+      }
+
+      const edited = entry.record
+        ? false
+        : entry.category === "gitignore"
+          ? !fs
+              .readFileSync(entry.path, "utf8")
+              .includes(GITIGNORE_GUARD_LINES.join("\n"))
+          : fileSha256(entry.path) !== entry.sha256;
+      if (edited && !force) {
+        return { entry, action: "skip", reason: "edited since install" };
       }
+      return { entry, action: "remove", ...(edited && { reason: "edited" }) };
+    });
+}
+
+// REQ-915: Drop the guardrail block (and the blank line before it). An
+// intact block is removed line for line; an edited one up to the next blank
+// line, which is only attempted with --force.
+function removeGitignoreGuard(content) {
+  const lines = content.split("\n");
+  let start = lines.indexOf(GITIGNORE_GUARD_LINES[0]);
+  if (start === -1) return content;
+
+  const intact = GITIGNORE_GUARD_LINES.every(
+    (line, i) => lines[start + i] === line
+  );
+  let end = start + 1;
+  if (intact) {
+    end = start + GITIGNORE_GUARD_LINES.length;
+  } else {
+    while (end < lines.length && lines[end].trim() !== "") end++;
+  }
+  if (start > 0 && lines[start - 1].trim() === "") start--;
+
+  const rest = [...lines.slice(0, start), ...lines.slice(end)]
+    .join("\n")
+    .trimEnd();
+  return rest ? rest + "\n" : "";
+}
+
+function isEmptyMcpJson(file) {
+  try {
+    const { mcpServers, ...rest } = JSON.parse(fs.readFileSync(file, "utf8"));
+    return (
+      Object.keys(rest).length === 0 &&
+      Boolean(mcpServers) &&
+      Object.keys(mcpServers).length === 0
+    );
+  } catch {
+    return false;
+  }
+}
+
+// REQ-915: Remove directories left empty by an uninstall, up to stopAt
+function removeEmptyParents(filePath, stopAt) {
+  let dir = path.dirname(filePath);
+  while (
+    dir.startsWith(stopAt + path.sep) &&
+    fs.existsSync(dir) &&
+    fs.readdirSync(dir).length === 0
+  ) {
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
 
-      const proceed = await ask("\nProceed with actual updates? (y/N)", "n");
-      if (!proceed.toLowerCase().startsWith("y")) {
-        console.log("👋 Cancelled by user.\n");
-        return;
-      }
-    }
+function describeLedgerEntry(entry, options = {}) {
+  const { homeDir = HOME, projectDir = PROJECT_DIR } = options;
+  if (entry.category === "servers") {
+    return `${entry.name} (${entry.scope} scope)`;
+  }
+  return entry.path.startsWith(projectDir + path.sep)
+    ? path.relative(projectDir, entry.path)
+    : entry.path.replace(homeDir, "~");
+}
 
-    // Phase 3: Updates
-    console.log("\n🔧 Updating templates:\n");
-    const results_update = [];
+// REQ-915: `uninstall` - reverse what quickstart recorded in the ledger.
+// Options: dryRun, force, only (categories), yes, askFn, exec, homeDir,
+// projectDir.
+async function uninstall(options = {}) {
+  const {
+    dryRun = false,
+    force = false,
+    askFn = ask,
+    exec = require("node:child_process").execSync,
+    projectDir = PROJECT_DIR,
+  } = options;
+  const categories =
+    options.only && options.only.length > 0 ? options.only : LEDGER_CATEGORIES;
+  const unknown = categories.filter((c) => !LEDGER_CATEGORIES.includes(c));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown category: ${unknown.join(", ")} (expected ${LEDGER_CATEGORIES.join(", ")})`
+    );
+  }
 
-    for (const template of selectedTemplates) {
-      const result = await updateTemplate(template, false);
-      results_update.push({ template, result });
-    }
+  const plan = planUninstall(readLedger(options), {
+    projectDir,
+    categories,
+    force,
+  });
+  const label = (entry) => describeLedgerEntry(entry, options);
+  const result = {
+    dryRun,
+    removed: [],
+    skipped: plan
+      .filter((step) => step.action === "skip")
+      .map((step) => ({ item: label(step.entry), reason: step.reason })),
+    failed: [],
+  };
 
-    // Summary
-    console.log("\n📊 Update Summary:");
-    const successful = results_update.filter((r) => r.result.success).length;
-    const failed = results_update.filter((r) => !r.result.success).length;
+  console.log("🧹 Uninstall Claude Code Quickstart\n");
+  if (plan.length === 0) {
+    console.log("  Nothing recorded for this project - nothing to remove.");
+    return result;
+  }
+  for (const step of plan) {
+    const icon = { remove: "➖", skip: "⏭️ ", gone: "·" }[step.action];
+    const note =
+      step.action === "gone"
+        ? " (already gone)"
+        : step.reason
+          ? ` (${step.reason}${step.action === "skip" ? ", use --force" : ""})`
+          : "";
+    console.log(
+      `  ${icon} [${step.entry.category}] ${label(step.entry)}${note}`
+    );
+  }
 
-    console.log(`  ✅ Successful: ${successful}`);
-    if (failed > 0) {
-      console.log(`  ❌ Failed: ${failed}`);
+  const removals = plan.filter((step) => step.action === "remove");
+  if (dryRun) {
+    console.log("\n[DRY RUN] No changes made.");
+    result.removed = removals.map((step) => label(step.entry));
+    return result;
+  }
+  if (removals.length > 0 && !options.yes) {
+    const answer = await askFn(
+      `\nRemove ${removals.length} item${removals.length === 1 ? "" : "s"}? (y/N)`,
+      "n"
+    );
+    if (!answer.toLowerCase().startsWith("y")) {
+      console.log("Cancelled - nothing removed.");
+      return { ...result, cancelled: true };
     }
+  }
 
-    const backups = results_update
-      .filter((r) => r.result.backupPath)
-      .map((r) => r.result.backupPath);
-
-    if (backups.length > 0) {
-      console.log(`\n💾 Backups created:`);
-      backups.forEach((backup) => console.log(`  ${backup}`));
-      console.log("\n  💡 To rollback: cp <backup-file> <original-file>");
+  const done = plan.filter((step) => step.action === "gone");
+  for (const step of removals) {
+    const { entry } = step;
+    try {
+      if (entry.category === "servers" && entry.scope === "project") {
+        await removeProjectMcpServer(entry.name, {
+          projectDir,
+          homeDir: options.homeDir,
+        });
+      } else if (entry.category === "servers") {
+        const removeCommand = `claude mcp remove ${entry.name} -s ${entry.scope}`;
+        auditedExec(
+          removeCommand,
+          () =>
+            exec(removeCommand, {
+              stdio: childStdio(),
+              cwd: entry.projectDir || projectDir,
+            }),
+          { server: entry.name, homeDir: options.homeDir }
+        );
+      } else if (entry.category === "gitignore") {
+        const remaining = removeGitignoreGuard(
+          fs.readFileSync(entry.path, "utf8")
+        );
+        if (remaining === "" && entry.createdFile) {
+          removeAuditedFile(entry.path, options);
+        } else {
+          await safeFileWrite(entry.path, remaining, "utf8", options);
+        }
+      } else {
+        removeAuditedFile(entry.path, options);
+        removeEmptyParents(
+          entry.path,
+          entry.projectDir || path.join(options.homeDir || HOME, ".claude")
+        );
+      }
+      done.push(step);
+      result.removed.push(label(entry));
+    } catch (error) {
+      console.log(`  ❌ ${label(entry)}: ${error.message}`);
+      result.failed.push({ item: label(entry), error: error.message });
     }
+  }
 
-    console.log("\n✅ Template update complete!\n");
-  } catch (error) {
-    console.error(`❌ Error during template update: ${error.message}`);
-    process.exit(1);
+  // REQ-915: A .mcp.json that init created goes once no servers are left in it
+  const mcpJson = path.join(projectDir, ".mcp.json");
+  if (
+    done.some(
+      (step) => step.entry.scope === "project" && step.entry.createdFile
+    ) &&
+    isEmptyMcpJson(mcpJson)
+  ) {
+    removeAuditedFile(mcpJson, options);
+    result.removed.push(".mcp.json");
   }
+
+  const doneKeys = new Set(done.map((step) => ledgerKey(step.entry)));
+  if (doneKeys.size > 0) {
+    await updateJsonFile(
+      ledgerPath(options),
+      (ledger) => ({
+        ...ledger,
+        entries: (ledger.entries || []).filter(
+          (entry) => !doneKeys.has(ledgerKey(entry))
+        ),
+      }),
+      options
+    );
+  }
+
+  console.log(
+    `\n✅ Removed ${result.removed.length}, skipped ${result.skipped.length}${result.failed.length > 0 ? `, failed ${result.failed.length}` : ""}`
+  );
+  return result;
 }
 
+// REQ-902: Returns the installed agent names for --json output
 function showAgentRegistrationGuide() {
   console.log("🤖 Claude Code Agent Registration Guide\n");
+  const agents = [];
 
   console.log("📁 INSTALLED AGENTS:");
   const agentsDir = path.join(GLOBAL_DIR, "agents");
@@ -2084,13 +7268,14 @@ function showAgentRegistrationGuide() {
       agentFiles.forEach((file) => {
         const agentName = file.replace(".md", "");
         console.log(`  • ${agentName}`);
+        agents.push(agentName);
       });
     }
   } else {
     console.log(
       "  No agents installed yet. Run 'npx claude-code-quickstart init' first."
     );
-    return;
+    return { agents };
   }
 
   console.log("\n🚀 REGISTRATION STEPS:");
@@ -2119,6 +7304,99 @@ function showAgentRegistrationGuide() {
   console.log(
     "📖 More info: https://docs.anthropic.com/en/docs/claude-code/sub-agents"
   );
+
+  return { agents };
+}
+
+// REQ-900: Command-line option definitions shared by all commands
+const CLI_OPTIONS = {
+  tier: { type: "string" },
+  scope: { type: "string" },
+  server: { type: "string", multiple: true },
+  yes: { type: "boolean", alias: "y" },
+  "dry-run": { type: "boolean" },
+  "skip-verify": { type: "boolean" },
+  secrets: { type: "string" },
+  "env-file": { type: "string" },
+  force: { type: "boolean" },
+  only: { type: "string", multiple: true },
+  json: { type: "boolean" },
+  timeout: { type: "string" },
+  since: { type: "string" },
+  diff: { type: "boolean" },
+  color: { type: "boolean" },
+  limit: { type: "string" },
+  template: { type: "string" },
+  help: { type: "boolean", alias: "h" },
+};
+
+// REQ-905: --timeout is given in seconds
+function parseTimeoutFlag(value) {
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new Error(`Invalid --timeout: ${value} (expected seconds > 0)`);
+  }
+  return Math.round(seconds * 1000);
+}
+
+// REQ-900: Minimal argv parser - supports `--flag value`, `--flag=value`,
+// short aliases and repeatable (or comma-separated) multi-value options
+function parseCliArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith("-") || arg === "-") {
+      positionals.push(arg);
+      continue;
+    }
+
+    const match = /^--?([^=]+)(?:=(.*))?$/.exec(arg);
+    const name = Object.keys(CLI_OPTIONS).find(
+      (key) => key === match[1] || CLI_OPTIONS[key].alias === match[1]
+    );
+    if (!name) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+
+    const option = CLI_OPTIONS[name];
+    if (option.type === "boolean") {
+      if (match[2] !== undefined) {
+        throw new Error(`Option --${name} does not take a value`);
+      }
+      flags[name] = true;
+      continue;
+    }
+
+    let value = match[2];
+    if (value === undefined) {
+      value = argv[i + 1];
+      if (value === undefined || value.startsWith("-")) {
+        throw new Error(`Option --${name} requires a value`);
+      }
+      i++;
+    }
+
+    if (option.multiple) {
+      flags[name] = (flags[name] || []).concat(
+        value
+          .split(",")
+          .map((v) => v.trim())
+          .filter(Boolean)
+      );
+    } else {
+      flags[name] = value;
+    }
+  }
+
+  return { command: positionals[0], positionals: positionals.slice(1), flags };
 }
 
 function showHelp() {
@@ -2130,14 +7408,104 @@ function showHelp() {
     "  init              Configure MCP servers and scaffold project files (default)"
   );
   console.log(
-    "  update-templates  Update existing templates to latest versions"
+    "  apply [file]      Converge on a quickstart.json manifest (--dry-run to preview)"
+  );
+  console.log(
+    "  status            Show configured MCP servers across user/project/local scopes"
+  );
+  console.log(
+    "  doctor            Diagnose Node, claude CLI, settings, locks, packages and SSE URLs"
+  );
+  console.log(
+    "  probe <server>    Run the MCP handshake against a stdio or remote server (--timeout <sec>)"
+  );
+  console.log(
+    "  add-server        Configure a custom npm/stdio/SSE server and optionally save its spec"
+  );
+  console.log(
+    "  rotate <server>   Replace a configured server's credentials (rolls back on failure)"
+  );
+  console.log(
+    "  uninstall, reset  Remove what quickstart installed (--dry-run, --only <category>, --force)"
+  );
+  console.log(
+    "  secrets [action]  list, set <NAME> or delete <NAME> stored server credentials"
+  );
+  console.log(
+    "  permissions [action] show, list or apply <preset> (--scope user|project|local)"
+  );
+  console.log(
+    "  lint-settings [file...] Check permission rules in settings.json/settings.local.json"
+  );
+  console.log(
+    "  history [text]    Show recorded changes (--since 7d, --limit <n>)"
+  );
+  console.log(
+    "  snapshots         List configuration snapshots taken before each change"
+  );
+  console.log(
+    "  rollback <id>     Restore a snapshot's settings, .mcp.json, CLAUDE.md and agents"
+  );
+  console.log(
+    "  update-templates  Update existing templates to latest versions (--diff to preview, --color in a pipe)"
   );
   console.log("  register-agents   Help register agents with Claude Code");
   console.log("  help, -h, --help  Show this help message\n");
+  console.log("INIT OPTIONS:");
+  console.log("  --tier <name>     quick-start, dev-tools or research-tools");
+  console.log("  --scope <name>    user, project or local");
+  console.log("  --server <key>    Only configure this server (repeatable)");
+  console.log(
+    "  --yes, -y         Never prompt; read secrets from environment variables"
+  );
+  console.log(
+    "  --skip-verify     Don't check credentials against provider APIs"
+  );
+  console.log(
+    "  --secrets <name>  Secrets backend (file, a backend .js module, or inline)"
+  );
+  console.log(
+    "  --env-file <path> Pre-fill credentials from a dotenv file (default: ./.env)"
+  );
+  console.log(
+    "  --template <pack> Template pack: default, node-ts, python, go, rust, monorepo or a path\n"
+  );
+  console.log("OUTPUT OPTIONS:");
+  console.log(
+    "  --json            Print one JSON document instead of decorated output\n"
+  );
   console.log("EXAMPLES:");
   console.log("  npx claude-code-quickstart");
   console.log("  npx claude-code-quickstart init");
+  console.log(
+    "  GITHUB_PERSONAL_ACCESS_TOKEN=... npx claude-code-quickstart init --server github --yes"
+  );
+  console.log("  npx claude-code-quickstart init --template python");
+  console.log("  npx claude-code-quickstart apply quickstart.json");
+  console.log("  npx claude-code-quickstart status");
+  console.log("  npx claude-code-quickstart doctor");
+  console.log("  npx claude-code-quickstart probe github");
+  console.log("  npx claude-code-quickstart probe cloudflare-builds");
+  console.log("  npx claude-code-quickstart add-server --scope project");
+  console.log("  npx claude-code-quickstart rotate github");
+  console.log(
+    "  npx claude-code-quickstart uninstall --only servers --only agents --dry-run"
+  );
+  console.log(
+    "  npx claude-code-quickstart secrets set GITHUB_PERSONAL_ACCESS_TOKEN"
+  );
+  console.log(
+    "  npx claude-code-quickstart permissions apply balanced --dry-run"
+  );
+  console.log("  npx claude-code-quickstart lint-settings");
+  console.log("  npx claude-code-quickstart history .mcp.json --since 7d");
+  console.log(
+    "  npx claude-code-quickstart rollback 20260131T120000 --dry-run"
+  );
   console.log("  npx claude-code-quickstart update-templates");
+  console.log(
+    "  npx claude-code-quickstart update-templates --diff --color | less -R"
+  );
   console.log("  npx claude-code-quickstart register-agents");
   console.log("  npx claude-code-quickstart --help\n");
   console.log("📖 DOCUMENTATION:");
@@ -2147,30 +7515,300 @@ function showHelp() {
   console.log("  • Claude Code → https://docs.anthropic.com/claude-code\n");
 }
 
+// REQ-902: Run a command handler. With --json the decorative console output
+// is silenced and the handler's result is printed as one JSON document.
+async function runCommand(name, flags, handler) {
+  if (!flags.json) {
+    return handler();
+  }
+
+  const original = {
+    log: console.log,
+    info: console.info,
+    warn: console.warn,
+  };
+  console.log = console.info = console.warn = () => {};
+  jsonOutputMode = true;
+
+  let document;
+  try {
+    document = { command: name, ok: true, ...(await handler()) };
+  } catch (error) {
+    document = { command: name, ok: false, error: error.message };
+    process.exitCode = 1;
+  } finally {
+    Object.assign(console, original);
+    jsonOutputMode = false;
+  }
+
+  process.stdout.write(JSON.stringify(document, null, 2) + "\n");
+  return document;
+}
+
 async function main() {
-  const cmd = process.argv[2];
+  const {
+    command: cmd,
+    positionals,
+    flags,
+  } = parseCliArgs(process.argv.slice(2));
+
+  // REQ-907: Merge servers.d specs before any command looks at SERVER_SPECS.
+  // Warnings go to stderr so --json output stays a single document.
+  const registry = loadServerRegistry();
+  for (const { file, error } of registry.errors) {
+    console.warn(`⚠️  Skipping server spec in ${file}: ${error}`);
+  }
+  registerServerSpecs(registry.specs);
+
+  // REQ-916: Audit entries name the command that caused them
+  auditCommand = [cmd || "init", ...positionals].join(" ");
+
+  // REQ-902: Prompts would corrupt the JSON document, so setup needs --yes
+  if (flags.json && (!cmd || cmd === "init") && !flags.yes) {
+    throw new Error("--json requires --yes for init");
+  }
+
+  // REQ-920: Catch a bad --template before any server is configured
+  if (flags.template && (!cmd || cmd === "init")) {
+    loadTemplatePack(flags.template);
+  }
+
+  // REQ-917: Snapshot the configuration before commands that change it, once
+  // the arguments are known to be good (update-templates and rollback take
+  // their own)
+  const mutating = ["init", "apply", "add-server", "rotate", "uninstall"];
+  const snapshotCmd = cmd === "reset" ? "uninstall" : cmd || "init";
+  const appliesPreset = cmd === "permissions" && positionals[0] === "apply";
+  if (
+    (mutating.includes(snapshotCmd) || appliesPreset) &&
+    !flags["dry-run"] &&
+    !flags.help
+  ) {
+    try {
+      const snapshot = createSnapshot();
+      if (!flags.json) {
+        console.log(
+          `📸 Snapshot ${snapshot.id} (undo with: npx claude-code-quickstart rollback ${snapshot.id})\n`
+        );
+      }
+    } catch (error) {
+      console.warn(
+        `⚠️  Could not snapshot the configuration: ${error.message}`
+      );
+    }
+  }
 
   if (cmd === "init") {
-    await configureClaudeCode();
-    await scaffoldProjectFiles();
+    await runCommand("init", flags, async () => {
+      // REQ-913: A project .env is picked up unless --env-file names another
+      const servers = await configureClaudeCode(
+        buildInitOptions({ "env-file": detectEnvFile(), ...flags })
+      );
+      const files = await scaffoldProjectFiles({
+        template: flags.template,
+        prompt: !flags.yes,
+      });
+      showPostSetupGuide();
+      // REQ-900: Let provisioning scripts detect partial failures
+      if (flags.yes && servers.some((r) => r.status === "failed")) {
+        process.exitCode = 1;
+      }
+      return { servers, files };
+    });
+    rl.close();
+    return;
+  }
+
+  if (cmd === "apply") {
+    await runCommand("apply", flags, async () => {
+      const manifestPath = path.resolve(positionals[0] || "quickstart.json");
+      const { plan, results } = await applyManifest(manifestPath, {
+        dryRun: flags["dry-run"],
+        skipVerify: flags["skip-verify"],
+        secrets: flags.secrets,
+      });
+      if (results.some((r) => r.status === "failed")) {
+        process.exitCode = 1;
+      }
+      return { plan, servers: results };
+    });
     rl.close();
-    showPostSetupGuide();
     return;
   }
 
   if (cmd === "update-templates") {
-    await updateTemplates();
+    await runCommand("update-templates", flags, () =>
+      updateTemplates({
+        yes: flags.yes,
+        diff: flags.diff,
+        color: flags.color,
+        analyzeOnly: flags.json && !flags.yes,
+      })
+    );
     rl.close();
     return;
   }
 
   if (cmd === "register-agents") {
-    showAgentRegistrationGuide();
+    await runCommand("register-agents", flags, async () =>
+      showAgentRegistrationGuide()
+    );
+    rl.close();
+    return;
+  }
+
+  if (cmd === "doctor") {
+    await runCommand("doctor", flags, async () => {
+      const report = showDoctorReport();
+      if (report.summary.fail > 0) {
+        process.exitCode = 1;
+      }
+      return report;
+    });
     rl.close();
     return;
   }
 
-  if (cmd === "help" || cmd === "--help" || cmd === "-h") {
+  if (cmd === "probe") {
+    await runCommand("probe", flags, () =>
+      probeServer(positionals[0], {
+        ...(flags.timeout && { timeoutMs: parseTimeoutFlag(flags.timeout) }),
+      })
+    );
+    rl.close();
+    return;
+  }
+
+  if (cmd === "add-server") {
+    if (flags.json) {
+      throw new Error("--json is not supported for add-server (it prompts)");
+    }
+    await runCommand("add-server", flags, () =>
+      addCustomServer({ scope: flags.scope, secrets: flags.secrets })
+    );
+    rl.close();
+    return;
+  }
+
+  if (cmd === "uninstall" || cmd === "reset") {
+    if (flags.json && !flags.yes && !flags["dry-run"]) {
+      throw new Error("--json requires --yes or --dry-run for uninstall");
+    }
+    await runCommand("uninstall", flags, () =>
+      uninstall({
+        dryRun: flags["dry-run"],
+        force: flags.force,
+        only: flags.only,
+        yes: flags.yes,
+      })
+    );
+    rl.close();
+    return;
+  }
+
+  if (cmd === "rotate") {
+    if (flags.json && !flags.yes) {
+      throw new Error("--json requires --yes for rotate");
+    }
+    // REQ-914: With --yes the new values come from the environment
+    const spec = SERVER_SPECS.find((s) => s.key === positionals[0]);
+    await runCommand("rotate", flags, () =>
+      rotateServerCredentials(positionals[0], {
+        skipVerify: flags["skip-verify"],
+        secrets: flags.secrets,
+        ...(flags.yes &&
+          spec && {
+            values: Object.fromEntries(
+              [spec.envVar, spec.envVar2]
+                .filter(Boolean)
+                .map((name) => [name, process.env[name]])
+            ),
+          }),
+      })
+    );
+    rl.close();
+    return;
+  }
+
+  if (cmd === "secrets") {
+    const [action, name] = positionals;
+    // REQ-912: With --yes the value comes from the variable of the same name
+    if (flags.json && action === "set" && !flags.yes) {
+      throw new Error("--json requires --yes for secrets set");
+    }
+    await runCommand("secrets", flags, () =>
+      manageSecrets(action, name, {
+        backend: flags.secrets,
+        ...(flags.yes && name && { value: process.env[name] }),
+      })
+    );
+    rl.close();
+    return;
+  }
+
+  if (cmd === "permissions") {
+    const [action, name] = positionals;
+    await runCommand("permissions", flags, () =>
+      managePermissions(action, name, {
+        scope: flags.scope,
+        dryRun: flags["dry-run"],
+      })
+    );
+    rl.close();
+    return;
+  }
+
+  if (cmd === "lint-settings") {
+    await runCommand("lint-settings", flags, async () => {
+      const report = showSettingsLint(positionals);
+      if (report.summary.errors > 0) {
+        process.exitCode = 1;
+      }
+      return report;
+    });
+    rl.close();
+    return;
+  }
+
+  if (cmd === "snapshots") {
+    await runCommand("snapshots", flags, async () => showSnapshots());
+    rl.close();
+    return;
+  }
+
+  if (cmd === "rollback") {
+    if (flags.json && !flags.yes && !flags["dry-run"]) {
+      throw new Error("--json requires --yes or --dry-run for rollback");
+    }
+    await runCommand("rollback", flags, () =>
+      rollbackSnapshot(positionals[0], {
+        yes: flags.yes,
+        dryRun: flags["dry-run"],
+      })
+    );
+    rl.close();
+    return;
+  }
+
+  if (cmd === "history") {
+    await runCommand("history", flags, async () =>
+      showHistory({
+        text: positionals[0],
+        since: flags.since,
+        limit: flags.limit,
+      })
+    );
+    rl.close();
+    return;
+  }
+
+  if (cmd === "status") {
+    await runCommand("status", flags, async () => showServerStatus());
+    rl.close();
+    return;
+  }
+
+  if (cmd === "help" || flags.help) {
     showHelp();
     rl.close();
     return;
@@ -2180,11 +7818,23 @@ async function main() {
     cmd &&
     ![
       "init",
+      "apply",
+      "status",
+      "doctor",
+      "probe",
+      "add-server",
+      "uninstall",
+      "reset",
+      "rotate",
+      "secrets",
+      "permissions",
+      "lint-settings",
+      "history",
+      "snapshots",
+      "rollback",
       "update-templates",
       "register-agents",
       "help",
-      "--help",
-      "-h",
     ].includes(cmd)
   ) {
     console.log(`❌ Unknown command: ${cmd}\n`);
@@ -2193,17 +7843,29 @@ async function main() {
     process.exit(1);
   }
 
-  console.log("Sparkry.AI — Claude Code Quickstart");
-  console.log("1) Configure Claude Code MCP servers");
-  await configureClaudeCode();
+  await runCommand("init", flags, async () => {
+    console.log("Sparkry.AI — Claude Code Quickstart");
+    console.log("1) Configure Claude Code MCP servers");
+    const servers = await configureClaudeCode(
+      buildInitOptions({ "env-file": detectEnvFile(), ...flags })
+    );
 
-  const doProj = (
-    await ask("\nAlso scaffold project files in current dir? (Y/n) ", "y")
-  ).toLowerCase();
-  if (!doProj.startsWith("n")) await scaffoldProjectFiles();
+    const doProj = flags.yes
+      ? "y"
+      : (
+          await ask("\nAlso scaffold project files in current dir? (Y/n) ", "y")
+        ).toLowerCase();
+    const files = doProj.startsWith("n")
+      ? []
+      : await scaffoldProjectFiles({
+          template: flags.template,
+          prompt: !flags.yes,
+        });
 
+    showPostSetupGuide();
+    return { servers, files };
+  });
   rl.close();
-  showPostSetupGuide();
 }
 
 // Only run main if this file is executed directly (not imported)
@@ -2219,6 +7881,105 @@ if (require.main === module) {
 module.exports = {
   SERVER_SPECS,
   SETUP_TIERS,
+  // REQ-907: Pluggable server registry
+  validateServerSpec,
+  resolveSpecArgs,
+  loadServerRegistry,
+  registerServerSpecs,
+  // REQ-909: Direct .mcp.json writer
+  buildProjectMcpEntry,
+  writeProjectMcpServer,
+  removeProjectMcpServer,
+  projectServerStatus,
+  claudeJsonServerStatus,
+  // REQ-910: Validated credential prompts
+  getValidationFor,
+  askServerSecret,
+  // REQ-911: Credential verification
+  confirmCredentials,
+  // REQ-908: Custom server wizard
+  promptCustomServerSpec,
+  addCustomServer,
+  // REQ-924: Settings linter
+  parseJsonWithLocations,
+  permissionRuleCovers,
+  checkPermissionRule,
+  lintPermissionSettings,
+  lintSettingsFiles,
+  // REQ-923: Permission presets
+  listPermissionPresets,
+  loadPermissionPreset,
+  permissionSettingsPath,
+  mergePermissionPreset,
+  effectivePermissions,
+  applyPermissionPreset,
+  managePermissions,
+  // REQ-922: Stack detection
+  detectProjectStack,
+  stackAllowRules,
+  projectSettingsContent,
+  // REQ-921: Template variables
+  renderTemplate,
+  detectTemplateVariables,
+  resolveTemplateVariables,
+  // REQ-920: Template packs
+  listTemplatePacks,
+  validateTemplatePack,
+  loadTemplatePack,
+  readTemplatePackRecord,
+  recordTemplatePack,
+  analyzeCurrentTemplates,
+  // REQ-919: Diff preview
+  colorizeDiff,
+  diffColorEnabled,
+  templateUpdateDiff,
+  // REQ-918: Template merging
+  compareTemplates,
+  mergeTemplate,
+  templateBasePath,
+  readTemplateBase,
+  recordTemplateBase,
+  // REQ-917: Snapshots and rollback
+  snapshotTargets,
+  createSnapshot,
+  listSnapshots,
+  findSnapshot,
+  planRollback,
+  rollbackSnapshot,
+  showSnapshots,
+  // REQ-916: Audit log and history
+  safeFileWrite,
+  createChecksum,
+  auditLogPath,
+  redactSecrets,
+  appendAuditEntry,
+  auditedExec,
+  parseSince,
+  readAuditLog,
+  filterAuditEntries,
+  showHistory,
+  // REQ-915: Install ledger and uninstall
+  ledgerPath,
+  readLedger,
+  recordInstall,
+  serverLedgerEntries,
+  planUninstall,
+  removeGitignoreGuard,
+  uninstall,
+  // REQ-914: Credential rotation
+  rotateServerCredentials,
+  // REQ-913: .env import
+  parseEnvFile,
+  detectEnvFile,
+  loadEnvFile,
+  promptFromEnvFile,
+  // REQ-912: Secrets by reference
+  shellQuote,
+  installSecretLauncher,
+  buildSecretRefCommand,
+  buildServerAddCommand,
+  launcherSecretNames,
+  manageSecrets,
   getServersForTier,
   validateSSEUrl,
   buildSSECommand,
@@ -2233,4 +7994,34 @@ module.exports = {
   formatExistingValue,
   // REQ-852: Export configureClaudeCode function for testing
   configureClaudeCode,
+  // REQ-900: Non-interactive init
+  parseCliArgs,
+  buildInitOptions,
+  // REQ-901: Declarative manifests
+  updateJsonFile,
+  mergePermissionRules,
+  validateManifest,
+  computeApplyPlan,
+  applyManifest,
+  // REQ-902: JSON output mode
+  runCommand,
+  scaffoldProjectFiles,
+  updateTemplates,
+  // REQ-903: Server status across scopes
+  formatTable,
+  readMcpServerSources,
+  isEnvValuePresent,
+  collectServerStatus,
+  // REQ-904: Diagnostics
+  getSpecPackage,
+  runDoctorChecks,
+  // REQ-905: Live MCP probes
+  resolveEnvReferences,
+  resolveProbeTarget,
+  probeStdioServer,
+  probeServer,
+  // REQ-906: Remote server probes
+  describeNetworkError,
+  parseSseEvents,
+  probeRemoteServer,
 };
@@ -242,15 +242,39 @@ function generateTestCommand(spec) {
 }
 
 // REQ-712: Enhanced askAccessible function with validation and accessibility
+// REQ-910: Options for the live CLI prompts:
+//   askFn         - reuse the caller's prompt function instead of a new readline
+//   passthrough   - answers returned as-is without validation (e.g. "-")
+//   allowOverride - offer to keep a value that fails the format check
+//   onInvalid     - replaces the default error output for a rejected value
+// Typing "skip" returns null, like running out of attempts.
 async function askAccessibleWithValidation(question, defaultValue = "", options = {}) {
   const {
     helpText = null,
     category = null,
     required = false,
     validation = null,
-    retryLimit = 3
+    retryLimit = 3,
+    askFn = null,
+    passthrough = [],
+    allowOverride = false,
+    onInvalid = null
   } = options;
 
+  // REQ-910: A second readline on stdin would echo every keystroke twice
+  const askOnce = askFn || ((q, def) => new Promise((resolve) => {
+    const rl = require('readline').createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+    const prompt = def ? `${q} [${def}] ` : `${q} `;
+
+    rl.question(prompt, (input) => {
+      rl.close();
+      resolve((input || "").trim());
+    });
+  }));
+
   let attempts = 0;
 
   while (attempts < retryLimit) {
@@ -271,23 +295,20 @@ async function askAccessibleWithValidation(question, defaultValue = "", options
       console.log(`📋 Example: ${validation.example}`);
     }
 
-    const prompt = defaultValue ? `${question} [${defaultValue}] ` : `${question} `;
-
     // Accessibility: Use readline with enhanced prompting
-    const answer = await new Promise((resolve) => {
-      const rl = require('readline').createInterface({
-        input: process.stdin,
-        output: process.stdout
-      });
-
-      rl.question(prompt, (input) => {
-        rl.close();
-        resolve((input || "").trim());
-      });
-    });
+    const answer = await askOnce(question, defaultValue);
 
     const finalAnswer = answer || defaultValue;
 
+    // REQ-910: Control answers skip validation entirely
+    if (passthrough.includes(finalAnswer)) {
+      return finalAnswer;
+    }
+    if (finalAnswer.toLowerCase() === 'skip') {
+      console.log("⏭️  Skipped");
+      return null;
+    }
+
     // Validation: Required field check
     if (required && !finalAnswer) {
       console.log("⚠️  This field is required. Please try again.");
@@ -297,9 +318,23 @@ async function askAccessibleWithValidation(question, defaultValue = "", options
 
     // Validation: Format pattern check
     if (validation?.pattern && finalAnswer && !validation.pattern.test(finalAnswer)) {
-      console.log(`❌ ${validation.errorMessage || 'Invalid format'}`);
-      console.log(`✅ Expected format: ${validation.hint}`);
-      console.log(`📋 Example: ${validation.example}`);
+      if (onInvalid) {
+        onInvalid(finalAnswer);
+      } else {
+        console.log(`❌ ${validation.errorMessage || 'Invalid format'}`);
+        console.log(`✅ Expected format: ${validation.hint}`);
+        console.log(`📋 Example: ${validation.example}`);
+      }
+
+      // REQ-910: Providers change token formats; let the user vouch for it
+      if (allowOverride) {
+        const keep = await askOnce("Use this value anyway (e.g. a newer token format)? (y/N)", "n");
+        if ((keep || "").toLowerCase().startsWith('y')) {
+          console.log("⚠️  Format check overridden");
+          return finalAnswer;
+        }
+      }
+
       console.log(`🔄 Attempt ${attempts} of ${retryLimit}`);
 
       if (attempts >= retryLimit) {
@@ -423,7 +458,8 @@ async function askProgressiveDisclosureAccessible(tierConfig, tierServers) {
 // REQ-712: Enhanced error handling with recovery guidance
 function handleValidationError(error, spec, userInput) {
   console.log(`\n❌ ${spec.title} Configuration Error`);
-  console.log(`📝 Input received: ${userInput ? userInput.substring(0, 20) + '...' : 'empty'}`);
+  // REQ-910: Never echo a credential back - a prefix and length are enough to spot typos
+  console.log(`📝 Input received: ${userInput ? `${userInput.substring(0, 4)}… (${userInput.length} characters)` : 'empty'}`);
 
   // Provide specific error guidance based on server type
   if (spec.validation?.errorMessage) {
@@ -441,7 +477,7 @@ function handleValidationError(error, spec, userInput) {
   }
 
   console.log(`\n🔗 Get help: ${spec.helpUrl}`);
-  console.log(`🔄 Press Enter to try again, or type 'skip' to continue without this server`);
+  console.log(`🔄 Enter it again, or type 'skip' to continue without this server`);
 }
 
 // REQ-712: Export enhanced functions for integration
@@ -0,0 +1,284 @@
+/**
+ * Credential Verification for Claude Code MCP Setup
+ * REQ-911: Check that credentials actually work before `claude mcp add` runs
+ *
+ * Each verifier makes one cheap authenticated call and reports a status:
+ *   valid              - the provider accepted the credentials
+ *   invalid            - the provider rejected them (bad or revoked)
+ *   insufficient-scope - accepted, but missing permissions the server needs
+ *   unverified         - no answer (offline, timeout, tool missing, 5xx)
+ *
+ * Verifiers are keyed by server spec `key`. Base URLs can be overridden per
+ * call so tests (or GitHub Enterprise) can point them at another host.
+ */
+
+const { execFile } = require('node:child_process');
+const { URL } = require('node:url');
+
+// REQ-911: Provider API roots; n8n uses the configured N8N_API_URL instead
+const DEFAULT_BASE_URLS = {
+  github: 'https://api.github.com',
+  supabase: 'https://api.supabase.com',
+  tavily: 'https://api.tavily.com'
+};
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+function verification(status, message, details = {}) {
+  return { status, message, ...details };
+}
+
+// REQ-911: Translate an HTTP status into a verification result
+function classifyHttpStatus(statusCode, provider) {
+  if (statusCode >= 200 && statusCode < 300) {
+    return verification('valid', `${provider} accepted the credentials`);
+  }
+  if (statusCode === 401) {
+    return verification('invalid', `${provider} rejected the credentials (HTTP 401)`);
+  }
+  if (statusCode === 403) {
+    return verification('insufficient-scope', `${provider} accepted the credentials but denied access (HTTP 403)`);
+  }
+  return verification('unverified', `${provider} answered HTTP ${statusCode}`);
+}
+
+// REQ-911: GET with a timeout; network failures come back as { error }
+async function request(url, headers, context) {
+  try {
+    const response = await global.fetch(url, {
+      headers: { 'User-Agent': 'claude-code-quickstart', ...headers },
+      signal: global.AbortSignal.timeout(context.timeoutMs)
+    });
+    return { response };
+  } catch (error) {
+    const reason = error.cause?.code || error.name || 'error';
+    return { error: `${reason}: ${error.cause?.message || error.message}` };
+  }
+}
+
+// REQ-911: GitHub - GET /user. Classic tokens list their scopes in
+// X-OAuth-Scopes; fine-grained tokens omit the header, so only classic
+// tokens can be flagged for a missing repo scope.
+async function verifyGithub(values, context) {
+  const { response, error } = await request(
+    `${context.baseUrls.github}/user`,
+    {
+      Authorization: `Bearer ${values.GITHUB_PERSONAL_ACCESS_TOKEN}`,
+      Accept: 'application/vnd.github+json'
+    },
+    context
+  );
+  if (error) return verification('unverified', `Could not reach GitHub (${error})`);
+
+  const result = classifyHttpStatus(response.status, 'GitHub');
+  if (result.status !== 'valid') return result;
+
+  const user = await response.json().catch(() => ({}));
+  const scopes = response.headers.get('x-oauth-scopes');
+  if (scopes !== null) {
+    const granted = scopes.split(',').map((scope) => scope.trim()).filter(Boolean);
+    if (!granted.includes('repo') && !granted.includes('public_repo')) {
+      return verification(
+        'insufficient-scope',
+        `Token for ${user.login} has no repo scope (granted: ${granted.join(', ') || 'none'})`,
+        { account: user.login }
+      );
+    }
+  }
+  return verification('valid', `Authenticated to GitHub as ${user.login}`, { account: user.login });
+}
+
+// REQ-911: Supabase - list projects with the personal access token
+async function verifySupabase(values, context) {
+  const { response, error } = await request(
+    `${context.baseUrls.supabase}/v1/projects`,
+    { Authorization: `Bearer ${values.SUPABASE_ACCESS_TOKEN}` },
+    context
+  );
+  if (error) return verification('unverified', `Could not reach Supabase (${error})`);
+
+  const result = classifyHttpStatus(response.status, 'Supabase');
+  if (result.status !== 'valid') return result;
+
+  const projects = await response.json().catch(() => []);
+  const count = Array.isArray(projects) ? projects.length : 0;
+  return verification('valid', `Supabase token can see ${count} project${count === 1 ? '' : 's'}`);
+}
+
+// REQ-911: Tavily - read the key's usage, which costs no search credits
+async function verifyTavily(values, context) {
+  const { response, error } = await request(
+    `${context.baseUrls.tavily}/usage`,
+    { Authorization: `Bearer ${values.TAVILY_API_KEY}` },
+    context
+  );
+  if (error) return verification('unverified', `Could not reach Tavily (${error})`);
+  return classifyHttpStatus(response.status, 'Tavily');
+}
+
+// REQ-911: n8n - list one workflow from the instance the user entered
+async function verifyN8n(values, context) {
+  const base = (values.N8N_API_URL || '').replace(/\/+$/, '');
+  const { response, error } = await request(
+    `${base}/workflows?limit=1`,
+    { 'X-N8N-API-KEY': values.N8N_API_KEY, Accept: 'application/json' },
+    context
+  );
+  if (error) return verification('unverified', `Could not reach n8n at ${base} (${error})`);
+
+  const result = classifyHttpStatus(response.status, 'n8n');
+  if (result.status === 'valid') {
+    return verification('valid', `n8n at ${base} accepted the API key`);
+  }
+  if (response.status === 404) {
+    return verification('invalid', `No n8n API at ${base} (HTTP 404) - the URL should end with /api/v1`);
+  }
+  return result;
+}
+
+// REQ-911: libpq connection parameters and the environment variables psql
+// reads them from
+const PG_ENV_VARS = {
+  host: 'PGHOST',
+  hostaddr: 'PGHOSTADDR',
+  port: 'PGPORT',
+  dbname: 'PGDATABASE',
+  user: 'PGUSER',
+  password: 'PGPASSWORD',
+  options: 'PGOPTIONS',
+  application_name: 'PGAPPNAME',
+  sslmode: 'PGSSLMODE',
+  sslcert: 'PGSSLCERT',
+  sslkey: 'PGSSLKEY',
+  sslrootcert: 'PGSSLROOTCERT',
+  target_session_attrs: 'PGTARGETSESSIONATTRS',
+  passfile: 'PGPASSFILE',
+  service: 'PGSERVICE',
+  connect_timeout: 'PGCONNECT_TIMEOUT'
+};
+
+// Split a postgres:// URL or a `key=value` connection string into PG*
+// variables, so the password never appears in psql's argument list (and
+// so in `ps`). Throws on strings psql's environment cannot express.
+function postgresEnvironment(connectionString) {
+  const params = {};
+  if (/^postgres(ql)?:\/\//.test(connectionString)) {
+    const url = new URL(connectionString);
+    if (url.hostname) params.host = decodeURIComponent(url.hostname).replace(/^\[(.*)\]$/, '$1');
+    if (url.port) params.port = url.port;
+    if (url.username) params.user = decodeURIComponent(url.username);
+    if (url.password) params.password = decodeURIComponent(url.password);
+    if (url.pathname.length > 1) params.dbname = decodeURIComponent(url.pathname.slice(1));
+    for (const [key, value] of url.searchParams) params[key] = value;
+  } else {
+    const pair = /\s*(\w+)\s*=\s*(?:'((?:\\.|[^'\\])*)'|([^\s']+))\s*/y;
+    while (pair.lastIndex < connectionString.length) {
+      const match = pair.exec(connectionString);
+      if (!match) throw new Error('not a postgres:// URL or key=value list');
+      params[match[1]] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+    }
+  }
+
+  const env = {};
+  for (const [key, value] of Object.entries(params)) {
+    if (!PG_ENV_VARS[key]) throw new Error(`unsupported parameter "${key}"`);
+    env[PG_ENV_VARS[key]] = value;
+  }
+  return env;
+}
+
+// REQ-911: Postgres - `SELECT 1` through psql. Without psql on the PATH the
+// credentials stay unverified rather than failing the setup.
+function verifyPostgres(values, context) {
+  let connection;
+  try {
+    connection = postgresEnvironment(values.POSTGRES_CONNECTION_STRING || '');
+  } catch (error) {
+    return Promise.resolve(
+      verification('unverified', `Could not read the Postgres connection string: ${error.message}`)
+    );
+  }
+
+  return new Promise((resolve) => {
+    context.execFile(
+      'psql',
+      ['-tAc', 'SELECT 1'],
+      {
+        timeout: context.timeoutMs,
+        env: {
+          ...process.env,
+          ...connection,
+          PGCONNECT_TIMEOUT: String(Math.ceil(context.timeoutMs / 1000))
+        }
+      },
+      (error, stdout, stderr) => {
+        if (!error && String(stdout).trim() === '1') {
+          resolve(verification('valid', 'Postgres accepted the connection'));
+          return;
+        }
+        if (error && error.code === 'ENOENT') {
+          resolve(verification('unverified', 'psql is not installed - connection not tested'));
+          return;
+        }
+
+        const detail = String(stderr || (error && error.message) || '').trim().split('\n').pop();
+        if (/password authentication failed|role .* does not exist|no password supplied/i.test(detail)) {
+          resolve(verification('invalid', `Postgres rejected the login: ${detail}`));
+        } else if (/permission denied/i.test(detail)) {
+          resolve(verification('insufficient-scope', `Postgres denied access: ${detail}`));
+        } else {
+          resolve(verification('unverified', `Could not connect to Postgres: ${detail}`));
+        }
+      }
+    );
+  });
+}
+
+// REQ-911: Verifier registry keyed by server spec key
+const VERIFIERS = {
+  github: verifyGithub,
+  supabase: verifySupabase,
+  tavily: verifyTavily,
+  n8n: verifyN8n,
+  postgres: verifyPostgres
+};
+
+// REQ-911: Plug in a verifier for another server (e.g. one from servers.d)
+function registerVerifier(key, verifier) {
+  if (typeof verifier !== 'function') {
+    throw new Error(`Verifier for ${key} must be a function`);
+  }
+  VERIFIERS[key] = verifier;
+}
+
+function hasVerifier(key) {
+  return Object.prototype.hasOwnProperty.call(VERIFIERS, key);
+}
+
+// REQ-911: Run the verifier for `key` against the collected env values.
+// Options: baseUrls (per-provider overrides), timeoutMs, execFile.
+async function verifyCredentials(key, values = {}, options = {}) {
+  if (!hasVerifier(key)) {
+    return verification('unverified', `No verifier for ${key}`);
+  }
+
+  const context = {
+    baseUrls: { ...DEFAULT_BASE_URLS, ...(options.baseUrls || {}) },
+    timeoutMs: options.timeoutMs || DEFAULT_TIMEOUT_MS,
+    execFile: options.execFile || execFile
+  };
+
+  try {
+    return await VERIFIERS[key](values, context);
+  } catch (error) {
+    return verification('unverified', error.message);
+  }
+}
+
+module.exports = {
+  DEFAULT_BASE_URLS,
+  classifyHttpStatus,
+  registerVerifier,
+  hasVerifier,
+  verifyCredentials
+};
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * MCP Server Launcher
+ * REQ-912: Resolve stored secrets when Claude Code starts a server
+ *
+ *   node mcp-launch.js [--backend <name|module.js>] [--secret NAME]... [--arg-secret NAME]... -- <command> [args...]
+ *
+ * Each --secret is looked up in the secrets backend (falling back to the
+ * environment) and exported to the server's environment only: arguments
+ * that reference `${NAME}` are dropped, together with the flag they are the
+ * value of, so the value never shows up in `ps`. --arg-secret names are for
+ * servers that only accept the value as an argument and are substituted
+ * into it. The configuration Claude Code stores only ever contains the
+ * references. The server inherits stdio, so the MCP stream passes straight
+ * through; the launcher itself only writes to stderr.
+ *
+ * quickstart copies this file and secret-store.js into
+ * ~/.claude/quickstart/launcher so configured servers don't depend on the
+ * npx cache.
+ */
+
+const { spawn } = require('node:child_process');
+const { getSecretStore } = require('./secret-store.js');
+
+function parseLaunchArgs(argv) {
+  const names = [];
+  const argNames = [];
+  let backend;
+  let i = 0;
+
+  for (; i < argv.length && argv[i] !== '--'; i++) {
+    if (argv[i] === '--secret' && argv[i + 1]) {
+      names.push(argv[++i]);
+    } else if (argv[i] === '--arg-secret' && argv[i + 1]) {
+      argNames.push(argv[++i]);
+    } else if (argv[i] === '--backend' && argv[i + 1]) {
+      backend = argv[++i];
+    } else {
+      throw new Error(`Unexpected launcher argument: ${argv[i]}`);
+    }
+  }
+
+  const [command, ...args] = argv.slice(i + 1);
+  if (!command) {
+    throw new Error('Missing server command after --');
+  }
+  return { backend, names, argNames, command, args };
+}
+
+// REQ-912: Look up every secret; the environment wins so a shell export can
+// override the stored value for one session
+async function resolveSecrets(names, store, env = process.env) {
+  const values = {};
+  const missing = [];
+
+  for (const name of names) {
+    const value = env[name] || (await store.get(name));
+    if (value) values[name] = value;
+    else missing.push(name);
+  }
+
+  if (missing.length > 0) {
+    throw new Error(
+      `No stored value for ${missing.join(', ')} - run: npx claude-code-quickstart secrets set ${missing[0]}`
+    );
+  }
+  return values;
+}
+
+// REQ-912: The server's arguments with every reference to a --secret removed
+// (`--flag ${NAME}` loses both parts) and --arg-secret references replaced
+// by their values
+function launchArgs(args, values, argNames = []) {
+  const reference = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+  const known = (name) => Object.prototype.hasOwnProperty.call(values, name);
+  const result = [];
+
+  for (const arg of args) {
+    const envOnly = [...arg.matchAll(reference)].some(([, name]) => known(name) && !argNames.includes(name));
+    if (envOnly) {
+      if (/^--[^=]+$/.test(result[result.length - 1] || '')) result.pop();
+      continue;
+    }
+    result.push(arg.replace(reference, (match, name) => (known(name) && argNames.includes(name) ? values[name] : match)));
+  }
+  return result;
+}
+
+async function launch(argv) {
+  const { backend, names, argNames, command, args } = parseLaunchArgs(argv);
+  const values = await resolveSecrets([...names, ...argNames], getSecretStore(backend));
+
+  const child = spawn(command, launchArgs(args, values, argNames), {
+    stdio: 'inherit',
+    env: { ...process.env, ...values }
+  });
+
+  for (const signal of ['SIGINT', 'SIGTERM', 'SIGHUP']) {
+    process.on(signal, () => child.kill(signal));
+  }
+
+  child.on('error', (error) => {
+    console.error(`mcp-launch: cannot start ${command}: ${error.message}`);
+    process.exit(127);
+  });
+  child.on('exit', (code, signal) => {
+    process.exit(code === null ? (signal ? 128 : 1) : code);
+  });
+}
+
+if (require.main === module) {
+  launch(process.argv.slice(2)).catch((error) => {
+    console.error(`mcp-launch: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseLaunchArgs, resolveSecrets, launchArgs };
@@ -0,0 +1,181 @@
+/**
+ * Secret Storage for Claude Code MCP Setup
+ * REQ-912: Keep tokens out of `claude mcp add --env`, argv and settings files
+ *
+ * Servers are configured to start through mcp-launch.js with `${VAR}`
+ * references; the launcher asks a secrets backend for the values when the
+ * server starts. Every backend implements the same async interface:
+ *
+ *   get(name)         -> string | null
+ *   set(name, value)
+ *   delete(name)      -> boolean (whether something was removed)
+ *   list()            -> string[] (names only, never values)
+ *
+ * The built-in `file` backend keeps AES-256-GCM encrypted values in
+ * ~/.claude/quickstart/secrets.json. The key is a random 32-byte key file
+ * next to it (mode 0600), or is derived with scrypt from
+ * QUICKSTART_SECRETS_PASSPHRASE when that is set. OS keychains plug in
+ * through registerSecretBackend() or a backend module path.
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const SECRET_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PASSPHRASE_ENV = 'QUICKSTART_SECRETS_PASSPHRASE';
+const BACKEND_ENV = 'QUICKSTART_SECRETS_BACKEND';
+const STORE_VERSION = 1;
+
+function secretsDir(homeDir = os.homedir()) {
+  return path.join(homeDir, '.claude', 'quickstart');
+}
+
+function assertSecretName(name) {
+  if (typeof name !== 'string' || !SECRET_NAME.test(name)) {
+    throw new Error(`Invalid secret name: ${name}`);
+  }
+}
+
+// REQ-912: Write via a temp file + rename so a crash never leaves half a store
+function writePrivateFile(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, content, { mode: 0o600 });
+  fs.renameSync(temp, file);
+}
+
+// REQ-912: Encrypted file backend. Options: homeDir, file, keyFile, passphrase.
+function createFileSecretStore(options = {}) {
+  const dir = secretsDir(options.homeDir);
+  const file = options.file || path.join(dir, 'secrets.json');
+  const keyFile = options.keyFile || path.join(dir, 'secrets.key');
+  const passphrase = options.passphrase !== undefined ? options.passphrase : process.env[PASSPHRASE_ENV];
+
+  function read() {
+    if (!fs.existsSync(file)) {
+      return {
+        version: STORE_VERSION,
+        kdf: passphrase ? 'scrypt' : 'keyfile',
+        ...(passphrase && { salt: crypto.randomBytes(16).toString('base64') }),
+        secrets: {}
+      };
+    }
+    const store = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (store.version !== STORE_VERSION) {
+      throw new Error(`Unsupported secret store version ${store.version} in ${file}`);
+    }
+    return store;
+  }
+
+  // The key depends on how the store was created, not on today's env
+  function keyFor(store, create) {
+    if (store.kdf === 'scrypt') {
+      if (!passphrase) {
+        throw new Error(`${file} is passphrase-protected - set ${PASSPHRASE_ENV}`);
+      }
+      return crypto.scryptSync(passphrase, Buffer.from(store.salt, 'base64'), 32);
+    }
+    if (!fs.existsSync(keyFile)) {
+      if (!create) throw new Error(`Secret key file ${keyFile} is missing`);
+      writePrivateFile(keyFile, crypto.randomBytes(32).toString('base64') + '\n');
+    }
+    return Buffer.from(fs.readFileSync(keyFile, 'utf8').trim(), 'base64');
+  }
+
+  return {
+    name: 'file',
+    file,
+
+    async get(name) {
+      assertSecretName(name);
+      const store = read();
+      const entry = store.secrets[name];
+      if (!entry) return null;
+
+      // The name is authenticated too, so values can't be swapped between keys
+      const decipher = crypto.createDecipheriv('aes-256-gcm', keyFor(store, false), Buffer.from(entry.iv, 'base64'));
+      decipher.setAAD(Buffer.from(name));
+      decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+      try {
+        return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+      } catch {
+        throw new Error(`Cannot decrypt ${name} - wrong key or passphrase for ${file}`);
+      }
+    },
+
+    async set(name, value) {
+      assertSecretName(name);
+      if (typeof value !== 'string' || value === '') {
+        throw new Error(`Secret ${name} needs a non-empty value`);
+      }
+      const store = read();
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', keyFor(store, true), iv);
+      cipher.setAAD(Buffer.from(name));
+      const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+      store.secrets[name] = {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+      };
+      writePrivateFile(file, JSON.stringify(store, null, 2) + '\n');
+    },
+
+    async delete(name) {
+      assertSecretName(name);
+      const store = read();
+      if (!store.secrets[name]) return false;
+      delete store.secrets[name];
+      writePrivateFile(file, JSON.stringify(store, null, 2) + '\n');
+      return true;
+    },
+
+    async list() {
+      return Object.keys(read().secrets).sort();
+    }
+  };
+}
+
+// REQ-912: Backend registry - a keychain integration registers a factory
+// that takes the same options object and returns the interface above
+const BACKENDS = {
+  file: createFileSecretStore
+};
+
+function registerSecretBackend(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Secret backend ${name} must be a factory function`);
+  }
+  BACKENDS[name] = factory;
+}
+
+function hasSecretBackend(name) {
+  return Object.prototype.hasOwnProperty.call(BACKENDS, name);
+}
+
+// REQ-912: Open a backend by name (default: QUICKSTART_SECRETS_BACKEND or file).
+// A path to a .js module exporting a factory registers that module as a backend,
+// which is how the launcher picks up keychain integrations.
+function getSecretStore(name, options = {}) {
+  const backend = name || process.env[BACKEND_ENV] || 'file';
+  if (!hasSecretBackend(backend) && backend.endsWith('.js')) {
+    registerSecretBackend(backend, require(path.resolve(backend)));
+  }
+  if (!hasSecretBackend(backend)) {
+    throw new Error(`Unknown secrets backend: ${backend} (available: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return BACKENDS[backend](options);
+}
+
+module.exports = {
+  SECRET_NAME,
+  BACKEND_ENV,
+  PASSPHRASE_ENV,
+  createFileSecretStore,
+  registerSecretBackend,
+  hasSecretBackend,
+  getSecretStore
+};
@@ -0,0 +1,213 @@
+/**
+ * Line diffs and three-way merge for scaffolded templates
+ * REQ-918: Bring template updates into files users have edited
+ * REQ-919: Unified diffs for the update-templates preview
+ *
+ * Line-based diff3. `base` is the template version that was installed,
+ * `ours` the file as it is now and `theirs` the new template. A region only
+ * one side changed takes that side, a region both changed the same way
+ * merges cleanly, and anything else is written between git-style conflict
+ * markers.
+ */
+
+function splitLines(text) {
+  return text === '' ? [] : text.match(/[^\n]*\n|[^\n]+$/g);
+}
+
+// Longest common subsequence of two line arrays, as a Map from an index in
+// `a` to the matching index in `b`
+function matchLines(a, b) {
+  const table = Array.from(
+    { length: a.length + 1 },
+    () => new Uint32Array(b.length + 1)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] =
+        a[i] === b[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const matches = new Map();
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      matches.set(i, j);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+// Conflict sections must end on a line break before the next marker
+function terminated(lines) {
+  if (lines.length === 0 || lines[lines.length - 1].endsWith('\n')) {
+    return lines;
+  }
+  return [...lines.slice(0, -1), `${lines[lines.length - 1]}\n`];
+}
+
+/**
+ * Merge `ours` and `theirs`, both derived from `base`.
+ * Returns { content, conflicts } where conflicts is the number of marked
+ * regions.
+ */
+function threeWayMerge(base, ours, theirs, labels = {}) {
+  const { ours: oursLabel = 'current', theirs: theirsLabel = 'template' } =
+    labels;
+  const b = splitLines(base);
+  const o = splitLines(ours);
+  const t = splitLines(theirs);
+  const toOurs = matchLines(b, o);
+  const toTheirs = matchLines(b, t);
+
+  const out = [];
+  let conflicts = 0;
+  let i = 0;
+  let x = 0;
+  let y = 0;
+
+  while (i < b.length || x < o.length || y < t.length) {
+    // Stable line: unchanged on both sides
+    if (i < b.length && toOurs.get(i) === x && toTheirs.get(i) === y) {
+      out.push(b[i]);
+      i++;
+      x++;
+      y++;
+      continue;
+    }
+
+    // Unstable chunk: up to the next base line both sides still have
+    let j = i;
+    while (j < b.length && !(toOurs.has(j) && toTheirs.has(j))) j++;
+    const oursEnd = j < b.length ? toOurs.get(j) : o.length;
+    const theirsEnd = j < b.length ? toTheirs.get(j) : t.length;
+
+    const baseChunk = b.slice(i, j);
+    const oursChunk = o.slice(x, oursEnd);
+    const theirsChunk = t.slice(y, theirsEnd);
+
+    if (sameLines(oursChunk, baseChunk)) {
+      out.push(...theirsChunk);
+    } else if (
+      sameLines(theirsChunk, baseChunk) ||
+      sameLines(oursChunk, theirsChunk)
+    ) {
+      out.push(...oursChunk);
+    } else {
+      conflicts++;
+      out.push(
+        `<<<<<<< ${oursLabel}\n`,
+        ...terminated(oursChunk),
+        '=======\n',
+        ...terminated(theirsChunk),
+        `>>>>>>> ${theirsLabel}\n`
+      );
+    }
+
+    i = j;
+    x = oursEnd;
+    y = theirsEnd;
+  }
+
+  return { content: out.join(''), conflicts };
+}
+
+/**
+ * Lines two texts share, in order. Stands in for the base when none was
+ * recorded: additions on either side are kept and lines that differ
+ * become conflicts.
+ */
+function commonLines(a, b) {
+  const aLines = splitLines(a);
+  const matches = matchLines(aLines, splitLines(b));
+  return [...matches.keys()].map((i) => aLines[i]).join('');
+}
+
+// Edit script from `a` to `b`: [{ type: ' ' | '-' | '+', line }]
+function diffLines(a, b) {
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  for (const [matchA, matchB] of matchLines(a, b)) {
+    while (i < matchA) ops.push({ type: '-', line: a[i++] });
+    while (j < matchB) ops.push({ type: '+', line: b[j++] });
+    ops.push({ type: ' ', line: a[i] });
+    i++;
+    j++;
+  }
+  while (i < a.length) ops.push({ type: '-', line: a[i++] });
+  while (j < b.length) ops.push({ type: '+', line: b[j++] });
+  return ops;
+}
+
+/**
+ * Unified diff (as `diff -u` prints it) from oldText to newText, or '' when
+ * they are equal. options: oldLabel, newLabel, context (lines, default 3).
+ */
+function unifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+  let oldNo = 1;
+  let newNo = 1;
+  const ops = diffLines(splitLines(oldText), splitLines(newText)).map((op) => {
+    const numbered = { ...op, oldNo, newNo };
+    if (op.type !== '+') oldNo++;
+    if (op.type !== '-') newNo++;
+    return numbered;
+  });
+  if (ops.every((op) => op.type === ' ')) return '';
+
+  const out = [`--- ${oldLabel}\n`, `+++ ${newLabel}\n`];
+  let k = 0;
+  while (k < ops.length) {
+    while (k < ops.length && ops[k].type === ' ') k++;
+    if (k === ops.length) break;
+
+    // Changes less than two contexts apart share a hunk
+    let last = k;
+    for (let m = k + 1; m < ops.length; m++) {
+      if (ops[m].type === ' ') continue;
+      if (m - last > 2 * context) break;
+      last = m;
+    }
+    const hunk = ops.slice(Math.max(0, k - context), last + context + 1);
+
+    const oldLines = hunk.filter((op) => op.type !== '+').length;
+    const newLines = hunk.filter((op) => op.type !== '-').length;
+    const oldStart = oldLines === 0 ? hunk[0].oldNo - 1 : hunk[0].oldNo;
+    const newStart = newLines === 0 ? hunk[0].newNo - 1 : hunk[0].newNo;
+    const range = (start, count) =>
+      count === 1 ? `${start}` : `${start},${count}`;
+    out.push(
+      `@@ -${range(oldStart, oldLines)} +${range(newStart, newLines)} @@\n`
+    );
+    for (const op of hunk) {
+      out.push(
+        op.line.endsWith('\n')
+          ? `${op.type}${op.line}`
+          : `${op.type}${op.line}\n\\ No newline at end of file\n`
+      );
+    }
+    k = last + context + 1;
+  }
+  return out.join('');
+}
+
+module.exports = {
+  splitLines,
+  threeWayMerge,
+  commonLines,
+  unifiedDiff,
+};
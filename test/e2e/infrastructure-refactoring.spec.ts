@@ -245,7 +245,7 @@ describe("REQ-202 — Real CLI Process Execution", () => {
     const testConfigPath = path.join(tempDir, ".claude", "claude_desktop_config.json");
     
     // Execute real init command
-    const initResult = await cliExecutor.execute(["init", tempDir], { timeout: 10000 });
+    const initResult = await cliExecutor.execute(["init", tempDir], { cwd: tempDir, timeout: 10000 });
     
     // Verify real filesystem changes occurred
     const dirExists = await fs.access(path.dirname(testConfigPath)).then(() => true).catch(() => false);
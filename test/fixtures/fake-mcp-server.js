@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Minimal stdio MCP server for probe tests (REQ-905).
+ *
+ * Speaks newline-delimited JSON-RPC. FAKE_MCP_MODE selects a behaviour:
+ * - (unset)  normal handshake, two pages of tools
+ * - hang     never answers
+ * - error    rejects initialize with a JSON-RPC error
+ * - crash    writes to stderr and exits with code 3
+ * - noisy    logs non-JSON lines to stdout before answering
+ */
+const readline = require("node:readline");
+
+const mode = process.env.FAKE_MCP_MODE || "";
+
+if (mode === "crash") {
+  process.stderr.write("fatal: missing FAKE_TOKEN\n");
+  process.exit(3);
+}
+
+const send = (message) =>
+  process.stdout.write(JSON.stringify({ jsonrpc: "2.0", ...message }) + "\n");
+
+const rl = readline.createInterface({ input: process.stdin });
+
+rl.on("line", (line) => {
+  const message = JSON.parse(line);
+  if (mode === "hang" || message.id === undefined) return;
+
+  if (message.method === "initialize") {
+    if (mode === "error") {
+      send({
+        id: message.id,
+        error: { code: -32602, message: "Unsupported protocol version" },
+      });
+      return;
+    }
+    if (mode === "noisy") {
+      process.stdout.write("starting fake server...\n");
+    }
+    send({
+      id: message.id,
+      result: {
+        protocolVersion: message.params.protocolVersion,
+        capabilities: { tools: {} },
+        serverInfo: {
+          name: "fake-mcp",
+          version: process.env.FAKE_MCP_VERSION || "0.0.1",
+        },
+      },
+    });
+    return;
+  }
+
+  if (message.method === "tools/list") {
+    const firstPage = !message.params || !message.params.cursor;
+    send({
+      id: message.id,
+      result: firstPage
+        ? { tools: [{ name: "echo" }, { name: "add" }], nextCursor: "page-2" }
+        : { tools: [{ name: "time" }] },
+    });
+    return;
+  }
+
+  send({
+    id: message.id,
+    error: { code: -32601, message: `Method not found: ${message.method}` },
+  });
+});
@@ -0,0 +1,20 @@
+/**
+ * Gives every test file its own empty HOME.
+ *
+ * The CLI keeps its ledger, audit log, snapshots and agents under
+ * ~/.claude. Tests that check those files pass a homeDir of their own; this
+ * keeps everything else a test happens to write out of the real home.
+ */
+
+import { afterAll } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "quickstart-home-"));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+
+afterAll(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
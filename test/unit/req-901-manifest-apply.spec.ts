@@ -0,0 +1,239 @@
+/**
+ * REQ-901: Declarative setup manifest applied with `apply`
+ *
+ * A committed quickstart.json describes tier, scope, servers, scaffold options
+ * and permissions. `apply` only executes the difference and is idempotent.
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const cli = await import("../../bin/cli.js");
+const {
+  validateManifest,
+  computeApplyPlan,
+  mergePermissionRules,
+  updateJsonFile,
+  applyManifest,
+} = cli;
+
+const statusFrom = (configured: string[]) => (key: string) => ({
+  exists: configured.includes(key),
+});
+
+describe("REQ-901 — validateManifest", () => {
+  test("REQ-901 — fills defaults from the tier", () => {
+    const manifest = validateManifest({ tier: "quick-start" });
+    expect(manifest).toEqual({
+      tier: "quick-start",
+      scope: "user",
+      servers: ["context7", "tavily", "github"],
+      scaffold: false,
+      permissions: null,
+    });
+  });
+
+  test("REQ-901 — reports every problem at once", () => {
+    expect(() =>
+      validateManifest({
+        tier: "quick-start",
+        scope: "team",
+        servers: ["postgres", "nope"],
+        scaffold: { agents: "yes" },
+        permissions: { allow: "Read(/**)" },
+        extra: true,
+      })
+    ).toThrow(
+      /unknown field "extra"[\s\S]*scope must be[\s\S]*"postgres" is not part[\s\S]*unknown server "nope"[\s\S]*scaffold.agents[\s\S]*permissions.allow/
+    );
+  });
+
+  test("REQ-901 — rejects non-object manifests", () => {
+    expect(() => validateManifest([])).toThrow("Manifest must be a JSON object");
+  });
+});
+
+describe("REQ-901 — computeApplyPlan", () => {
+  test("REQ-901 — splits servers into add, remove and present", () => {
+    const manifest = validateManifest({
+      tier: "dev-tools",
+      servers: ["github", "postgres"],
+    });
+    const plan = computeApplyPlan(
+      manifest,
+      statusFrom(["github", "brave-search", "my-internal-server"])
+    );
+
+    expect(plan).toEqual({
+      add: ["postgres"],
+      remove: ["brave-search"],
+      present: ["github"],
+    });
+  });
+
+  test("REQ-901 — an applied manifest yields an empty diff", () => {
+    const manifest = validateManifest({ servers: ["github"] });
+    const plan = computeApplyPlan(manifest, statusFrom(["github"]));
+    expect(plan.add).toEqual([]);
+    expect(plan.remove).toEqual([]);
+  });
+});
+
+describe("REQ-901 — permission merging", () => {
+  test("REQ-901 — unions rules and keeps user additions", () => {
+    const merged = mergePermissionRules(
+      { defaultMode: "plan", permissions: { allow: ["Bash(make test)"] } },
+      { allow: ["Read(/**)", "Bash(make test)"], deny: ["Read(*.env)"] }
+    );
+    expect(merged).toEqual({
+      defaultMode: "plan",
+      permissions: {
+        allow: ["Bash(make test)", "Read(/**)"],
+        deny: ["Read(*.env)"],
+      },
+    });
+  });
+});
+
+describe("REQ-901 — file updates and dry runs", () => {
+  let tempDir: string;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "req-901-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("REQ-901 — updateJsonFile only rewrites when content changes", async () => {
+    const file = path.join(tempDir, ".claude", "settings.json");
+    const rules = { allow: ["Read(/**)"] };
+
+    const first = await updateJsonFile(file, (s: any) =>
+      mergePermissionRules(s, rules)
+    );
+    const second = await updateJsonFile(file, (s: any) =>
+      mergePermissionRules(s, rules)
+    );
+
+    expect(first.changed).toBe(true);
+    expect(second.changed).toBe(false);
+    expect(JSON.parse(fs.readFileSync(file, "utf8")).permissions.allow).toEqual(
+      ["Read(/**)"]
+    );
+  });
+
+  test("REQ-901 — dry run reports the plan without executing it", async () => {
+    const manifestPath = path.join(tempDir, "quickstart.json");
+    fs.writeFileSync(
+      manifestPath,
+      JSON.stringify({ tier: "quick-start", servers: ["github", "tavily"] })
+    );
+
+    const { plan, results } = await applyManifest(manifestPath, {
+      dryRun: true,
+      statusFn: statusFrom(["tavily", "context7"]),
+    });
+
+    expect(plan).toEqual({
+      add: ["github"],
+      remove: ["context7"],
+      present: ["tavily"],
+    });
+    expect(results).toEqual([]);
+  });
+
+  test("REQ-901 — a converged manifest is a no-op", async () => {
+    const manifestPath = path.join(tempDir, "quickstart.json");
+    fs.writeFileSync(manifestPath, JSON.stringify({ servers: ["github"] }));
+
+    const { results } = await applyManifest(manifestPath, {
+      statusFn: statusFrom(["github"]),
+    });
+    expect(results).toEqual([]);
+  });
+
+  test.each(["user", "local"])(
+    "REQ-901 — applying twice at %s scope leaves nothing to do",
+    async (scope) => {
+      const homeDir = path.join(tempDir, "home");
+      const projectDir = path.join(tempDir, "project");
+      fs.mkdirSync(homeDir);
+      fs.mkdirSync(projectDir);
+      const manifestPath = path.join(projectDir, "quickstart.json");
+      fs.writeFileSync(
+        manifestPath,
+        JSON.stringify({
+          scope,
+          servers: ["github"],
+          permissions: { allow: ["Bash(make test)"] },
+        })
+      );
+
+      // Stands in for the claude CLI: `mcp add` records the server in
+      // ~/.claude.json the way Claude Code does
+      const commands: string[] = [];
+      const execFn = (command: string, options: { cwd?: string }) => {
+        commands.push(command);
+        const add = /^claude mcp add (?:--scope (\w+) )?(\S+)/.exec(command);
+        if (add) {
+          const file = path.join(homeDir, ".claude.json");
+          const config = fs.existsSync(file)
+            ? JSON.parse(fs.readFileSync(file, "utf8"))
+            : {};
+          const servers =
+            add[1] === "user"
+              ? (config.mcpServers ??= {})
+              : (((config.projects ??= {})[options.cwd!] ??= {}).mcpServers ??= {});
+          servers[add[2]] = { type: "stdio", command: "npx" };
+          fs.writeFileSync(file, JSON.stringify(config));
+        }
+        return "";
+      };
+      const apply = () =>
+        applyManifest(manifestPath, {
+          env: { GITHUB_PERSONAL_ACCESS_TOKEN: "ghp_test" },
+          skipVerify: true,
+          homeDir,
+          projectDir,
+          execFn,
+        });
+
+      const logSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+      try {
+        const first = await apply();
+        expect(first.plan.add).toEqual(["github"]);
+        expect(first.results).toEqual([
+          { serverName: "github", status: "configured" },
+        ]);
+
+        const executed = commands.length;
+        const second = await apply();
+        expect(second.plan).toEqual({ add: [], remove: [], present: ["github"] });
+        expect(second.results).toEqual([]);
+        expect(commands).toHaveLength(executed);
+      } finally {
+        logSpy.mockRestore();
+      }
+
+      const settings = path.join(
+        ...(scope === "user"
+          ? [homeDir, ".claude", "settings.json"]
+          : [projectDir, ".claude", "settings.local.json"])
+      );
+      expect(JSON.parse(fs.readFileSync(settings, "utf8")).permissions.allow).toEqual([
+        "Bash(make test)",
+      ]);
+      expect(fs.existsSync(path.join(projectDir, ".claude", "settings.json"))).toBe(false);
+    }
+  );
+
+  test("REQ-901 — surfaces unreadable manifests clearly", async () => {
+    await expect(
+      applyManifest(path.join(tempDir, "missing.json"))
+    ).rejects.toThrow("Cannot read manifest missing.json");
+  });
+});
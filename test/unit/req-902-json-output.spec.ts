@@ -0,0 +1,72 @@
+/**
+ * REQ-902: Machine-readable JSON output mode
+ *
+ * `--json` silences decorative console output and prints exactly one
+ * structured document per command.
+ */
+
+import { describe, test, expect, vi, afterEach } from "vitest";
+
+const cli = await import("../../bin/cli.js");
+const { runCommand, parseCliArgs } = cli;
+
+describe("REQ-902 — runCommand", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    process.exitCode = undefined;
+  });
+
+  test("REQ-902 — without --json the handler runs normally", async () => {
+    const result = await runCommand("init", {}, async () => ({ servers: [] }));
+    expect(result).toEqual({ servers: [] });
+  });
+
+  test("REQ-902 — silences console output and emits one document", async () => {
+    const write = vi
+      .spyOn(process.stdout, "write")
+      .mockImplementation(() => true);
+    const originalLog = console.log;
+
+    const document = await runCommand("init", { json: true }, async () => {
+      console.log("🎉 decorative output");
+      console.warn("⚠️ decorative warning");
+      return {
+        servers: [{ serverName: "github", status: "configured" }],
+        files: [{ path: "CLAUDE.md", status: "created" }],
+      };
+    });
+
+    expect(console.log).toBe(originalLog);
+    expect(write).toHaveBeenCalledTimes(1);
+    const printed = JSON.parse(String(write.mock.calls[0][0]));
+    expect(printed).toEqual(document);
+    expect(printed).toEqual({
+      command: "init",
+      ok: true,
+      servers: [{ serverName: "github", status: "configured" }],
+      files: [{ path: "CLAUDE.md", status: "created" }],
+    });
+  });
+
+  test("REQ-902 — reports handler failures in the document", async () => {
+    const write = vi
+      .spyOn(process.stdout, "write")
+      .mockImplementation(() => true);
+
+    const document = await runCommand("apply", { json: true }, async () => {
+      throw new Error("Cannot read manifest quickstart.json");
+    });
+
+    expect(document).toEqual({
+      command: "apply",
+      ok: false,
+      error: "Cannot read manifest quickstart.json",
+    });
+    expect(process.exitCode).toBe(1);
+    expect(JSON.parse(String(write.mock.calls[0][0])).ok).toBe(false);
+  });
+
+  test("REQ-902 — --json is a recognised flag", () => {
+    expect(parseCliArgs(["register-agents", "--json"]).flags.json).toBe(true);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * REQ-903: `status` command reporting MCP servers across all scopes
+ *
+ * Reads user settings, ~/.claude.json (user + local), and project .mcp.json,
+ * then merges each entry with SERVER_SPECS metadata.
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const cli = await import("../../bin/cli.js");
+const { collectServerStatus, isEnvValuePresent, formatTable } = cli;
+
+describe("REQ-903 — collectServerStatus", () => {
+  let homeDir: string;
+  let projectDir: string;
+
+  const writeJson = (file: string, data: unknown) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data));
+  };
+
+  beforeEach(() => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "req-903-"));
+    homeDir = path.join(root, "home");
+    projectDir = path.join(root, "project");
+    fs.mkdirSync(projectDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(homeDir), { recursive: true, force: true });
+  });
+
+  test("REQ-903 — merges user, project and local scopes", () => {
+    writeJson(path.join(homeDir, ".claude", "settings.json"), {
+      mcpServers: {
+        github: {
+          command: "npx",
+          env: { GITHUB_PERSONAL_ACCESS_TOKEN: "ghp_x" },
+        },
+      },
+    });
+    writeJson(path.join(homeDir, ".claude.json"), {
+      projects: {
+        [projectDir]: { mcpServers: { "internal-docs": { command: "node" } } },
+      },
+    });
+    writeJson(path.join(projectDir, ".mcp.json"), {
+      mcpServers: {
+        n8n: { command: "npx", env: { N8N_API_URL: "http://localhost" } },
+        "cloudflare-builds": {
+          type: "sse",
+          url: "https://builds.mcp.cloudflare.com/sse",
+        },
+      },
+    });
+
+    const report = collectServerStatus({ homeDir, projectDir, env: {} });
+    const byName = Object.fromEntries(
+      report.servers.map((s: any) => [s.name, s])
+    );
+
+    expect(byName.github).toMatchObject({
+      scope: "user",
+      transport: "stdio",
+      known: true,
+      title: "GitHub",
+      tier: "quick-start",
+      authPattern: "api-key",
+      missingEnv: [],
+    });
+    expect(byName["internal-docs"]).toMatchObject({
+      scope: "local",
+      known: false,
+    });
+    expect(byName.n8n).toMatchObject({
+      scope: "project",
+      requiredEnv: ["N8N_API_URL", "N8N_API_KEY"],
+      missingEnv: ["N8N_API_KEY"],
+    });
+    expect(byName["cloudflare-builds"].transport).toBe("sse");
+    expect(report.notConfigured).toContain("tavily");
+    expect(report.notConfigured).not.toContain("github");
+  });
+
+  test("REQ-903 — reports unreadable settings instead of throwing", () => {
+    fs.mkdirSync(path.join(homeDir, ".claude"), { recursive: true });
+    fs.writeFileSync(path.join(homeDir, ".claude", "settings.json"), "{ nope");
+
+    const report = collectServerStatus({ homeDir, projectDir, env: {} });
+
+    expect(report.servers).toEqual([]);
+    expect(report.errors).toHaveLength(1);
+    expect(report.errors[0].error).toMatch(/^Invalid JSON/);
+  });
+});
+
+describe("REQ-903 — helpers", () => {
+  test("REQ-903 — ${VAR} references resolve against the environment", () => {
+    expect(isEnvValuePresent("literal")).toBe(true);
+    expect(isEnvValuePresent("")).toBe(false);
+    expect(isEnvValuePresent("${TOKEN}", {})).toBe(false);
+    expect(isEnvValuePresent("${TOKEN}", { TOKEN: "x" })).toBe(true);
+  });
+
+  test("REQ-903 — formatTable pads columns", () => {
+    expect(
+      formatTable(
+        ["A", "BB"],
+        [
+          ["long", "x"],
+          ["s", "y"],
+        ]
+      )
+    ).toBe("A     BB\n----  --\nlong  x\ns     y");
+  });
+});
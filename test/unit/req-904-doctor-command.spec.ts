@@ -0,0 +1,126 @@
+/**
+ * REQ-904: `doctor` command replacing scripts/diagnose-cloudflare-mcp.js
+ *
+ * Checks Node, the claude CLI, settings JSON, stale locks, npm packages,
+ * SSE URLs and configured credentials, with hints from AUTH_PATTERNS.
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const cli = await import("../../bin/cli.js");
+const { runDoctorChecks, getSpecPackage, SERVER_SPECS } = cli;
+const { AUTH_PATTERNS } = await import(
+  "../../src/auth-messaging-improvements.js"
+);
+
+const healthyExec = (command: string) => {
+  if (command === "claude --version") return "1.0.0 (Claude Code)";
+  if (command === "npx --version") return "10.0.0";
+  if (command.startsWith("npm view")) return "1.2.3";
+  return "";
+};
+
+describe("REQ-904 — runDoctorChecks", () => {
+  let homeDir: string;
+  let projectDir: string;
+
+  beforeEach(() => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "req-904-"));
+    homeDir = path.join(root, "home");
+    projectDir = path.join(root, "project");
+    fs.mkdirSync(path.join(homeDir, ".claude"), { recursive: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(homeDir), { recursive: true, force: true });
+  });
+
+  const run = (overrides = {}) =>
+    runDoctorChecks({ homeDir, projectDir, env: {}, exec: healthyExec, ...overrides });
+
+  test("REQ-904 — a healthy environment has no failures", () => {
+    const { checks, summary } = run();
+
+    expect(summary.fail).toBe(0);
+    expect(checks.find((c: any) => c.name === "claude-cli").message).toContain(
+      "1.0.0"
+    );
+    const packages = checks.filter((c: any) => c.name === "npm-package");
+    expect(packages).toHaveLength(
+      SERVER_SPECS.filter((s: any) => s.command === "npx").length
+    );
+  });
+
+  test("REQ-904 — missing claude CLI fails both CLI checks", () => {
+    const { checks } = run({
+      exec: (command: string) => {
+        if (command.startsWith("claude")) throw new Error("not found");
+        return healthyExec(command);
+      },
+    });
+
+    expect(checks.find((c: any) => c.name === "claude-cli").status).toBe("fail");
+    expect(checks.find((c: any) => c.name === "claude-mcp").status).toBe("fail");
+  });
+
+  test("REQ-904 — flags invalid settings JSON and stale locks", () => {
+    fs.writeFileSync(path.join(homeDir, ".claude", "settings.json"), "{ bad");
+    const lockPath = path.join(homeDir, ".claude", "settings.json.lock");
+    fs.mkdirSync(lockPath);
+
+    const { checks } = run({ now: Date.now() + 60 * 60 * 1000 });
+
+    const settings = checks.find((c: any) => c.name === "settings-json");
+    expect(settings.status).toBe("fail");
+    const lock = checks.find((c: any) => c.name === "stale-lock");
+    expect(lock.status).toBe("warn");
+    expect(lock.hints[0]).toContain(lockPath);
+  });
+
+  test("REQ-904 — fresh locks are not reported as stale", () => {
+    fs.mkdirSync(path.join(projectDir, ".mcp.json.lock"));
+    const lock = run().checks.find((c: any) => c.name === "stale-lock");
+    expect(lock.status).toBe("pass");
+  });
+
+  test("REQ-904 — unreachable packages fail", () => {
+    const { checks } = run({
+      exec: (command: string) => {
+        if (command === "npm view tavily-mcp version") throw new Error("E404");
+        return healthyExec(command);
+      },
+    });
+
+    const tavily = checks.find(
+      (c: any) => c.name === "npm-package" && c.message.startsWith("tavily")
+    );
+    expect(tavily.status).toBe("fail");
+  });
+
+  test("REQ-904 — missing credentials carry AUTH_PATTERNS hints", () => {
+    fs.writeFileSync(
+      path.join(homeDir, ".claude", "settings.json"),
+      JSON.stringify({ mcpServers: { github: { command: "npx", env: {} } } })
+    );
+
+    const credential = run().checks.find((c: any) => c.name === "credentials");
+
+    expect(credential.status).toBe("warn");
+    expect(credential.hints).toEqual(
+      Object.values(AUTH_PATTERNS["api-key"].commonIssues)
+    );
+  });
+});
+
+describe("REQ-904 — getSpecPackage", () => {
+  test("REQ-904 — extracts the npm package from npx args", () => {
+    const byKey = (key: string) => SERVER_SPECS.find((s: any) => s.key === key);
+    expect(getSpecPackage(byKey("context7"))).toBe("@upstash/context7-mcp");
+    expect(getSpecPackage(byKey("tavily"))).toBe("tavily-mcp");
+    expect(getSpecPackage(byKey("cloudflare-builds"))).toBeNull();
+  });
+});
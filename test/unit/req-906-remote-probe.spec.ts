@@ -0,0 +1,198 @@
+/**
+ * REQ-906: Live SSE / streamable-HTTP probe for remote MCP servers
+ *
+ * Runs against a local http.createServer stand-in so it works offline.
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from "vitest";
+import http from "node:http";
+import type { AddressInfo } from "node:net";
+
+const cli = await import("../../bin/cli.js");
+const { probeRemoteServer, describeNetworkError, parseSseEvents } = cli;
+
+describe("REQ-906 — probeRemoteServer", () => {
+  let server: http.Server;
+  let baseUrl: string;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      switch (req.url) {
+        case "/sse":
+          res.writeHead(200, { "Content-Type": "text/event-stream" });
+          res.write(": keep-alive\n\n");
+          res.write("event: endpoint\ndata: /messages?sessionId=abc\n\n");
+          return; // Leave the stream open like a real server
+        case "/bad-endpoint":
+          res.writeHead(200, { "Content-Type": "text/event-stream" });
+          res.write("event: endpoint\ndata: http://[::1\n\n");
+          return;
+        case "/oauth":
+          res.writeHead(401, { "WWW-Authenticate": 'Bearer realm="mcp"' });
+          res.end();
+          return;
+        case "/redirect":
+          res.writeHead(302, { Location: "https://auth.example.com/login" });
+          res.end();
+          return;
+        case "/html":
+          res.writeHead(200, { "Content-Type": "text/html" });
+          res.end("<html></html>");
+          return;
+        case "/silent":
+          res.writeHead(200, { "Content-Type": "text/event-stream" });
+          res.write(": waiting\n\n");
+          return;
+        case "/mcp": {
+          let body = "";
+          req.on("data", (chunk) => (body += chunk));
+          req.on("end", () => {
+            const { id } = JSON.parse(body);
+            res.writeHead(200, { "Content-Type": "text/event-stream" });
+            res.end(
+              `event: message\ndata: ${JSON.stringify({
+                jsonrpc: "2.0",
+                id,
+                result: {
+                  protocolVersion: "2025-06-18",
+                  serverInfo: { name: "remote-mcp", version: "2.0.0" },
+                },
+              })}\n\n`
+            );
+          });
+          return;
+        }
+        default:
+          res.writeHead(404);
+          res.end();
+      }
+    });
+    await new Promise<void>((resolve) =>
+      server.listen(0, "127.0.0.1", resolve)
+    );
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const probe = (pathname: string, transport = "sse", timeoutMs = 5000) =>
+    probeRemoteServer(
+      { name: "remote", transport, url: baseUrl + pathname },
+      { timeoutMs }
+    );
+
+  test("REQ-906 — resolves once the endpoint event arrives", async () => {
+    const result = await probe("/sse");
+    expect(result).toMatchObject({
+      authRequired: false,
+      statusCode: 200,
+      endpoint: `${baseUrl}/messages?sessionId=abc`,
+    });
+  });
+
+  test("REQ-906 — a malformed endpoint URL fails the probe", async () => {
+    await expect(probe("/bad-endpoint")).rejects.toThrow(
+      "remote sent an invalid endpoint URL: http://[::1"
+    );
+  });
+
+  test("REQ-906 — 401 means reachable but needs OAuth", async () => {
+    const result = await probe("/oauth");
+    expect(result).toMatchObject({
+      authRequired: true,
+      statusCode: 401,
+      wwwAuthenticate: 'Bearer realm="mcp"',
+    });
+  });
+
+  test("REQ-906 — redirects are treated as an auth hand-off", async () => {
+    const result = await probe("/redirect");
+    expect(result).toMatchObject({
+      authRequired: true,
+      statusCode: 302,
+      location: "https://auth.example.com/login",
+    });
+  });
+
+  test("REQ-906 — rejects the wrong content type", async () => {
+    await expect(probe("/html")).rejects.toThrow(
+      "Expected text/event-stream from " + baseUrl + "/html, got text/html"
+    );
+  });
+
+  test("REQ-906 — reports other HTTP errors", async () => {
+    await expect(probe("/missing")).rejects.toThrow("remote answered HTTP 404");
+  });
+
+  test("REQ-906 — times out when no endpoint event is sent", async () => {
+    await expect(probe("/silent", "sse", 300)).rejects.toThrow(
+      "No MCP response from remote within 300ms"
+    );
+  });
+
+  test("REQ-906 — streamable HTTP answers initialize", async () => {
+    const result = await probe("/mcp", "http");
+    expect(result).toMatchObject({
+      authRequired: false,
+      serverName: "remote-mcp",
+      serverVersion: "2.0.0",
+    });
+  });
+
+  test("REQ-906 — TLS against a plain HTTP port is a TLS failure", async () => {
+    await expect(
+      probeRemoteServer(
+        {
+          name: "remote",
+          transport: "sse",
+          url: baseUrl.replace("http", "https") + "/sse",
+        },
+        { timeoutMs: 5000 }
+      )
+    ).rejects.toThrow(/^TLS handshake with 127\.0\.0\.1 failed/);
+  });
+
+  test("REQ-906 — rejects non-HTTP URLs", async () => {
+    await expect(
+      probeRemoteServer({
+        name: "remote",
+        transport: "sse",
+        url: "ftp://x/sse",
+      })
+    ).rejects.toThrow("expected http or https");
+  });
+});
+
+describe("REQ-906 — helpers", () => {
+  test("REQ-906 — describeNetworkError separates DNS, refusal and TLS", () => {
+    const url = "https://builds.mcp.cloudflare.com/sse";
+    const error = (code: string) => Object.assign(new Error(code), { code });
+
+    expect(describeNetworkError(error("ENOTFOUND"), url)).toBe(
+      "DNS lookup failed for builds.mcp.cloudflare.com (ENOTFOUND)"
+    );
+    expect(describeNetworkError(error("ECONNREFUSED"), url)).toBe(
+      "Connection refused by builds.mcp.cloudflare.com"
+    );
+    expect(describeNetworkError(error("CERT_HAS_EXPIRED"), url)).toMatch(
+      /^TLS handshake/
+    );
+    expect(describeNetworkError(error("ECONNRESET"), url)).toMatch(
+      /^Request to https:\/\/builds/
+    );
+  });
+
+  test("REQ-906 — parseSseEvents keeps partial events for the next chunk", () => {
+    const { events, rest } = parseSseEvents(
+      ': comment\n\nevent: endpoint\r\ndata: /m\r\n\r\ndata: {"a"\ndata: :1}\n\nevent: par'
+    );
+    expect(events).toEqual([
+      { event: "endpoint", data: "/m" },
+      { event: "message", data: '{"a"\n:1}' },
+    ]);
+    expect(rest).toBe("event: par");
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * REQ-907: Pluggable server registry loaded from servers.d JSON/YAML files
+ *
+ * Specs from ~/.claude/quickstart/servers.d and ./.claude/quickstart/servers.d
+ * are validated, merged into SERVER_SPECS and use `${ENV:NAME}` args templates.
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const cli = await import("../../bin/cli.js");
+const {
+  SERVER_SPECS,
+  validateServerSpec,
+  resolveSpecArgs,
+  loadServerRegistry,
+  registerServerSpecs,
+  getServersForTier,
+  buildClaudeMcpCommand,
+} = cli;
+
+const internalDocs = {
+  key: "internal-docs",
+  title: "Internal Docs",
+  tier: "quick-start",
+  envVar: "DOCS_TOKEN",
+  command: "npx",
+  args: ["-y", "@acme/docs-mcp", "--token", "${ENV:DOCS_TOKEN}"],
+};
+
+describe("REQ-907 — validateServerSpec", () => {
+  test("REQ-907 — built-in specs remain valid", () => {
+    for (const spec of SERVER_SPECS) {
+      expect(validateServerSpec(spec)).toBe(true);
+    }
+  });
+
+  test("REQ-907 — collects every problem with a registry spec", () => {
+    const errors: string[] = [];
+    const valid = validateServerSpec(
+      {
+        key: "Bad Key",
+        title: "",
+        tier: "gold",
+        command: "npx",
+        args: ["ok", "$(rm -rf ~)"],
+      },
+      errors
+    );
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      "key must be lowercase letters, digits and dashes",
+      "title is required",
+      "tier must be one of: quick-start, dev-tools, research-tools",
+      'unsafe argument: "$(rm -rf ~)"',
+    ]);
+  });
+
+  test("REQ-907 — ${ENV:NAME} placeholders are allowed in args", () => {
+    expect(validateServerSpec(internalDocs)).toBe(true);
+  });
+});
+
+describe("REQ-907 — resolveSpecArgs", () => {
+  test("REQ-907 — expands placeholders from the given values", () => {
+    expect(resolveSpecArgs(internalDocs, { DOCS_TOKEN: "t0k" })).toEqual([
+      "-y",
+      "@acme/docs-mcp",
+      "--token",
+      "t0k",
+    ]);
+  });
+
+  test("REQ-907 — missing values are an error", () => {
+    expect(() => resolveSpecArgs(internalDocs, {})).toThrow(
+      "internal-docs: no value for ${ENV:DOCS_TOKEN}"
+    );
+  });
+
+  test("REQ-907 — buildClaudeMcpCommand resolves templates from prompted values", () => {
+    expect(
+      buildClaudeMcpCommand(internalDocs, "user", { DOCS_TOKEN: "t0k" })
+    ).toBe(
+      "claude mcp add --scope user internal-docs --env DOCS_TOKEN=t0k -- npx -y @acme/docs-mcp --token t0k"
+    );
+  });
+
+  test("REQ-907 — substituted values are shell-quoted", () => {
+    const command = buildClaudeMcpCommand(internalDocs, "user", {
+      DOCS_TOKEN: "a b&$(touch x);'q'",
+    });
+    expect(command.split(" -- ")[1]).toBe(
+      "npx -y @acme/docs-mcp --token 'a b&$(touch x);'\\''q'\\'''"
+    );
+  });
+});
+
+describe("REQ-907 — loadServerRegistry", () => {
+  let homeDir: string;
+  let projectDir: string;
+  const builtins = [...SERVER_SPECS];
+
+  const writeSpec = (root: string, name: string, content: string) => {
+    const dir = path.join(root, ".claude", "quickstart", "servers.d");
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  };
+
+  beforeEach(() => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "req-907-"));
+    homeDir = path.join(root, "home");
+    projectDir = path.join(root, "project");
+    fs.mkdirSync(homeDir, { recursive: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(homeDir), { recursive: true, force: true });
+    SERVER_SPECS.splice(0, SERVER_SPECS.length, ...builtins);
+  });
+
+  test("REQ-907 — reads JSON and YAML from both scopes", () => {
+    writeSpec(homeDir, "docs.json", JSON.stringify(internalDocs));
+    writeSpec(
+      projectDir,
+      "tracker.yaml",
+      [
+        "- key: tracker",
+        "  title: Issue Tracker",
+        "  tier: dev-tools",
+        "  command: npx",
+        "  args: ['-y', '@acme/tracker-mcp']",
+      ].join("\n")
+    );
+
+    const { specs, errors } = loadServerRegistry({ homeDir, projectDir });
+
+    expect(errors).toEqual([]);
+    expect(specs.map((s: any) => s.key)).toEqual(["internal-docs", "tracker"]);
+    expect(specs[1].source).toContain("tracker.yaml");
+  });
+
+  test("REQ-907 — project specs override user specs with the same key", () => {
+    writeSpec(homeDir, "docs.json", JSON.stringify(internalDocs));
+    writeSpec(
+      projectDir,
+      "docs.json",
+      JSON.stringify({ ...internalDocs, title: "Project Docs" })
+    );
+
+    const { specs } = loadServerRegistry({ homeDir, projectDir });
+    expect(specs).toHaveLength(1);
+    expect(specs[0].title).toBe("Project Docs");
+  });
+
+  test("REQ-907 — reports invalid files and refuses to shadow built-ins", () => {
+    writeSpec(homeDir, "broken.json", "{ nope");
+    writeSpec(
+      homeDir,
+      "github.json",
+      JSON.stringify({ ...internalDocs, key: "github" })
+    );
+    writeSpec(
+      homeDir,
+      "untiered.json",
+      JSON.stringify({ ...internalDocs, key: "untiered", tier: undefined })
+    );
+
+    const { specs, errors } = loadServerRegistry({ homeDir, projectDir });
+
+    expect(specs).toEqual([]);
+    expect(errors.map((e: any) => e.error)).toEqual([
+      expect.stringMatching(/^Could not parse/),
+      "github: key github is a built-in server",
+      "untiered: tier is required",
+    ]);
+  });
+
+  test("REQ-907 — registered specs join their tier", () => {
+    writeSpec(homeDir, "docs.json", JSON.stringify(internalDocs));
+    registerServerSpecs(loadServerRegistry({ homeDir, projectDir }).specs);
+
+    const quickStart = getServersForTier("quick-start").map((s: any) => s.key);
+    expect(quickStart).toContain("internal-docs");
+    expect(getServersForTier("dev-tools").map((s: any) => s.key)).toContain(
+      "internal-docs"
+    );
+    // Stays grouped with its tier rather than appended after research-tools
+    expect(SERVER_SPECS.at(-1).key).toBe("brave-search");
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * REQ-908: `add-server` wizard for arbitrary npm/stdio/SSE servers
+ *
+ * Prompts are driven by a scripted askFn; `claude mcp add` is captured by an
+ * injected exec so nothing touches the real configuration.
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const cli = await import("../../bin/cli.js");
+const { promptCustomServerSpec, addCustomServer, loadServerRegistry } = cli;
+
+const scripted = (answers: string[]) => {
+  const queue = [...answers];
+  return vi.fn(async (_question: string, def = "") => {
+    const next = queue.shift();
+    return next === undefined || next === "" ? def : next;
+  });
+};
+
+describe("REQ-908 — promptCustomServerSpec", () => {
+  test("REQ-908 — builds a stdio spec with env vars and args templates", async () => {
+    const { spec, envVars } = await promptCustomServerSpec(
+      scripted([
+        "internal-docs",
+        "Internal Docs",
+        "stdio",
+        "npx",
+        "-y @acme/docs-mcp --token ${ENV:DOCS_TOKEN}",
+        "DOCS_TOKEN",
+        "t0k",
+      ])
+    );
+
+    expect(spec).toEqual({
+      key: "internal-docs",
+      title: "Internal Docs",
+      command: "npx",
+      args: ["-y", "@acme/docs-mcp", "--token", "${ENV:DOCS_TOKEN}"],
+      envVar: "DOCS_TOKEN",
+    });
+    expect(envVars).toEqual({ DOCS_TOKEN: "t0k" });
+  });
+
+  test("REQ-908 — re-asks for untrusted SSE URLs", async () => {
+    const askFn = scripted([
+      "remote",
+      "",
+      "sse",
+      "http://evil.example.org/sse",
+      "https://builds.mcp.cloudflare.com/sse",
+    ]);
+
+    const { spec } = await promptCustomServerSpec(askFn);
+
+    expect(spec).toMatchObject({
+      key: "remote",
+      title: "remote",
+      transport: "sse",
+      url: "https://builds.mcp.cloudflare.com/sse",
+    });
+    expect(askFn).toHaveBeenCalledTimes(5);
+  });
+
+  test("REQ-908 — gives up after repeated unsafe arguments", async () => {
+    await expect(
+      promptCustomServerSpec(
+        scripted([
+          "tool",
+          "",
+          "stdio",
+          "node",
+          "server.js;rm",
+          "$(whoami)",
+          "a|b",
+        ])
+      )
+    ).rejects.toThrow("No valid answer");
+  });
+
+  test("REQ-908 — refuses built-in server names", async () => {
+    await expect(
+      promptCustomServerSpec(scripted(["github", "github", "github"]))
+    ).rejects.toThrow("No valid answer for \"Server name\"");
+  });
+});
+
+describe("REQ-908 — addCustomServer", () => {
+  let homeDir: string;
+  let projectDir: string;
+
+  beforeEach(() => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "req-908-"));
+    homeDir = path.join(root, "home");
+    projectDir = path.join(root, "project");
+    fs.mkdirSync(homeDir, { recursive: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(homeDir), { recursive: true, force: true });
+  });
+
+  const docsAnswers = [
+    "internal-docs",
+    "Internal Docs",
+    "stdio",
+    "npx",
+    "-y @acme/docs-mcp --token ${ENV:DOCS_TOKEN}",
+    "DOCS_TOKEN",
+    "t0k",
+  ];
+
+  test("REQ-908 — runs claude mcp add and saves a reusable project spec", async () => {
+    const exec = vi.fn();
+    const result = await addCustomServer({
+      askFn: scripted([...docsAnswers, "p", "dev-tools"]),
+      exec,
+      scope: "user",
+      homeDir,
+      projectDir,
+    });
+
+    // REQ-912: The token is stored, and the server starts via the launcher
+    const launcher = path.join(homeDir, ".claude/quickstart/launcher/mcp-launch.js");
+    expect(exec).toHaveBeenCalledWith(
+      `claude mcp add --scope user internal-docs -- node ${launcher} --secret DOCS_TOKEN -- npx -y @acme/docs-mcp --token '\${DOCS_TOKEN}'`,
+      expect.any(Object)
+    );
+    expect(result).toMatchObject({
+      server: "internal-docs",
+      scope: "user",
+      status: "configured",
+    });
+
+    // The saved file holds the template, not the secret, and loads back
+    const saved = fs.readFileSync(result.savedTo, "utf8");
+    expect(saved).not.toContain("t0k");
+    const { specs, errors } = loadServerRegistry({ homeDir, projectDir });
+    expect(errors).toEqual([]);
+    expect(specs[0]).toMatchObject({ key: "internal-docs", tier: "dev-tools" });
+  });
+
+  test("REQ-908 — asks for the scope when no --scope is given", async () => {
+    const exec = vi.fn();
+    const result = await addCustomServer({
+      askFn: scripted([...docsAnswers, "3", "n"]),
+      exec,
+      homeDir,
+      projectDir,
+    });
+
+    expect(result).toMatchObject({ scope: "local", savedTo: null });
+    expect(exec.mock.calls[0][0]).toMatch(/^claude mcp add internal-docs /);
+  });
+
+  test("REQ-908 — surfaces claude mcp add failures", async () => {
+    await expect(
+      addCustomServer({
+        askFn: scripted(docsAnswers),
+        exec: () => {
+          throw new Error("exit 1");
+        },
+        scope: "user",
+        homeDir,
+        projectDir,
+      })
+    ).rejects.toThrow("claude mcp add failed for internal-docs: exit 1");
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * REQ-909: Write project-scope servers to .mcp.json without the claude CLI
+ *
+ * Entries are merged under a lock, existing servers are preserved and
+ * secrets are written as ${VAR} references.
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const cli = await import("../../bin/cli.js");
+const {
+  SERVER_SPECS,
+  buildProjectMcpEntry,
+  writeProjectMcpServer,
+  removeProjectMcpServer,
+  projectServerStatus,
+  addCustomServer,
+  buildInitOptions,
+  configureClaudeCode,
+} = cli;
+
+const byKey = (key: string) => SERVER_SPECS.find((s: any) => s.key === key);
+
+describe("REQ-909 — buildProjectMcpEntry", () => {
+  test("REQ-909 — secrets in args and env become ${VAR} references", () => {
+    expect(
+      buildProjectMcpEntry(byKey("github"), {
+        GITHUB_PERSONAL_ACCESS_TOKEN: "ghp_supersecret",
+      })
+    ).toEqual({
+      type: "stdio",
+      command: "npx",
+      args: [
+        "-y",
+        "@modelcontextprotocol/server-github",
+        "--token",
+        "${GITHUB_PERSONAL_ACCESS_TOKEN}",
+      ],
+      env: { GITHUB_PERSONAL_ACCESS_TOKEN: "${GITHUB_PERSONAL_ACCESS_TOKEN}" },
+    });
+  });
+
+  test("REQ-909 — registry templates map ${ENV:NAME} to ${NAME}", () => {
+    const entry = buildProjectMcpEntry({
+      key: "docs",
+      command: "npx",
+      args: ["-y", "@acme/docs-mcp", "--token=${ENV:DOCS_TOKEN}"],
+    });
+    expect(entry.args).toEqual(["-y", "@acme/docs-mcp", "--token=${DOCS_TOKEN}"]);
+  });
+
+  test("REQ-909 — SSE servers are written as url entries", () => {
+    expect(buildProjectMcpEntry(byKey("cloudflare-builds"))).toEqual({
+      type: "sse",
+      url: "https://builds.mcp.cloudflare.com/sse",
+    });
+  });
+
+  test("REQ-909 — refuses to write a typed secret", () => {
+    const leaky = {
+      key: "leaky",
+      command: "npx",
+      envVar: "TOKEN",
+      args: () => ["leaky-mcp", "--token", "abcdef123456"],
+    };
+    expect(() => buildProjectMcpEntry(leaky, { TOKEN: "abcdef123456" })).toThrow(
+      "Refusing to write the value of TOKEN into .mcp.json for leaky"
+    );
+  });
+});
+
+describe("REQ-909 — .mcp.json writer", () => {
+  let projectDir: string;
+  const mcpJson = () =>
+    JSON.parse(fs.readFileSync(path.join(projectDir, ".mcp.json"), "utf8"));
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "req-909-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test("REQ-909 — merges into an existing file and is idempotent", async () => {
+    fs.writeFileSync(
+      path.join(projectDir, ".mcp.json"),
+      JSON.stringify({ mcpServers: { mine: { command: "node" } }, note: "keep" })
+    );
+
+    const first = await writeProjectMcpServer(
+      byKey("tavily"),
+      { TAVILY_API_KEY: "tvly-secret-value" },
+      { projectDir }
+    );
+    const second = await writeProjectMcpServer(
+      byKey("tavily"),
+      { TAVILY_API_KEY: "tvly-secret-value" },
+      { projectDir }
+    );
+
+    expect(first.changed).toBe(true);
+    expect(second.changed).toBe(false);
+    const written = mcpJson();
+    expect(written.note).toBe("keep");
+    expect(written.mcpServers.mine).toEqual({ command: "node" });
+    expect(written.mcpServers.tavily.env).toEqual({
+      TAVILY_API_KEY: "${TAVILY_API_KEY}",
+    });
+    expect(JSON.stringify(written)).not.toContain("tvly-secret-value");
+    expect(projectServerStatus("tavily", { projectDir }).exists).toBe(true);
+  });
+
+  test("REQ-909 — removes only the named server", async () => {
+    await writeProjectMcpServer(byKey("tavily"), {}, { projectDir });
+    await writeProjectMcpServer(byKey("context7"), {}, { projectDir });
+
+    expect((await removeProjectMcpServer("tavily", { projectDir })).changed).toBe(
+      true
+    );
+    expect(Object.keys(mcpJson().mcpServers)).toEqual(["context7"]);
+    expect(projectServerStatus("tavily", { projectDir }).exists).toBe(false);
+  });
+
+  test("REQ-909 — add-server --scope project skips the claude CLI", async () => {
+    const answers = ["docs", "", "stdio", "node", "server.js", "DOCS_TOKEN", "s3cr3t-docs-token", "n"];
+    const exec = vi.fn();
+
+    await addCustomServer({
+      askFn: async (_q: string, def = "") => answers.shift() || def,
+      exec,
+      scope: "project",
+      projectDir,
+    });
+
+    expect(exec).not.toHaveBeenCalled();
+    expect(mcpJson().mcpServers.docs).toEqual({
+      type: "stdio",
+      command: "node",
+      args: ["server.js"],
+      env: { DOCS_TOKEN: "${DOCS_TOKEN}" },
+    });
+  });
+
+  test("REQ-909 — --yes with project scope does not need secret values", () => {
+    const options = buildInitOptions(
+      { server: ["github"], scope: "project", yes: true },
+      {}
+    );
+    expect(options.serverConfigs.github.envVars).toEqual({
+      GITHUB_PERSONAL_ACCESS_TOKEN: "",
+    });
+  });
+
+  test("REQ-909 — init with project scope writes .mcp.json instead of running claude mcp add", async () => {
+    const homeDir = fs.mkdtempSync(path.join(os.tmpdir(), "req-909-home-"));
+    const execFn = vi.fn((_command: string) => "");
+    const logSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      const results = await configureClaudeCode({
+        ...buildInitOptions({ server: ["github"], scope: "project", yes: true }, {}),
+        homeDir,
+        projectDir,
+        execFn,
+      });
+      expect(results).toEqual([{ serverName: "github", status: "configured" }]);
+    } finally {
+      logSpy.mockRestore();
+      fs.rmSync(homeDir, { recursive: true, force: true });
+    }
+
+    expect(mcpJson().mcpServers.github.env).toEqual({
+      GITHUB_PERSONAL_ACCESS_TOKEN: "${GITHUB_PERSONAL_ACCESS_TOKEN}",
+    });
+    const commands = execFn.mock.calls.map(([command]) => command);
+    expect(commands.some((command) => command.startsWith("claude mcp add"))).toBe(false);
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * REQ-911: Credential verification against provider APIs
+ *
+ * Verifiers run against a local stub server via overridden base URLs; the
+ * Postgres verifier gets a fake execFile instead of a real psql.
+ */
+
+import { describe, test, expect, beforeAll, afterAll, vi } from "vitest";
+import http from "node:http";
+import type { AddressInfo } from "node:net";
+
+const { verifyCredentials, registerVerifier, hasVerifier } = await import(
+  "../../src/credential-verifiers.js"
+);
+const cli = await import("../../bin/cli.js");
+const { confirmCredentials, SERVER_SPECS } = cli;
+
+const byKey = (key: string) => SERVER_SPECS.find((s: any) => s.key === key);
+
+describe("REQ-911 — HTTP verifiers", () => {
+  let server: http.Server;
+  let baseUrl: string;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const auth = req.headers.authorization || "";
+      const json = (status: number, body: unknown, headers = {}) => {
+        res.writeHead(status, { "Content-Type": "application/json", ...headers });
+        res.end(JSON.stringify(body));
+      };
+
+      if (req.url === "/user") {
+        if (auth === "Bearer good") {
+          return json(200, { login: "octocat" }, { "X-OAuth-Scopes": "repo, read:org" });
+        }
+        if (auth === "Bearer narrow") {
+          return json(200, { login: "octocat" }, { "X-OAuth-Scopes": "gist" });
+        }
+        if (auth === "Bearer fine-grained") return json(200, { login: "octocat" });
+        return json(401, { message: "Bad credentials" });
+      }
+      if (req.url === "/v1/projects") {
+        if (auth === "Bearer sbp_good") return json(200, [{ id: "a" }, { id: "b" }]);
+        return json(401, { message: "Unauthorized" });
+      }
+      if (req.url === "/usage") {
+        if (auth === "Bearer tvly-good") return json(200, { key: { usage: 3 } });
+        return json(401, { detail: { error: "Unauthorized" } });
+      }
+      if (req.url === "/api/v1/workflows?limit=1") {
+        const key = req.headers["x-n8n-api-key"];
+        if (key === "n8n-good") return json(200, { data: [] });
+        if (key === "n8n-readonly") return json(403, {});
+        return json(401, {});
+      }
+      json(404, {});
+    });
+    await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const github = (token: string) =>
+    verifyCredentials(
+      "github",
+      { GITHUB_PERSONAL_ACCESS_TOKEN: token },
+      { baseUrls: { github: baseUrl } }
+    );
+
+  test("REQ-911 — GitHub: valid, invalid and missing repo scope", async () => {
+    expect(await github("good")).toMatchObject({
+      status: "valid",
+      account: "octocat",
+    });
+    expect((await github("nope")).status).toBe("invalid");
+    expect(await github("narrow")).toMatchObject({
+      status: "insufficient-scope",
+      message: expect.stringContaining("granted: gist"),
+    });
+  });
+
+  test("REQ-911 — GitHub: fine-grained tokens without a scope header pass", async () => {
+    expect((await github("fine-grained")).status).toBe("valid");
+  });
+
+  test("REQ-911 — Supabase lists projects", async () => {
+    const options = { baseUrls: { supabase: baseUrl } };
+    expect(
+      await verifyCredentials(
+        "supabase",
+        { SUPABASE_ACCESS_TOKEN: "sbp_good" },
+        options
+      )
+    ).toMatchObject({ status: "valid", message: expect.stringContaining("2 projects") });
+    expect(
+      (await verifyCredentials("supabase", { SUPABASE_ACCESS_TOKEN: "x" }, options))
+        .status
+    ).toBe("invalid");
+  });
+
+  test("REQ-911 — Tavily reads the key's usage", async () => {
+    const tavily = (key: string) =>
+      verifyCredentials("tavily", { TAVILY_API_KEY: key }, { baseUrls: { tavily: baseUrl } });
+
+    expect(await tavily("tvly-good")).toMatchObject({
+      status: "valid",
+      message: "Tavily accepted the credentials",
+    });
+    expect(await tavily("tvly-revoked")).toMatchObject({
+      status: "invalid",
+      message: expect.stringContaining("HTTP 401"),
+    });
+  });
+
+  test("REQ-911 — n8n uses the configured URL", async () => {
+    const n8n = (key: string, url = `${baseUrl}/api/v1/`) =>
+      verifyCredentials("n8n", { N8N_API_URL: url, N8N_API_KEY: key });
+
+    expect((await n8n("n8n-good")).status).toBe("valid");
+    expect((await n8n("n8n-readonly")).status).toBe("insufficient-scope");
+    expect((await n8n("wrong")).status).toBe("invalid");
+    expect(await n8n("n8n-good", `${baseUrl}/other`)).toMatchObject({
+      status: "invalid",
+      message: expect.stringContaining("/api/v1"),
+    });
+  });
+
+  test("REQ-911 — unreachable providers are unverified, not invalid", async () => {
+    // Grab a free port, then close it so nothing is listening there
+    const closed = http.createServer();
+    await new Promise<void>((resolve) => closed.listen(0, "127.0.0.1", resolve));
+    const { port } = closed.address() as AddressInfo;
+    await new Promise((resolve) => closed.close(resolve));
+
+    const result = await verifyCredentials(
+      "github",
+      { GITHUB_PERSONAL_ACCESS_TOKEN: "good" },
+      { baseUrls: { github: `http://127.0.0.1:${port}` } }
+    );
+    expect(result.status).toBe("unverified");
+    expect(result.message).toContain("ECONNREFUSED");
+  });
+});
+
+describe("REQ-911 — Postgres verifier", () => {
+  const psqlCall = async (
+    connectionString: string,
+    outcome: { error?: any; stdout?: string; stderr?: string } = {}
+  ) => {
+    const call: { args?: string[]; env?: Record<string, string> } = {};
+    const result = await verifyCredentials(
+      "postgres",
+      { POSTGRES_CONNECTION_STRING: connectionString },
+      {
+        execFile: (_cmd: string, args: string[], opts: any, callback: any) => {
+          call.args = args;
+          call.env = opts.env;
+          callback(outcome.error || null, outcome.stdout || "", outcome.stderr || "");
+        },
+      }
+    );
+    return { result, ...call };
+  };
+  const postgres = async (outcome: { error?: any; stdout?: string; stderr?: string }) =>
+    (await psqlCall("postgresql://u:p@db:5432/app", outcome)).result;
+
+  test("REQ-911 — the connection string is passed through PG* variables, not argv", async () => {
+    const { args, env } = await psqlCall(
+      "postgresql://u%40corp:s3cr%2Ft@db:6543/app?sslmode=require"
+    );
+    expect(args).toEqual(["-tAc", "SELECT 1"]);
+    expect(env).toMatchObject({
+      PGHOST: "db",
+      PGPORT: "6543",
+      PGUSER: "u@corp",
+      PGPASSWORD: "s3cr/t",
+      PGDATABASE: "app",
+      PGSSLMODE: "require",
+    });
+  });
+
+  test("REQ-911 — key=value connection strings are split the same way", async () => {
+    const { args, env } = await psqlCall(
+      "host=db dbname=app user=u password='it\\'s secret'"
+    );
+    expect(args).toEqual(["-tAc", "SELECT 1"]);
+    expect(env).toMatchObject({
+      PGHOST: "db",
+      PGDATABASE: "app",
+      PGUSER: "u",
+      PGPASSWORD: "it's secret",
+    });
+  });
+
+  test("REQ-911 — unreadable connection strings are not run", async () => {
+    const { result, args } = await psqlCall("postgresql://u:p@db/app?weird=1");
+    expect(args).toBeUndefined();
+    expect(result).toMatchObject({
+      status: "unverified",
+      message: 'Could not read the Postgres connection string: unsupported parameter "weird"',
+    });
+  });
+
+  test("REQ-911 — SELECT 1 succeeds", async () => {
+    expect((await postgres({ stdout: "1\n" })).status).toBe("valid");
+  });
+
+  test("REQ-911 — classifies psql failures", async () => {
+    const failed = (stderr: string) =>
+      postgres({ error: new Error("exit 2"), stderr });
+
+    expect(
+      (await failed('FATAL:  password authentication failed for user "u"')).status
+    ).toBe("invalid");
+    expect(
+      (await failed("FATAL:  permission denied for database \"app\"")).status
+    ).toBe("insufficient-scope");
+    expect(
+      (await failed("could not translate host name \"db\"")).status
+    ).toBe("unverified");
+  });
+
+  test("REQ-911 — missing psql leaves the credentials unverified", async () => {
+    const result = await postgres({
+      error: Object.assign(new Error("spawn psql ENOENT"), { code: "ENOENT" }),
+    });
+    expect(result).toMatchObject({ status: "unverified" });
+  });
+});
+
+describe("REQ-911 — verifier registry", () => {
+  test("REQ-911 — custom verifiers can be registered", async () => {
+    expect(hasVerifier("internal-docs")).toBe(false);
+    registerVerifier("internal-docs", async (values: any) => ({
+      status: values.DOCS_TOKEN === "ok" ? "valid" : "invalid",
+      message: "checked",
+    }));
+    expect(
+      (await verifyCredentials("internal-docs", { DOCS_TOKEN: "ok" })).status
+    ).toBe("valid");
+  });
+});
+
+describe("REQ-911 — confirmCredentials", () => {
+  const github = byKey("github");
+  const envVars = { GITHUB_PERSONAL_ACCESS_TOKEN: "ghp_x" };
+  const verifyWith = (status: string) =>
+    vi.fn(async () => ({ status, message: `${status} result` }));
+
+  test("REQ-911 — valid, unverified and insufficient-scope proceed", async () => {
+    for (const status of ["valid", "unverified", "insufficient-scope"]) {
+      const result = await confirmCredentials(github, envVars, {
+        verify: verifyWith(status),
+      });
+      expect(result.proceed).toBe(true);
+    }
+  });
+
+  test("REQ-911 — rejected credentials stop non-interactive runs", async () => {
+    const result = await confirmCredentials(github, envVars, {
+      verify: verifyWith("invalid"),
+      interactive: false,
+    });
+    expect(result).toMatchObject({
+      proceed: false,
+      verification: { status: "invalid" },
+    });
+  });
+
+  test("REQ-911 — interactive users can insist", async () => {
+    const options = { verify: verifyWith("invalid") };
+    expect(
+      (await confirmCredentials(github, envVars, { ...options, askFn: async () => "y" }))
+        .proceed
+    ).toBe(true);
+    expect(
+      (await confirmCredentials(github, envVars, { ...options, askFn: async () => "" }))
+        .proceed
+    ).toBe(false);
+  });
+
+  test("REQ-911 — nothing to verify without a verifier or values", async () => {
+    const verify = verifyWith("invalid");
+    expect(
+      (await confirmCredentials(byKey("brave-search"), { BRAVE_API_KEY: "b" }, { verify }))
+        .proceed
+    ).toBe(true);
+    expect(
+      (await confirmCredentials(github, { GITHUB_PERSONAL_ACCESS_TOKEN: "" }, { verify }))
+        .proceed
+    ).toBe(true);
+    expect(verify).not.toHaveBeenCalled();
+  });
+});
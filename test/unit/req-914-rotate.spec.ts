@@ -0,0 +1,223 @@
+/**
+ * REQ-914: `rotate <server>` replaces a configured server's credentials
+ *
+ * Registrations live in a temporary ~/.claude.json; `claude mcp` calls are
+ * captured by an injected exec and verification is skipped.
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const cli = await import("../../bin/cli.js");
+const { rotateServerCredentials } = cli;
+const { createFileSecretStore } = await import("../../src/secret-store.js");
+
+const OLD_TOKEN = "ghp_" + "o".repeat(36);
+const NEW_TOKEN = "ghp_" + "n".repeat(36);
+
+describe("REQ-914 — rotateServerCredentials", () => {
+  let homeDir: string;
+  let projectDir: string;
+  let logSpy: ReturnType<typeof vi.spyOn>;
+
+  const register = (servers: Record<string, unknown>) =>
+    fs.writeFileSync(
+      path.join(homeDir, ".claude.json"),
+      JSON.stringify({ mcpServers: servers })
+    );
+  const rotate = (options: Record<string, unknown> = {}) =>
+    rotateServerCredentials("github", {
+      homeDir,
+      projectDir,
+      skipVerify: true,
+      askFn: async () => NEW_TOKEN,
+      ...options,
+    });
+
+  const inlineEntry = {
+    command: "npx",
+    args: ["-y", "@modelcontextprotocol/server-github"],
+    env: { GITHUB_PERSONAL_ACCESS_TOKEN: OLD_TOKEN },
+  };
+
+  beforeEach(() => {
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), "req-914-"));
+    projectDir = path.join(homeDir, "project");
+    fs.mkdirSync(projectDir);
+    logSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  test("REQ-914 — shows the masked current value before prompting", async () => {
+    register({ github: inlineEntry });
+    await rotate({ exec: vi.fn() });
+
+    const printed = logSpy.mock.calls.map((c) => c.join(" ")).join("\n");
+    expect(printed).toContain(
+      "Current GITHUB_PERSONAL_ACCESS_TOKEN: ghp_o*ooo"
+    );
+    expect(printed).not.toContain(OLD_TOKEN);
+  });
+
+  test("REQ-914 — re-registers inline servers (remove, then add)", async () => {
+    register({ github: inlineEntry });
+    const exec = vi.fn();
+
+    const result = await rotate({ exec });
+
+    expect(result).toEqual({
+      server: "github",
+      scope: "user",
+      rotated: ["GITHUB_PERSONAL_ACCESS_TOKEN"],
+      method: "re-registered",
+    });
+    expect(exec.mock.calls[0][0]).toBe("claude mcp remove github -s user");
+    expect(exec.mock.calls[1][0]).toMatch(
+      /^claude mcp add --scope user github /
+    );
+    expect(exec.mock.calls[1][0]).not.toContain(NEW_TOKEN);
+  });
+
+  test("REQ-914 — restores the old registration when the add fails", async () => {
+    register({ github: inlineEntry });
+    const exec = vi.fn((command: string) => {
+      if (command.startsWith("claude mcp add ")) throw new Error("exit 1");
+    });
+
+    await expect(rotate({ exec })).rejects.toThrow(
+      "claude mcp add failed for github: exit 1 - previous registration restored"
+    );
+    const restore = exec.mock.calls[2][0];
+    expect(restore).toMatch(/^claude mcp add-json github '/);
+    expect(restore).toContain(OLD_TOKEN);
+    expect(restore).toMatch(/ -s user$/);
+  });
+
+  test("REQ-914 — says so when the rollback fails too", async () => {
+    register({ github: inlineEntry });
+    const exec = vi.fn((command: string) => {
+      if (command.startsWith("claude mcp add")) throw new Error("exit 1");
+    });
+
+    await expect(rotate({ exec })).rejects.toThrow(
+      "could not restore the previous registration"
+    );
+  });
+
+  test("REQ-914 — launcher registrations only update the secrets store", async () => {
+    const store = createFileSecretStore({ homeDir, passphrase: "" });
+    await store.set("GITHUB_PERSONAL_ACCESS_TOKEN", OLD_TOKEN);
+    register({
+      github: {
+        command: "node",
+        args: [
+          "/x/mcp-launch.js",
+          "--secret",
+          "GITHUB_PERSONAL_ACCESS_TOKEN",
+          "--",
+          "npx",
+        ],
+      },
+    });
+    const exec = vi.fn();
+
+    const result = await rotate({ exec });
+
+    expect(result.method).toBe("secret-store");
+    expect(exec).not.toHaveBeenCalled();
+    expect(await store.get("GITHUB_PERSONAL_ACCESS_TOKEN")).toBe(NEW_TOKEN);
+  });
+
+  test("REQ-914 — writes to the backend the launcher was registered with", async () => {
+    // A module backend keeping plain values in vault.json
+    const vault = path.join(homeDir, "vault.json");
+    const backend = path.join(homeDir, "vault.js");
+    fs.writeFileSync(
+      vault,
+      JSON.stringify({ GITHUB_PERSONAL_ACCESS_TOKEN: OLD_TOKEN })
+    );
+    fs.writeFileSync(
+      backend,
+      `const fs = require("node:fs");
+const file = ${JSON.stringify(vault)};
+const read = () => JSON.parse(fs.readFileSync(file, "utf8"));
+module.exports = () => ({
+  get: async (name) => read()[name],
+  set: async (name, value) => fs.writeFileSync(file, JSON.stringify({ ...read(), [name]: value })),
+  delete: async () => {},
+  list: async () => Object.keys(read()),
+});
+`
+    );
+    register({
+      github: {
+        command: "node",
+        args: [
+          "/x/mcp-launch.js",
+          "--backend",
+          backend,
+          "--secret",
+          "GITHUB_PERSONAL_ACCESS_TOKEN",
+          "--",
+          "npx",
+        ],
+      },
+    });
+
+    // No --secrets given: the registration's backend is used, not the file store
+    await rotate({ exec: vi.fn() });
+
+    expect(JSON.parse(fs.readFileSync(vault, "utf8"))).toEqual({
+      GITHUB_PERSONAL_ACCESS_TOKEN: NEW_TOKEN,
+    });
+    expect(
+      await createFileSecretStore({ homeDir, passphrase: "" }).list()
+    ).toEqual([]);
+  });
+
+  test("REQ-914 — values can be supplied instead of prompting", async () => {
+    register({ github: inlineEntry });
+    const askFn = vi.fn();
+
+    await rotate({
+      exec: vi.fn(),
+      askFn,
+      values: { GITHUB_PERSONAL_ACCESS_TOKEN: NEW_TOKEN },
+    });
+    expect(askFn).not.toHaveBeenCalled();
+  });
+
+  test("REQ-914 — Enter keeps everything, which changes nothing", async () => {
+    register({ github: inlineEntry });
+    const exec = vi.fn();
+
+    await expect(rotate({ exec, askFn: async () => "" })).rejects.toThrow(
+      "No new value given"
+    );
+    expect(exec).not.toHaveBeenCalled();
+  });
+
+  test("REQ-914 — refuses unknown, unconfigured and credential-less servers", async () => {
+    await expect(rotate()).rejects.toThrow("github is not configured");
+    await expect(
+      rotateServerCredentials("nope", { homeDir, projectDir })
+    ).rejects.toThrow("Unknown server: nope");
+    await expect(
+      rotateServerCredentials("cloudflare-builds", { homeDir, projectDir })
+    ).rejects.toThrow("has no credentials to rotate");
+  });
+
+  test("REQ-914 — project scope points at the environment instead", async () => {
+    fs.writeFileSync(
+      path.join(projectDir, ".mcp.json"),
+      JSON.stringify({ mcpServers: { github: inlineEntry } })
+    );
+    await expect(rotate()).rejects.toThrow("only holds ${VAR} references");
+  });
+});
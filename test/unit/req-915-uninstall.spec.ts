@@ -0,0 +1,318 @@
+/**
+ * REQ-915: Install ledger + `uninstall` that reverses what quickstart did
+ *
+ * The ledger and every artifact live in temporary home/project directories;
+ * `claude mcp remove` is captured by an injected exec.
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import crypto from "node:crypto";
+
+const cli = await import("../../bin/cli.js");
+const {
+  parseCliArgs,
+  readLedger,
+  recordInstall,
+  serverLedgerEntries,
+  planUninstall,
+  removeGitignoreGuard,
+  uninstall,
+  scaffoldProjectFiles,
+  writeProjectMcpServer,
+  SERVER_SPECS,
+} = cli;
+
+const GUARD = [
+  "# Claude Code secret guardrails",
+  ".env",
+  ".env.*",
+  "*.pem",
+  "*.key",
+  "**/secrets/**",
+  "**/credentials/**",
+  "**/.aws/**",
+  "**/.ssh/**",
+].join("\n");
+
+const sha256 = (file: string) =>
+  crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex");
+
+describe("REQ-915 — removeGitignoreGuard", () => {
+  test("REQ-915 — removes the block and the blank line before it", () => {
+    expect(removeGitignoreGuard(`node_modules\n\n${GUARD}\n`)).toBe(
+      "node_modules\n"
+    );
+    expect(removeGitignoreGuard(`\n${GUARD}\n`)).toBe("");
+  });
+
+  test("REQ-915 — keeps user lines after an intact block", () => {
+    expect(removeGitignoreGuard(`dist\n\n${GUARD}\ncoverage\n`)).toBe(
+      "dist\ncoverage\n"
+    );
+  });
+
+  test("REQ-915 — an edited block is removed up to the next blank line", () => {
+    const edited = GUARD.replace("*.pem\n", "");
+    expect(removeGitignoreGuard(`dist\n\n${edited}\n\nlogs\n`)).toBe(
+      "dist\n\nlogs\n"
+    );
+  });
+});
+
+describe("REQ-915 — ledger and uninstall", () => {
+  let homeDir: string;
+  let projectDir: string;
+  let logSpy: ReturnType<typeof vi.spyOn>;
+
+  const write = (file: string, content: string) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  const scaffold = async () => {
+    const claudeMd = write(path.join(projectDir, "CLAUDE.md"), "# Rules\n");
+    const template = write(
+      path.join(projectDir, ".claude", "templates", "domain-README.md"),
+      "# Domain\n"
+    );
+    const agent = write(
+      path.join(homeDir, ".claude", "agents", "planner.md"),
+      "---\nname: planner\n---\n"
+    );
+    const gitignore = write(
+      path.join(projectDir, ".gitignore"),
+      `node_modules\n\n${GUARD}\n`
+    );
+    await recordInstall(
+      [
+        { category: "files", path: claudeMd, sha256: sha256(claudeMd), projectDir },
+        { category: "files", path: template, sha256: sha256(template), projectDir },
+        { category: "agents", path: agent, sha256: sha256(agent) },
+        { category: "gitignore", path: gitignore, projectDir, createdFile: false },
+        ...serverLedgerEntries(
+          [
+            { serverName: "github", status: "configured" },
+            { serverName: "tavily", status: "already_configured" },
+          ],
+          "user"
+        ),
+        ...serverLedgerEntries(
+          [{ serverName: "postgres", status: "configured" }],
+          "project",
+          projectDir
+        ),
+      ],
+      { homeDir }
+    );
+    write(
+      path.join(projectDir, ".mcp.json"),
+      JSON.stringify({ mcpServers: { postgres: {}, mine: {} } })
+    );
+    return { claudeMd, template, agent, gitignore };
+  };
+
+  beforeEach(() => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "req-915-"));
+    homeDir = path.join(root, "home");
+    projectDir = path.join(root, "project");
+    fs.mkdirSync(homeDir);
+    fs.mkdirSync(projectDir);
+    logSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    fs.rmSync(path.dirname(homeDir), { recursive: true, force: true });
+  });
+
+  test("REQ-915 — --only and --force are accepted", () => {
+    expect(
+      parseCliArgs(["uninstall", "--only", "servers,agents", "--force"]).flags
+    ).toEqual({ only: ["servers", "agents"], force: true });
+  });
+
+  test("REQ-915 — records only servers the run configured", async () => {
+    await scaffold();
+    const servers = readLedger({ homeDir }).filter(
+      (e: any) => e.category === "servers"
+    );
+    expect(servers.map((e: any) => [e.name, e.scope])).toEqual([
+      ["github", "user"],
+      ["postgres", "project"],
+    ]);
+    expect(servers[0].projectDir).toBeUndefined();
+    expect(servers[1].installedAt).toMatch(/^\d{4}-/);
+  });
+
+  test("REQ-915 — scaffolding records the files it created", async () => {
+    await scaffoldProjectFiles({ projectDir, homeDir, agents: false });
+
+    const recorded = readLedger({ homeDir });
+    expect(recorded.map((e: any) => e.path)).toEqual(
+      expect.arrayContaining([
+        path.join(projectDir, "CLAUDE.md"),
+        path.join(projectDir, ".claude", "settings.json"),
+        path.join(projectDir, ".gitignore"),
+      ])
+    );
+    expect(recorded.every((e: any) => e.projectDir === projectDir)).toBe(true);
+  });
+
+  test("REQ-915 — uninstall after init leaves the project as it was", async () => {
+    await scaffoldProjectFiles({ projectDir, homeDir, agents: false });
+    const spec = SERVER_SPECS.find((s: any) => s.key === "context7");
+    const { created } = await writeProjectMcpServer(spec, {}, { projectDir });
+    await recordInstall(
+      serverLedgerEntries(
+        [{ serverName: spec.key, status: "configured", createdFile: created }],
+        "project",
+        projectDir
+      ),
+      { homeDir }
+    );
+
+    const result = await uninstall({
+      homeDir,
+      projectDir,
+      exec: vi.fn(),
+      yes: true,
+    });
+
+    expect(result.failed).toEqual([]);
+    expect(result.skipped).toEqual([]);
+    expect(fs.readdirSync(projectDir)).toEqual([]);
+    expect(readLedger({ homeDir })).toEqual([]);
+  });
+
+  test("REQ-915 — a .mcp.json that existed before init is kept", async () => {
+    write(
+      path.join(projectDir, ".mcp.json"),
+      JSON.stringify({ mcpServers: {} })
+    );
+    const spec = SERVER_SPECS.find((s: any) => s.key === "context7");
+    const { created } = await writeProjectMcpServer(spec, {}, { projectDir });
+    await recordInstall(
+      serverLedgerEntries(
+        [{ serverName: spec.key, status: "configured", createdFile: created }],
+        "project",
+        projectDir
+      ),
+      { homeDir }
+    );
+
+    await uninstall({ homeDir, projectDir, exec: vi.fn(), yes: true });
+
+    expect(
+      JSON.parse(fs.readFileSync(path.join(projectDir, ".mcp.json"), "utf8"))
+    ).toEqual({ mcpServers: {} });
+  });
+
+  test("REQ-915 — --dry-run lists everything and changes nothing", async () => {
+    const files = await scaffold();
+    const exec = vi.fn();
+
+    const result = await uninstall({ homeDir, projectDir, exec, dryRun: true });
+
+    expect(result.removed).toEqual([
+      "CLAUDE.md",
+      path.join(".claude", "templates", "domain-README.md"),
+      "~/.claude/agents/planner.md",
+      ".gitignore",
+      "github (user scope)",
+      "postgres (project scope)",
+    ]);
+    expect(exec).not.toHaveBeenCalled();
+    expect(fs.existsSync(files.claudeMd)).toBe(true);
+    expect(readLedger({ homeDir })).toHaveLength(6);
+  });
+
+  test("REQ-915 — removes exactly the recorded artifacts", async () => {
+    const files = await scaffold();
+    const exec = vi.fn();
+
+    const result = await uninstall({ homeDir, projectDir, exec, yes: true });
+
+    expect(result.failed).toEqual([]);
+    expect(fs.existsSync(files.claudeMd)).toBe(false);
+    expect(fs.existsSync(path.join(projectDir, ".claude"))).toBe(false);
+    expect(fs.existsSync(files.agent)).toBe(false);
+    expect(fs.readFileSync(files.gitignore, "utf8")).toBe("node_modules\n");
+    expect(exec).toHaveBeenCalledWith(
+      "claude mcp remove github -s user",
+      expect.objectContaining({ cwd: projectDir })
+    );
+    expect(
+      JSON.parse(fs.readFileSync(path.join(projectDir, ".mcp.json"), "utf8"))
+        .mcpServers
+    ).toEqual({ mine: {} });
+    expect(readLedger({ homeDir })).toEqual([]);
+  });
+
+  test("REQ-915 — edited files are kept unless forced", async () => {
+    const files = await scaffold();
+    fs.appendFileSync(files.claudeMd, "my own notes\n");
+
+    const result = await uninstall({
+      homeDir,
+      projectDir,
+      only: ["files"],
+      yes: true,
+    });
+
+    expect(result.skipped).toEqual([
+      { item: "CLAUDE.md", reason: "edited since install" },
+    ]);
+    expect(fs.existsSync(files.claudeMd)).toBe(true);
+    expect(fs.existsSync(files.template)).toBe(false);
+    // Skipped entries stay in the ledger for a later --force
+    expect(readLedger({ homeDir }).map((e: any) => e.path)).toContain(
+      files.claudeMd
+    );
+
+    await uninstall({ homeDir, projectDir, only: ["files"], force: true, yes: true });
+    expect(fs.existsSync(files.claudeMd)).toBe(false);
+  });
+
+  test("REQ-915 — per-category selection leaves other categories alone", async () => {
+    const files = await scaffold();
+    const exec = vi.fn();
+
+    await uninstall({ homeDir, projectDir, exec, only: ["agents"], yes: true });
+
+    expect(fs.existsSync(files.agent)).toBe(false);
+    expect(fs.existsSync(files.claudeMd)).toBe(true);
+    expect(exec).not.toHaveBeenCalled();
+  });
+
+  test("REQ-915 — other projects' files are not touched", async () => {
+    await scaffold();
+    const plan = planUninstall(readLedger({ homeDir }), {
+      projectDir: path.join(path.dirname(projectDir), "elsewhere"),
+    });
+    expect(plan.map((step: any) => step.entry.category)).toEqual([
+      "agents",
+      "servers",
+    ]);
+  });
+
+  test("REQ-915 — declining the confirmation removes nothing", async () => {
+    const files = await scaffold();
+    const result = await uninstall({
+      homeDir,
+      projectDir,
+      askFn: async () => "n",
+    });
+    expect(result.cancelled).toBe(true);
+    expect(fs.existsSync(files.agent)).toBe(true);
+  });
+
+  test("REQ-915 — unknown categories are rejected", async () => {
+    await expect(
+      uninstall({ homeDir, projectDir, only: ["everything"] })
+    ).rejects.toThrow("Unknown category: everything");
+  });
+});
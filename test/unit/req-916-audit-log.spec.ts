@@ -0,0 +1,201 @@
+/**
+ * REQ-916: Audit log of file writes and `claude mcp` commands + `history`
+ *
+ * QUICKSTART_AUDIT_LOG points the log at a temporary file; without it the
+ * log goes under the homeDir passed in.
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const cli = await import("../../bin/cli.js");
+const {
+  parseCliArgs,
+  auditLogPath,
+  redactSecrets,
+  appendAuditEntry,
+  auditedExec,
+  parseSince,
+  readAuditLog,
+  filterAuditEntries,
+  showHistory,
+  safeFileWrite,
+  updateJsonFile,
+  createChecksum,
+} = cli;
+
+const TOKEN = "ghp_" + "s".repeat(36);
+
+describe("REQ-916 — redactSecrets", () => {
+  test("REQ-916 — hides --env values, flags, URL passwords and known tokens", () => {
+    expect(
+      redactSecrets(
+        `claude mcp add github --env GITHUB_PERSONAL_ACCESS_TOKEN=${TOKEN} -- npx x`
+      )
+    ).toBe("claude mcp add github --env GITHUB_PERSONAL_ACCESS_TOKEN=*** -- npx x");
+    expect(redactSecrets("npx c7 --api-key abc123")).toBe("npx c7 --api-key ***");
+    expect(redactSecrets("npx pg postgresql://me:hunter2@db/app")).toBe(
+      "npx pg postgresql://me:***@db/app"
+    );
+    expect(redactSecrets(`failed: bad token ${TOKEN}`)).toBe(
+      "failed: bad token ***"
+    );
+  });
+
+  test("REQ-916 — replaces given values and keeps ${VAR} references", () => {
+    expect(redactSecrets("x --flag s3cr3t-value", ["s3cr3t-value"])).toBe(
+      "x --flag ***"
+    );
+    expect(redactSecrets("npx c7 --api-key '${CONTEXT7_API_KEY}'")).toBe(
+      "npx c7 --api-key '${CONTEXT7_API_KEY}'"
+    );
+  });
+});
+
+describe("REQ-916 — audit entries", () => {
+  let dir: string;
+  let logFile: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "req-916-"));
+    logFile = path.join(dir, "audit", "audit.jsonl");
+    vi.stubEnv("QUICKSTART_AUDIT_LOG", logFile);
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("REQ-916 — QUICKSTART_AUDIT_LOG overrides the homeDir log", () => {
+    expect(auditLogPath({ homeDir: dir })).toBe(logFile);
+    vi.stubEnv("QUICKSTART_AUDIT_LOG", "");
+    expect(auditLogPath({ homeDir: dir })).toBe(
+      path.join(dir, ".claude", "quickstart", "audit.jsonl")
+    );
+  });
+
+  test("REQ-916 — writes go to the audit log in the caller's homeDir", async () => {
+    vi.stubEnv("QUICKSTART_AUDIT_LOG", "");
+    await safeFileWrite(path.join(dir, "CLAUDE.md"), "v1", "utf8", {
+      homeDir: dir,
+    });
+    const entries = readAuditLog({
+      file: path.join(dir, ".claude", "quickstart", "audit.jsonl"),
+    });
+    expect(entries).toHaveLength(1);
+    expect(entries[0].target).toBe(path.join(dir, "CLAUDE.md"));
+  });
+
+  test("REQ-916 — safeFileWrite records checksums before and after", async () => {
+    const target = path.join(dir, "CLAUDE.md");
+    await safeFileWrite(target, "v1");
+    await safeFileWrite(target, "v2");
+
+    const entries = readAuditLog();
+    expect(entries).toHaveLength(2);
+    expect(entries[0]).toMatchObject({
+      action: "write",
+      target,
+      checksumBefore: null,
+      checksumAfter: createChecksum("v1"),
+    });
+    expect(entries[1]).toMatchObject({
+      checksumBefore: createChecksum("v1"),
+      checksumAfter: createChecksum("v2"),
+    });
+    expect(entries[0].timestamp).toMatch(/^\d{4}-\d\d-\d\dT/);
+    expect(fs.statSync(logFile).mode & 0o777).toBe(0o600);
+  });
+
+  test("REQ-916 — JSON updates are logged only when they change the file", async () => {
+    const target = path.join(dir, ".mcp.json");
+    await updateJsonFile(target, () => ({ mcpServers: {} }));
+    await updateJsonFile(target, () => ({ mcpServers: {} }));
+    expect(readAuditLog()).toHaveLength(1);
+  });
+
+  test("REQ-916 — auditedExec logs redacted commands and failures", () => {
+    const command = `claude mcp add github --env GITHUB_PERSONAL_ACCESS_TOKEN=${TOKEN}`;
+    expect(
+      auditedExec(command, () => "done", { server: "github", homeDir: dir })
+    ).toBe("done");
+
+    const failing = () => {
+      throw new Error("exit 1: rejected s3cr3t-value");
+    };
+    expect(() =>
+      auditedExec("claude mcp remove x", failing, {
+        secrets: ["s3cr3t-value"],
+        homeDir: dir,
+      })
+    ).toThrow("rejected s3cr3t-value");
+
+    const raw = fs.readFileSync(logFile, "utf8");
+    expect(raw).not.toContain(TOKEN);
+    expect(raw).not.toContain("s3cr3t-value");
+    const [added, removed] = readAuditLog();
+    expect(added).toMatchObject({
+      action: "exec",
+      server: "github",
+      status: "ok",
+      target: path.join(dir, ".claude.json"),
+    });
+    expect(removed).toMatchObject({ status: "failed", error: "exit 1: rejected ***" });
+  });
+});
+
+describe("REQ-916 — history", () => {
+  const entries = [
+    { timestamp: "2026-01-01T10:00:00.000Z", command: "init", action: "write", target: "/p/.mcp.json" },
+    { timestamp: "2026-01-05T10:00:00.000Z", command: "rotate github", action: "exec", server: "github", exec: "claude mcp remove github -s user" },
+    { timestamp: "2026-01-06T10:00:00.000Z", command: "uninstall", action: "delete", target: "/p/CLAUDE.md" },
+  ];
+
+  test("REQ-916 — --since accepts durations and dates", () => {
+    const now = Date.parse("2026-01-08T00:00:00Z");
+    expect(parseSince("7d", now)).toBe(Date.parse("2026-01-01T00:00:00Z"));
+    expect(parseSince("12h", now)).toBe(Date.parse("2026-01-07T12:00:00Z"));
+    expect(parseSince("2026-01-02")).toBe(Date.parse("2026-01-02"));
+    expect(() => parseSince("last week")).toThrow("Invalid --since");
+  });
+
+  test("REQ-916 — filters by text, date and limit", () => {
+    expect(filterAuditEntries(entries, { text: "GitHub" })).toEqual([entries[1]]);
+    expect(filterAuditEntries(entries, { since: "2026-01-04" })).toEqual(
+      entries.slice(1)
+    );
+    expect(filterAuditEntries(entries, { limit: 1 })).toEqual([entries[2]]);
+  });
+
+  test("REQ-916 — prints a table and rejects bad limits", () => {
+    const file = path.join(os.tmpdir(), `req-916-${process.pid}.jsonl`);
+    fs.writeFileSync(
+      file,
+      entries.map((e) => JSON.stringify(e)).join("\n") + "\nnot json\n"
+    );
+    const logSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      expect(showHistory({ file }).entries).toHaveLength(3);
+      const printed = logSpy.mock.calls.map((c) => c.join(" ")).join("\n");
+      expect(printed).toContain("2026-01-05 10:00:00");
+      expect(printed).toContain("claude mcp remove github -s user");
+      expect(() => showHistory({ file, limit: "0" })).toThrow("Invalid --limit");
+    } finally {
+      logSpy.mockRestore();
+      fs.rmSync(file, { force: true });
+    }
+  });
+
+  test("REQ-916 — --since and --limit are string options", () => {
+    expect(
+      parseCliArgs(["history", "github", "--since", "7d", "--limit", "5"])
+    ).toMatchObject({
+      command: "history",
+      positionals: ["github"],
+      flags: { since: "7d", limit: "5" },
+    });
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * REQ-917: Point-in-time configuration snapshots + `rollback <id>`
+ *
+ * Snapshots and the files they capture live in temporary home/project
+ * directories.
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const cli = await import("../../bin/cli.js");
+const {
+  snapshotTargets,
+  createSnapshot,
+  listSnapshots,
+  findSnapshot,
+  planRollback,
+  rollbackSnapshot,
+  showSnapshots,
+} = cli;
+
+describe("REQ-917 — snapshots and rollback", () => {
+  let homeDir: string;
+  let projectDir: string;
+  let logSpy: ReturnType<typeof vi.spyOn>;
+
+  const write = (file: string, content: string) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    return file;
+  };
+  const read = (file: string) => fs.readFileSync(file, "utf8");
+  const snapshot = (options: Record<string, unknown> = {}) =>
+    createSnapshot({ homeDir, projectDir, command: "init", ...options });
+
+  beforeEach(() => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "req-917-"));
+    homeDir = path.join(root, "home");
+    projectDir = path.join(root, "project");
+    fs.mkdirSync(homeDir);
+    fs.mkdirSync(projectDir);
+    logSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    fs.rmSync(path.dirname(homeDir), { recursive: true, force: true });
+  });
+
+  test("REQ-917 — captures settings, .mcp.json, CLAUDE.md and agents", () => {
+    const agent = write(path.join(homeDir, ".claude", "agents", "pe.md"), "pe");
+    const { files, agentDirs } = snapshotTargets({ homeDir, projectDir });
+
+    expect(files).toEqual(
+      expect.arrayContaining([
+        path.join(homeDir, ".claude", "settings.json"),
+        path.join(homeDir, ".claude", "settings.local.json"),
+        path.join(projectDir, ".claude", "settings.json"),
+        path.join(projectDir, ".claude", "settings.local.json"),
+        path.join(projectDir, ".mcp.json"),
+        path.join(projectDir, "CLAUDE.md"),
+        agent,
+      ])
+    );
+    expect(agentDirs).toContain(path.join(projectDir, ".claude", "agents"));
+  });
+
+  test("REQ-917 — stores copies of existing files only", () => {
+    write(path.join(projectDir, "CLAUDE.md"), "# v1");
+    const manifest = snapshot();
+
+    const claudeMd = manifest.files.find((f: any) =>
+      f.path.endsWith(path.join("project", "CLAUDE.md"))
+    );
+    const copy = path.join(
+      homeDir, ".claude", "quickstart", "snapshots", manifest.id, "files", claudeMd.copy
+    );
+    expect(read(copy)).toBe("# v1");
+    expect(fs.statSync(copy).mode & 0o777).toBe(0o600);
+    expect(
+      manifest.files.find((f: any) => f.path.endsWith(".mcp.json")).copy
+    ).toBeUndefined();
+    expect(listSnapshots({ homeDir }).map((s: any) => s.id)).toEqual([
+      manifest.id,
+    ]);
+  });
+
+  test("REQ-917 — an unchanged configuration reuses the latest snapshot", () => {
+    write(path.join(projectDir, "CLAUDE.md"), "# v1");
+    const first = snapshot();
+    expect(snapshot().id).toBe(first.id);
+
+    write(path.join(projectDir, "CLAUDE.md"), "# v2");
+    expect(snapshot().id).not.toBe(first.id);
+    expect(listSnapshots({ homeDir })).toHaveLength(2);
+  });
+
+  test("REQ-917 — no snapshot when the arguments are rejected", () => {
+    const cliPath = path.resolve(__dirname, "../../bin/cli.js");
+    for (const args of [["init", "--json"], ["init", "--template", "nope"]]) {
+      const result = spawnSync(process.execPath, [cliPath, ...args], {
+        cwd: projectDir,
+        env: { PATH: process.env.PATH, HOME: homeDir },
+        encoding: "utf8",
+        timeout: 10000,
+      });
+      expect(result.status).not.toBe(0);
+    }
+    expect(listSnapshots({ homeDir })).toEqual([]);
+  });
+
+  test("REQ-917 — ids resolve from a unique prefix", () => {
+    const manifest = snapshot();
+    expect(findSnapshot(manifest.id.slice(0, 12), { homeDir }).id).toBe(
+      manifest.id
+    );
+    expect(() => findSnapshot("1999", { homeDir })).toThrow(
+      "Unknown snapshot: 1999"
+    );
+    expect(() => findSnapshot(undefined, { homeDir })).toThrow("Usage");
+  });
+
+  test("REQ-917 — rollback restores, removes and can be undone", async () => {
+    const claudeMd = write(path.join(projectDir, "CLAUDE.md"), "# v1");
+    const before = snapshot();
+
+    write(claudeMd, "# v2");
+    const mcpJson = write(path.join(projectDir, ".mcp.json"), "{}");
+    const newAgent = write(
+      path.join(projectDir, ".claude", "agents", "new.md"),
+      "new"
+    );
+
+    const result = await rollbackSnapshot(before.id, { homeDir, yes: true });
+
+    expect(result.restored).toEqual([claudeMd]);
+    expect(result.removed).toEqual([mcpJson, newAgent]);
+    expect(read(claudeMd)).toBe("# v1");
+    expect(fs.existsSync(mcpJson)).toBe(false);
+    expect(fs.existsSync(newAgent)).toBe(false);
+    expect(fs.existsSync(`${claudeMd}.lock`)).toBe(false);
+
+    await rollbackSnapshot(result.undoSnapshot, { homeDir, yes: true });
+    expect(read(claudeMd)).toBe("# v2");
+    expect(read(newAgent)).toBe("new");
+  });
+
+  test("REQ-917 — rollback puts back each file's original mode", async () => {
+    const claudeMd = write(path.join(projectDir, "CLAUDE.md"), "# v1");
+    fs.chmodSync(claudeMd, 0o644);
+    const before = snapshot();
+    const recorded = before.files.find((f: any) => f.path === claudeMd);
+    expect(recorded.mode).toBe(0o644);
+
+    write(claudeMd, "# v2");
+    await rollbackSnapshot(before.id, { homeDir, yes: true });
+
+    expect(read(claudeMd)).toBe("# v1");
+    expect(fs.statSync(claudeMd).mode & 0o777).toBe(0o644);
+  });
+
+  test("REQ-917 — --dry-run and declining change nothing", async () => {
+    const claudeMd = write(path.join(projectDir, "CLAUDE.md"), "# v1");
+    const { id } = snapshot();
+    write(claudeMd, "# v2");
+
+    const dry = await rollbackSnapshot(id, { homeDir, dryRun: true });
+    expect(dry.restored).toEqual([claudeMd]);
+    const declined = await rollbackSnapshot(id, {
+      homeDir,
+      askFn: async () => "n",
+    });
+    expect(declined.cancelled).toBe(true);
+    expect(read(claudeMd)).toBe("# v2");
+    expect(listSnapshots({ homeDir })).toHaveLength(1);
+  });
+
+  test("REQ-917 — nothing to do when the files already match", async () => {
+    write(path.join(projectDir, "CLAUDE.md"), "# v1");
+    const manifest = snapshot();
+    expect(
+      planRollback(manifest).every((step: any) => step.action === "unchanged")
+    ).toBe(true);
+    const result = await rollbackSnapshot(manifest.id, { homeDir, yes: true });
+    expect(result.restored).toEqual([]);
+  });
+
+  test("REQ-917 — snapshots lists newest first", () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    try {
+      vi.setSystemTime(new Date("2026-01-01T10:00:00Z"));
+      write(path.join(projectDir, "CLAUDE.md"), "# v1");
+      snapshot({ command: "apply m.json" });
+      vi.setSystemTime(new Date("2026-01-02T10:00:00Z"));
+      write(path.join(projectDir, "CLAUDE.md"), "# v2");
+      snapshot({ command: "rotate github" });
+    } finally {
+      vi.useRealTimers();
+    }
+
+    const { snapshots } = showSnapshots({ homeDir });
+    expect(snapshots.map((s: any) => s.command)).toEqual([
+      "rotate github",
+      "apply m.json",
+    ]);
+    expect(snapshots[0].files).toEqual([path.join(projectDir, "CLAUDE.md")]);
+  });
+});
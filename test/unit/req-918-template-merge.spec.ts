@@ -0,0 +1,161 @@
+/**
+ * REQ-918: Three-way merge of customized templates in `update-templates`
+ *
+ * base = template as installed, current = the user's file, new = the
+ * template shipped now.
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const cli = await import("../../bin/cli.js");
+const {
+  compareTemplates,
+  mergeTemplate,
+  templateBasePath,
+  readTemplateBase,
+  recordTemplateBase,
+} = cli;
+const { threeWayMerge, commonLines } = await import(
+  "../../src/three-way-merge.js"
+);
+
+const BASE = [
+  "# Guidelines",
+  "",
+  "## Testing",
+  "- write tests first",
+  "",
+  "## Style",
+  "- prefer small functions",
+  "",
+].join("\n");
+
+describe("REQ-918 — threeWayMerge", () => {
+  test("REQ-918 — upstream changes land and user sections are kept", () => {
+    const current = BASE + "## Team notes\n- deploy on Tuesdays\n";
+    const updated = BASE.replace(
+      "- write tests first",
+      "- write a failing test first"
+    );
+
+    const { content, conflicts } = threeWayMerge(BASE, current, updated);
+
+    expect(conflicts).toBe(0);
+    expect(content).toContain("- write a failing test first");
+    expect(content).toContain("## Team notes\n- deploy on Tuesdays\n");
+    expect(content).not.toContain("<<<<<<<");
+  });
+
+  test("REQ-918 — identical changes on both sides merge cleanly", () => {
+    const changed = BASE.replace("small", "pure");
+    expect(threeWayMerge(BASE, changed, changed)).toEqual({
+      content: changed,
+      conflicts: 0,
+    });
+  });
+
+  test("REQ-918 — conflict markers only where both changed the same lines", () => {
+    const current = BASE.replace("small functions", "short functions").replace(
+      "## Testing",
+      "## Testing (team)"
+    );
+    const updated = BASE.replace("small functions", "pure functions");
+
+    const { content, conflicts } = threeWayMerge(BASE, current, updated);
+
+    expect(conflicts).toBe(1);
+    expect(content).toContain("## Testing (team)\n");
+    expect(content).toContain(
+      "<<<<<<< current\n- prefer short functions\n=======\n- prefer pure functions\n>>>>>>> template\n"
+    );
+  });
+
+  test("REQ-918 — markers stay on their own line without a final newline", () => {
+    const { content } = threeWayMerge("a\nb", "a\nmine", "a\ntheirs");
+    expect(content).toBe(
+      "a\n<<<<<<< current\nmine\n=======\ntheirs\n>>>>>>> template\n"
+    );
+  });
+
+  test("REQ-918 — commonLines keeps shared lines in order", () => {
+    expect(commonLines("a\nx\nb\n", "a\nb\ny\n")).toBe("a\nb\n");
+  });
+});
+
+describe("REQ-918 — compareTemplates with a recorded base", () => {
+  test("REQ-918 — untouched files are plain updates", () => {
+    expect(compareTemplates(BASE, BASE + "new\n", BASE)).toMatchObject({
+      status: "outdated",
+      needsUpdate: true,
+    });
+  });
+
+  test("REQ-918 — only local edits need nothing", () => {
+    expect(compareTemplates(BASE + "mine\n", BASE, BASE)).toMatchObject({
+      status: "customized",
+      needsUpdate: false,
+    });
+  });
+
+  test("REQ-918 — both changed is a three-way merge with a conflict count", () => {
+    const current = BASE.replace("small", "short");
+    const updated = BASE.replace("small", "pure");
+    expect(compareTemplates(current, updated, BASE)).toMatchObject({
+      status: "customized",
+      needsUpdate: true,
+      merge: "three-way",
+      conflicts: 1,
+    });
+  });
+
+  test("REQ-918 — without a base, only differing sections conflict", () => {
+    const current = "# Claude Code Guidelines\nshared\nmine\n";
+    const updated = "# Claude Code Guidelines\nshared\ntheirs\n";
+    expect(compareTemplates(current, updated)).toMatchObject({
+      status: "customized",
+      merge: "no-base",
+      conflicts: 1,
+    });
+    expect(mergeTemplate(current, updated).content).toContain(
+      "# Claude Code Guidelines\nshared\n<<<<<<< current\n"
+    );
+  });
+});
+
+describe("REQ-918 — template base store", () => {
+  let projectDir: string;
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "req-918-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test("REQ-918 — records the installed template inside the project", async () => {
+    expect(readTemplateBase("CLAUDE.md", { projectDir })).toBeNull();
+
+    await recordTemplateBase(".claude/agents/pe.md", "agent v1", {
+      projectDir,
+    });
+
+    expect(templateBasePath(".claude/agents/pe.md", { projectDir })).toBe(
+      path.join(
+        projectDir,
+        ".claude",
+        "quickstart",
+        "template-base",
+        ".claude",
+        "agents",
+        "pe.md"
+      )
+    );
+    expect(readTemplateBase(".claude/agents/pe.md", { projectDir })).toBe(
+      "agent v1"
+    );
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * REQ-919: Unified diff preview for `update-templates` (dry run and --diff)
+ */
+
+import { describe, test, expect } from "vitest";
+
+const cli = await import("../../bin/cli.js");
+const { parseCliArgs, colorizeDiff, diffColorEnabled } = cli;
+const { unifiedDiff } = await import("../../src/three-way-merge.js");
+
+const numbered = (count: number) =>
+  Array.from({ length: count }, (_, i) => `line ${i + 1}\n`).join("");
+
+describe("REQ-919 — unifiedDiff", () => {
+  test("REQ-919 — matches diff -u hunks with three lines of context", () => {
+    const before = numbered(20);
+    const after = before
+      .replace("line 2\n", "line two\n")
+      .replace("line 15\n", "");
+
+    expect(
+      unifiedDiff(before, after, { oldLabel: "a/CLAUDE.md", newLabel: "b/CLAUDE.md" })
+    ).toBe(
+      [
+        "--- a/CLAUDE.md",
+        "+++ b/CLAUDE.md",
+        "@@ -1,5 +1,5 @@",
+        " line 1",
+        "-line 2",
+        "+line two",
+        " line 3",
+        " line 4",
+        " line 5",
+        "@@ -12,7 +12,6 @@",
+        " line 12",
+        " line 13",
+        " line 14",
+        "-line 15",
+        " line 16",
+        " line 17",
+        " line 18",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("REQ-919 — nearby changes share one hunk", () => {
+    const after = numbered(10).replace("line 3\n", "x\n").replace("line 8\n", "y\n");
+    const diff = unifiedDiff(numbered(10), after);
+    expect(diff.match(/^@@/gm)).toHaveLength(1);
+    expect(diff).toContain("@@ -1,10 +1,10 @@");
+  });
+
+  test("REQ-919 — new files diff from /dev/null", () => {
+    expect(
+      unifiedDiff("", "# Title\n", { oldLabel: "/dev/null", newLabel: "b/README.md" })
+    ).toBe("--- /dev/null\n+++ b/README.md\n@@ -0,0 +1 @@\n+# Title\n");
+  });
+
+  test("REQ-919 — flags a missing final newline and is empty for equal text", () => {
+    expect(unifiedDiff("a\n", "a\nb")).toContain(
+      "+b\n\\ No newline at end of file\n"
+    );
+    expect(unifiedDiff("same\n", "same\n")).toBe("");
+  });
+});
+
+describe("REQ-919 — colorizeDiff and --diff", () => {
+  const diff = "--- a/x\n+++ b/x\n@@ -1 +1 @@\n-old\n+new\n same";
+
+  test("REQ-919 — colours additions, removals and hunk headers", () => {
+    const colored = colorizeDiff(diff, true);
+    expect(colored).toContain("\x1b[31m-old\x1b[0m");
+    expect(colored).toContain("\x1b[32m+new\x1b[0m");
+    expect(colored).toContain("\x1b[36m@@ -1 +1 @@\x1b[0m");
+    expect(colored).toContain("\x1b[1m+++ b/x\x1b[0m");
+    expect(colored.endsWith("\n same")).toBe(true);
+  });
+
+  test("REQ-919 — plain text when colours are off", () => {
+    expect(colorizeDiff(diff, false)).toBe(diff);
+  });
+
+  test("REQ-919 — --diff and --color are boolean flags", () => {
+    expect(
+      parseCliArgs(["update-templates", "--diff", "--color"]).flags
+    ).toEqual({ diff: true, color: true });
+  });
+
+  test("REQ-919 — --color and FORCE_COLOR keep colour on in a pipe", () => {
+    const piped = (env: Record<string, string>, color?: boolean) =>
+      diffColorEnabled({ color, env, isTTY: false });
+    expect(piped({})).toBe(false);
+    expect(piped({}, true)).toBe(true);
+    expect(piped({ FORCE_COLOR: "1" })).toBe(true);
+    expect(piped({ FORCE_COLOR: "1", NO_COLOR: "1" })).toBe(true);
+    expect(piped({ FORCE_COLOR: "0" })).toBe(false);
+    expect(diffColorEnabled({ env: { NO_COLOR: "1" }, isTTY: true })).toBe(
+      false
+    );
+    expect(diffColorEnabled({ env: {}, isTTY: true })).toBe(true);
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * REQ-920: Template packs selectable with `init --template <pack>`
+ *
+ * Custom packs live in temporary project/home directories.
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const cli = await import("../../bin/cli.js");
+const {
+  listTemplatePacks,
+  validateTemplatePack,
+  loadTemplatePack,
+  readTemplatePackRecord,
+  recordTemplatePack,
+  validateManifest,
+  parseCliArgs,
+  scaffoldProjectFiles,
+} = cli;
+
+describe("REQ-920 — built-in template packs", () => {
+  test("REQ-920 — default and the stack packs are available", () => {
+    expect(listTemplatePacks().map((pack: any) => pack.name)).toEqual(
+      expect.arrayContaining([
+        "default",
+        "node-ts",
+        "python",
+        "go",
+        "rust",
+        "monorepo",
+      ])
+    );
+    expect(listTemplatePacks()[0].name).toBe("default");
+  });
+
+  test("REQ-920 — stack packs override CLAUDE.md and keep the shared templates", () => {
+    for (const name of ["node-ts", "python", "go", "rust", "monorepo"]) {
+      const pack = loadTemplatePack(name);
+      const byTarget = Object.fromEntries(
+        pack.files.map((file: any) => [file.target, file])
+      );
+
+      expect(byTarget["CLAUDE.md"].pack).toBe(name);
+      expect(byTarget[".claude/templates/domain-README.md"].pack).toBe(
+        "default"
+      );
+      for (const file of pack.files.filter((f: any) => f.pack === name)) {
+        expect(fs.existsSync(file.sourcePath)).toBe(true);
+      }
+    }
+    expect(
+      loadTemplatePack("monorepo").files.map((file: any) => file.target)
+    ).toContain(".claude/templates/package-CLAUDE.md");
+  });
+
+  test("REQ-920 — unknown names list the available packs", () => {
+    expect(() => loadTemplatePack("haskell")).toThrow(
+      /Unknown template pack "haskell"\. Available: default, .*python/
+    );
+  });
+});
+
+describe("REQ-920 — scaffolding the default pack", () => {
+  let projectDir: string;
+  let homeDir: string;
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "req-920-"));
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), "req-920-home-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  test("REQ-920 — every shipped default template exists", () => {
+    for (const file of loadTemplatePack("default").files) {
+      expect(fs.existsSync(file.sourcePath), file.source).toBe(true);
+    }
+  });
+
+  test("REQ-920 — projects without a pack of their own get the default one", async () => {
+    fs.writeFileSync(
+      path.join(projectDir, "Makefile"),
+      "test:\n\t./run-tests\n"
+    );
+
+    const files = await scaffoldProjectFiles({
+      projectDir,
+      homeDir,
+      agents: false,
+      gitignore: false,
+    });
+
+    expect(files.map((file: any) => [file.path, file.status])).toEqual([
+      [".claude/settings.json", "created"],
+      [".claude/settings.local.json", "created"],
+      ["CLAUDE.md", "created"],
+      ["README.md", "created"],
+      [".claude/templates/domain-README.md", "created"],
+      [".claude/templates/.claude-context", "created"],
+      [".claude/templates/CLAUDE.md", "created"],
+    ]);
+    expect(readTemplatePackRecord({ projectDir })).toMatchObject({
+      name: "default",
+      source: "default",
+    });
+    const claudeMd = fs.readFileSync(
+      path.join(projectDir, "CLAUDE.md"),
+      "utf8"
+    );
+    expect(claudeMd).toContain("# Development Guidelines");
+    expect(claudeMd).not.toMatch(/\{\{\s*\w+\s*\}\}/);
+  });
+});
+
+describe("REQ-920 — custom template packs", () => {
+  let projectDir: string;
+  let homeDir: string;
+
+  const writePack = (
+    dir: string,
+    pack: object,
+    files: Record<string, string> = {}
+  ) => {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, "pack.json"), JSON.stringify(pack));
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(dir, name), content);
+    }
+    return dir;
+  };
+
+  beforeEach(() => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "req-920-"));
+    projectDir = path.join(root, "project");
+    homeDir = path.join(root, "home");
+    fs.mkdirSync(projectDir);
+    fs.mkdirSync(homeDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(projectDir), { recursive: true, force: true });
+  });
+
+  test("REQ-920 — loads a pack from a local directory and inherits from extends", () => {
+    writePack(
+      path.join(projectDir, "packs", "acme"),
+      {
+        name: "acme",
+        version: "2.1.0",
+        extends: "python",
+        files: [
+          {
+            source: "CLAUDE.md",
+            target: "CLAUDE.md",
+            description: "Acme rules",
+          },
+          { source: "runbook.md", target: "docs/RUNBOOK.md", version: "1.0.0" },
+        ],
+      },
+      { "CLAUDE.md": "# Acme\n", "runbook.md": "steps\n" }
+    );
+
+    const pack = loadTemplatePack("./packs/acme", { projectDir, homeDir });
+    const targets = pack.files.map((file: any) => file.target);
+
+    expect(pack).toMatchObject({ name: "acme", version: "2.1.0" });
+    expect(targets[0]).toBe("CLAUDE.md");
+    expect(targets).toContain("README.md");
+    expect(targets[targets.length - 1]).toBe("docs/RUNBOOK.md");
+    expect(pack.files[0]).toMatchObject({
+      pack: "acme",
+      version: "2.1.0",
+      description: "Acme rules",
+      sourcePath: path.join(projectDir, "packs", "acme", "CLAUDE.md"),
+    });
+    expect(
+      pack.files.find((file: any) => file.target === "README.md").pack
+    ).toBe("python");
+  });
+
+  test("REQ-920 — named packs are found in the project, then the user's packs", () => {
+    const pack = { name: "team", version: "1.0.0", files: [] };
+    writePack(
+      path.join(homeDir, ".claude", "quickstart", "packs", "team"),
+      pack
+    );
+    expect(loadTemplatePack("team", { projectDir, homeDir }).dir).toBe(
+      path.join(homeDir, ".claude", "quickstart", "packs", "team")
+    );
+
+    writePack(path.join(projectDir, ".claude", "quickstart", "packs", "team"), {
+      ...pack,
+      version: "1.1.0",
+    });
+    expect(loadTemplatePack("team", { projectDir, homeDir }).version).toBe(
+      "1.1.0"
+    );
+  });
+
+  test("REQ-920 — rejects packs that escape the project or the pack", () => {
+    const dir = path.join(projectDir, "bad");
+    expect(() =>
+      validateTemplatePack(
+        {
+          name: "bad",
+          version: "1",
+          files: [
+            { source: "../../secret", target: "CLAUDE.md" },
+            { source: "a.md", target: "../outside.md" },
+            { source: "a.md", target: ".claude/quickstart/ledger.json" },
+          ],
+        },
+        dir
+      )
+    ).toThrow(
+      [
+        'Invalid template pack "bad":',
+        "  • version must be a semantic version such as 1.0.0",
+        "  • files[0].source must stay inside the pack directory",
+        "  • files[1].target must be a path inside the project",
+        "  • files[2].target may not write quickstart's own state",
+      ].join("\n")
+    );
+  });
+
+  test("REQ-920 — extends cycles are reported", () => {
+    writePack(path.join(projectDir, "a"), {
+      name: "a",
+      version: "1.0.0",
+      extends: "../b",
+      files: [],
+    });
+    writePack(path.join(projectDir, "b"), {
+      name: "b",
+      version: "1.0.0",
+      extends: "../a",
+      files: [],
+    });
+    expect(() => loadTemplatePack("./a", { projectDir, homeDir })).toThrow(
+      "extends itself"
+    );
+  });
+
+  test("REQ-920 — records the pack and installed file versions", async () => {
+    const pack = { name: "acme", version: "1.1.0" };
+    await recordTemplatePack(
+      pack,
+      "./packs/acme",
+      [{ target: "CLAUDE.md", version: "1.0.0" }],
+      { projectDir }
+    );
+    await recordTemplatePack(
+      pack,
+      "./packs/acme",
+      [{ target: "README.md", version: "1.1.0" }],
+      { projectDir }
+    );
+
+    expect(readTemplatePackRecord({ projectDir })).toEqual({
+      name: "acme",
+      version: "1.1.0",
+      source: "./packs/acme",
+      files: { "CLAUDE.md": "1.0.0", "README.md": "1.1.0" },
+    });
+  });
+});
+
+describe("REQ-920 — selecting a pack", () => {
+  test("REQ-920 — --template takes a pack name", () => {
+    expect(parseCliArgs(["init", "--template", "go"]).flags).toEqual({
+      template: "go",
+    });
+  });
+
+  test("REQ-920 — manifests choose a pack with scaffold.template", () => {
+    expect(
+      validateManifest({ scaffold: { template: "monorepo" } }).scaffold
+    ).toEqual({ template: "monorepo" });
+    expect(() => validateManifest({ scaffold: { template: true } })).toThrow(
+      "scaffold.template must be a template pack name or path"
+    );
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * REQ-921: {{variable}} substitution in scaffolded templates
+ *
+ * Detection runs against temporary project directories.
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const cli = await import("../../bin/cli.js");
+const {
+  renderTemplate,
+  detectTemplateVariables,
+  resolveTemplateVariables,
+  loadTemplatePack,
+  validateTemplatePack,
+  recordTemplatePack,
+  readTemplatePackRecord,
+} = cli;
+
+describe("REQ-921 — renderTemplate", () => {
+  test("REQ-921 — fills known variables and leaves the rest", () => {
+    expect(
+      renderTemplate("# {{projectName}}\n{{ testCommand }}\n{{other}}\n", {
+        projectName: "acme",
+        testCommand: "pnpm test",
+      })
+    ).toBe("# acme\npnpm test\n{{other}}\n");
+  });
+
+  test("REQ-921 — replacement text is inserted literally", () => {
+    expect(renderTemplate("{{testCommand}}", { testCommand: "a $& b" })).toBe(
+      "a $& b"
+    );
+  });
+});
+
+describe("REQ-921 — detectTemplateVariables", () => {
+  let projectDir: string;
+
+  const write = (file: string, content = "") => {
+    fs.mkdirSync(path.dirname(path.join(projectDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, file), content);
+  };
+  const detect = () => detectTemplateVariables({ projectDir });
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "req-921-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test("REQ-921 — Node projects: name, lockfile and scripts", () => {
+    write(
+      "package.json",
+      JSON.stringify({
+        name: "acme-web",
+        scripts: { test: "vitest run", lint: "eslint ." },
+      })
+    );
+    write("pnpm-lock.yaml");
+    write("src/auth/index.ts");
+    write("src/api/index.ts");
+    write("node_modules/x/index.js");
+
+    expect(detect()).toEqual({
+      projectName: "acme-web",
+      packageManager: "pnpm",
+      testCommand: "pnpm test",
+      lintCommand: "pnpm run lint",
+      sourceDirs: "- `src/api/`\n- `src/auth/`",
+    });
+  });
+
+  test("REQ-921 — packageManager field wins; npm's placeholder test is ignored", () => {
+    write(
+      "package.json",
+      JSON.stringify({
+        name: "x",
+        packageManager: "yarn@4.1.0",
+        scripts: { test: 'echo "Error: no test specified" && exit 1' },
+      })
+    );
+    write("package-lock.json", "{}");
+
+    const variables = detect();
+    expect(variables.packageManager).toBe("yarn");
+    expect(variables).not.toHaveProperty("testCommand");
+    expect(variables).not.toHaveProperty("lintCommand");
+  });
+
+  test("REQ-921 — Python projects run tools through their manager", () => {
+    write(
+      "pyproject.toml",
+      '[project]\nname = "billing"\n\n[tool.poetry.group.dev.dependencies]\npytest = "^8"\nruff = "^0.4"\n'
+    );
+    write("poetry.lock");
+    write("billing/__init__.py");
+
+    expect(detect()).toEqual({
+      projectName: "billing",
+      packageManager: "poetry",
+      testCommand: "poetry run pytest",
+      lintCommand: "poetry run ruff check .",
+      sourceDirs: "- `billing/` - Python package",
+    });
+  });
+
+  test("REQ-921 — Go modules", () => {
+    write("go.mod", "module github.com/acme/ledger\n\ngo 1.22\n");
+    write(".golangci.yml");
+    write("cmd/ledger/main.go");
+    write("internal/store/store.go");
+
+    expect(detect()).toEqual({
+      projectName: "ledger",
+      packageManager: "go",
+      testCommand: "go test ./...",
+      lintCommand: "golangci-lint run",
+      sourceDirs: "- `cmd/ledger/`\n- `internal/` - Private application code",
+    });
+  });
+
+  test("REQ-921 — only the directory name when nothing else is known", () => {
+    expect(detect()).toEqual({ projectName: path.basename(projectDir) });
+  });
+
+  test("REQ-921 — recorded values win, then detection, then answers, then pack defaults", async () => {
+    write("package.json", JSON.stringify({ name: "detected" }));
+    const pack = { variables: { testCommand: "npm test", lintCommand: "npm run lint" } };
+    const contents = ["{{projectName}} {{packageManager}} {{testCommand}} {{lintCommand}}"];
+    const asked: string[] = [];
+
+    const prompted = await resolveTemplateVariables(pack, contents, {
+      projectDir,
+      prompt: true,
+      recorded: { packageManager: "yarn" },
+      askFn: async (question: string, fallback: string) => {
+        asked.push(question);
+        return question.startsWith("Test") ? "make test" : "";
+      },
+    });
+    expect(prompted).toEqual({
+      projectName: "detected",
+      packageManager: "yarn",
+      testCommand: "make test",
+      lintCommand: "npm run lint",
+    });
+    expect(asked).toHaveLength(2);
+
+    expect(
+      await resolveTemplateVariables(pack, contents, { projectDir })
+    ).toMatchObject({ testCommand: "npm test", packageManager: "npm" });
+  });
+});
+
+describe("REQ-921 — variables in packs", () => {
+  test("REQ-921 — built-in packs use variables and inherit defaults", () => {
+    const pack = loadTemplatePack("python");
+    expect(pack.variables).toMatchObject({
+      testCommand: "pytest",
+      sourceDirs: expect.any(String),
+    });
+    const readme = fs.readFileSync(
+      pack.files.find((file: any) => file.target === "README.md").sourcePath,
+      "utf8"
+    );
+    expect(readme).toContain("# {{projectName}}");
+    expect(readme).toContain("{{sourceDirs}}");
+  });
+
+  test("REQ-921 — pack variables must be strings", () => {
+    expect(() =>
+      validateTemplatePack(
+        { name: "x", version: "1.0.0", files: [], variables: { a: 1 } },
+        "/tmp/x"
+      )
+    ).toThrow("variables must map variable names to strings");
+  });
+
+  test("REQ-921 — recorded variables accumulate", async () => {
+    const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "req-921-"));
+    try {
+      const pack = { name: "default", version: "1.1.0" };
+      await recordTemplatePack(pack, "default", [], {
+        projectDir,
+        variables: { projectName: "acme" },
+      });
+      await recordTemplatePack(pack, "default", [], {
+        projectDir,
+        variables: { testCommand: "make test" },
+      });
+      expect(readTemplatePackRecord({ projectDir }).variables).toEqual({
+        projectName: "acme",
+        testCommand: "make test",
+      });
+    } finally {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * REQ-922: Project stack detection for .claude/settings.json allow rules
+ *
+ * Each test builds a small project in a temporary directory.
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const cli = await import("../../bin/cli.js");
+const {
+  detectProjectStack,
+  stackAllowRules,
+  projectSettingsContent,
+  scaffoldProjectFiles,
+} = cli;
+
+describe("REQ-922 — detectProjectStack", () => {
+  let projectDir: string;
+
+  const write = (file: string, content = "") => {
+    fs.mkdirSync(path.dirname(path.join(projectDir, file)), {
+      recursive: true,
+    });
+    fs.writeFileSync(path.join(projectDir, file), content);
+  };
+  const detect = () => detectProjectStack({ projectDir });
+  const runs = (stack: any, kind: string) =>
+    stack.commands[kind].map((command: any) => command.run);
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "req-922-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test("REQ-922 — package.json scripts with the lockfile's package manager", () => {
+    write(
+      "package.json",
+      JSON.stringify({
+        name: "web",
+        scripts: {
+          "test:e2e": "playwright test",
+          test: "vitest run",
+          lint: "eslint .",
+          "check-types": "tsc --noEmit",
+          build: "vite build",
+          dev: "vite",
+        },
+        devDependencies: { vitest: "^2", typescript: "^5" },
+      })
+    );
+    write("yarn.lock");
+
+    const stack = detect();
+    expect(stack).toMatchObject({
+      name: "web",
+      stacks: ["node"],
+      packageManager: "yarn",
+      pack: "node-ts",
+    });
+    expect(runs(stack, "test")).toEqual([
+      "yarn test",
+      "yarn run test:e2e",
+      "npx vitest",
+    ]);
+    expect(runs(stack, "lint")).toEqual(["yarn run lint"]);
+    expect(runs(stack, "typecheck")).toEqual(["yarn run check-types"]);
+    expect(runs(stack, "build")).toEqual(["yarn run build"]);
+  });
+
+  test("REQ-922 — TypeScript without a typecheck script gets tsc --noEmit", () => {
+    write("package.json", JSON.stringify({ name: "lib" }));
+    write("tsconfig.json", "{}");
+    expect(runs(detect(), "typecheck")).toEqual(["npx tsc --noEmit"]);
+  });
+
+  test("REQ-922 — workspaces select the monorepo pack", () => {
+    write(
+      "package.json",
+      JSON.stringify({ name: "root", workspaces: ["packages/*"] })
+    );
+    expect(detect().pack).toBe("monorepo");
+  });
+
+  test("REQ-922 — Python tools run through uv", () => {
+    write(
+      "pyproject.toml",
+      '[project]\nname = "svc"\n\n[dependency-groups]\ndev = ["pytest", "ruff", "mypy"]\n'
+    );
+    write("uv.lock");
+
+    const stack = detect();
+    expect(stack).toMatchObject({
+      stacks: ["python"],
+      packageManager: "uv",
+      pack: "python",
+    });
+    expect(stackAllowRules(stack)).toEqual([
+      "Bash(uv run pytest*)",
+      "Bash(uv run ruff check*)",
+      "Bash(uv run ruff format --check*)",
+      "Bash(uv run mypy*)",
+    ]);
+  });
+
+  test("REQ-922 — Go, Rust and Makefile targets", () => {
+    write("go.mod", "module example.com/tool\n");
+    write("Cargo.toml", '[package]\nname = "tool-rs"\n');
+    write(
+      "Makefile",
+      "VERSION := 1\n.PHONY: test\ntest:\n\tgo test ./...\nlint-all: vet\nrelease:\n\t./release.sh\n"
+    );
+
+    const stack = detect();
+    expect(stack.stacks).toEqual(["go", "rust"]);
+    expect(stack.pack).toBe("go");
+    expect(stackAllowRules(stack)).toEqual([
+      "Bash(go test*)",
+      "Bash(cargo test*)",
+      "Bash(make test*)",
+      "Bash(go vet*)",
+      "Bash(cargo clippy*)",
+      "Bash(cargo fmt --check*)",
+      "Bash(make lint-all*)",
+      "Bash(cargo check*)",
+      "Bash(go build*)",
+      "Bash(cargo build*)",
+    ]);
+  });
+
+  test("REQ-922 — Rust crates select the rust pack", () => {
+    write("Cargo.toml", '[package]\nname = "tool-rs"\n');
+    expect(detect()).toMatchObject({
+      name: "tool-rs",
+      stacks: ["rust"],
+      packageManager: "cargo",
+      pack: "rust",
+    });
+  });
+
+  test("REQ-922 — an empty directory has no stack", () => {
+    const stack = detect();
+    expect(stack.stacks).toEqual([]);
+    expect(stack.pack).toBeNull();
+    expect(stackAllowRules(stack)).toEqual([]);
+  });
+});
+
+describe("REQ-922 — projectSettingsContent", () => {
+  const template = fs.readFileSync(
+    path.join(__dirname, "..", "..", "templates", "project-settings.json"),
+    "utf8"
+  );
+  const stack = (commands: Record<string, string[]>) => ({
+    commands: Object.fromEntries(
+      ["test", "lint", "typecheck", "build"].map((kind) => [
+        kind,
+        (commands[kind] || []).map((run) => ({ run, prefix: run })),
+      ])
+    ),
+  });
+
+  test("REQ-922 — replaces the generic Bash rules with the project's commands", () => {
+    const settings = JSON.parse(
+      projectSettingsContent(stack({ test: ["go test"], lint: ["go vet"] }))
+    );
+    const original = JSON.parse(template);
+
+    expect(settings.permissions.allow).toEqual([
+      "Read(/**)",
+      "Bash(go test*)",
+      "Bash(go vet*)",
+    ]);
+    expect(settings.permissions.deny).toEqual(original.permissions.deny);
+    expect(settings.permissions.ask).toEqual(original.permissions.ask);
+    expect(settings.defaultMode).toBe("plan");
+  });
+
+  test("REQ-922 — keeps the template when nothing was detected", () => {
+    expect(projectSettingsContent(stack({}))).toBe(template);
+  });
+});
+
+describe("REQ-922 — scaffolding", () => {
+  let root: string;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "req-922-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test("REQ-922 — writes the detected stack's rules into the projectDir passed in", async () => {
+    const projectDir = path.join(root, "project");
+    const homeDir = path.join(root, "home");
+    fs.mkdirSync(projectDir);
+    fs.writeFileSync(
+      path.join(projectDir, "package.json"),
+      JSON.stringify({ scripts: { test: "vitest" } })
+    );
+
+    await scaffoldProjectFiles({ projectDir, homeDir, agents: false });
+
+    expect(
+      fs.readFileSync(path.join(projectDir, ".claude", "settings.json"), "utf8")
+    ).toBe(projectSettingsContent(detectProjectStack({ projectDir })));
+  });
+});
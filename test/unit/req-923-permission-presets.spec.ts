@@ -0,0 +1,324 @@
+/**
+ * REQ-923: Permission presets and the `permissions` command
+ *
+ * Settings are written to temporary project/home directories.
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const cli = await import("../../bin/cli.js");
+const {
+  listPermissionPresets,
+  loadPermissionPreset,
+  permissionSettingsPath,
+  mergePermissionPreset,
+  effectivePermissions,
+  managePermissions,
+  validateManifest,
+  applyManifest,
+} = cli;
+
+describe("REQ-923 — presets", () => {
+  test("REQ-923 — the four presets ship and keep the secret deny rules", () => {
+    expect(listPermissionPresets().map((preset: any) => preset.name)).toEqual([
+      "autonomous",
+      "balanced",
+      "read-only-review",
+      "strict",
+    ]);
+    for (const { name } of listPermissionPresets()) {
+      const preset = loadPermissionPreset(name, { projectDir: os.tmpdir() });
+      expect(preset.permissions.deny).toContain("Read(*.env)");
+      expect(preset.defaultMode).toEqual(expect.any(String));
+    }
+  });
+
+  test("REQ-923 — no catch-all ask rule shadows a preset's allow rules", () => {
+    for (const { name } of listPermissionPresets()) {
+      const { permissions } = loadPermissionPreset(name, {
+        projectDir: os.tmpdir(),
+      });
+      if (permissions.allow.some((rule: string) => rule.startsWith("Bash("))) {
+        expect(permissions.ask).not.toContain("Bash(*)");
+      }
+      expect(permissions.deny).toContain("Read(~/.ssh/**)");
+    }
+  });
+
+  test("REQ-923 — unknown presets list the available ones", () => {
+    expect(() => loadPermissionPreset("yolo")).toThrow(
+      'Unknown permission preset "yolo". Available: autonomous, balanced, read-only-review, strict'
+    );
+  });
+
+  test("REQ-923 — scopes map to settings files", () => {
+    const options = { homeDir: "/home/u", projectDir: "/work/app" };
+    expect(permissionSettingsPath("user", options)).toBe(
+      "/home/u/.claude/settings.json"
+    );
+    expect(permissionSettingsPath(undefined, options)).toBe(
+      "/work/app/.claude/settings.json"
+    );
+    expect(permissionSettingsPath("local", options)).toBe(
+      "/work/app/.claude/settings.local.json"
+    );
+    expect(() => permissionSettingsPath("global", options)).toThrow(
+      "Invalid scope: global (expected user, project or local)"
+    );
+  });
+});
+
+describe("REQ-923 — mergePermissionPreset", () => {
+  const preset = (
+    allow: string[],
+    ask: string[] = [],
+    deny: string[] = []
+  ) => ({
+    defaultMode: "plan",
+    permissions: { allow, ask, deny },
+  });
+
+  test("REQ-923 — keeps the user's rules and other settings", () => {
+    const { settings, added } = mergePermissionPreset(
+      { model: "opus", permissions: { allow: ["Bash(make*)", "Read(/**)"] } },
+      preset(["Read(/**)", "Bash(git diff*)"], ["Bash(*)"])
+    );
+    expect(settings).toEqual({
+      model: "opus",
+      permissions: {
+        allow: ["Bash(make*)", "Read(/**)", "Bash(git diff*)"],
+        ask: ["Bash(*)"],
+        deny: [],
+        defaultMode: "plan",
+      },
+    });
+    // Read(/**) was already the user's, so it isn't attributed to the preset
+    expect(added).toEqual({
+      allow: ["Bash(git diff*)"],
+      ask: ["Bash(*)"],
+      deny: [],
+    });
+  });
+
+  test("REQ-923 — switching presets drops only the previous preset's rules", () => {
+    const first = mergePermissionPreset(
+      { permissions: { allow: ["Bash(make*)"] } },
+      preset(["Edit(/**)", "Read(/**)"])
+    );
+    const second = mergePermissionPreset(
+      first.settings,
+      preset(["Read(/**)"], [], ["Edit(/**)"]),
+      { added: first.added }
+    );
+    expect(second.settings.permissions).toMatchObject({
+      allow: ["Bash(make*)", "Read(/**)"],
+      deny: ["Edit(/**)"],
+    });
+    expect(second.dropped.allow).toEqual(["Edit(/**)"]);
+    expect(second.added.allow).toEqual(["Read(/**)"]);
+  });
+});
+
+describe("REQ-923 — effectivePermissions", () => {
+  test("REQ-923 — deny beats ask beats allow across files", () => {
+    const effective = effectivePermissions([
+      {
+        scope: "user",
+        settings: { permissions: { allow: ["Bash(git push*)", "Read(/**)"] } },
+      },
+      {
+        scope: "project",
+        settings: {
+          permissions: { ask: ["Bash(git push*)"], allow: ["Read(/**)"] },
+        },
+      },
+      {
+        scope: "local",
+        settings: { permissions: { deny: ["Bash(git push*)"] } },
+      },
+    ]);
+    expect(effective.allow).toEqual([
+      { rule: "Read(/**)", scopes: ["user", "project"] },
+    ]);
+    expect(effective.ask).toEqual([]);
+    expect(effective.deny).toEqual([
+      { rule: "Bash(git push*)", scopes: ["local"] },
+    ]);
+    expect(effective.overridden).toEqual([
+      { rule: "Bash(git push*)", kind: "allow", scopes: ["user"], by: "deny" },
+      { rule: "Bash(git push*)", kind: "ask", scopes: ["project"], by: "deny" },
+    ]);
+  });
+});
+
+describe("REQ-923 — permissions command", () => {
+  let projectDir: string;
+  let homeDir: string;
+  const settingsFile = () => path.join(projectDir, ".claude", "settings.json");
+  const readSettings = () =>
+    JSON.parse(fs.readFileSync(settingsFile(), "utf8"));
+
+  beforeEach(() => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "req-923-"));
+    projectDir = path.join(root, "project");
+    homeDir = path.join(root, "home");
+    fs.mkdirSync(path.join(projectDir, ".claude"), { recursive: true });
+    fs.mkdirSync(homeDir);
+    fs.writeFileSync(
+      path.join(projectDir, "package.json"),
+      JSON.stringify({ name: "app", scripts: { test: "vitest" } })
+    );
+    fs.writeFileSync(
+      settingsFile(),
+      JSON.stringify({ permissions: { allow: ["Bash(make*)"] } })
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(projectDir), { recursive: true, force: true });
+  });
+
+  test("REQ-923 — apply merges the preset and its stack commands", async () => {
+    const result = await managePermissions("apply", "balanced", {
+      projectDir,
+      homeDir,
+    });
+
+    expect(result).toMatchObject({
+      preset: "balanced",
+      scope: "project",
+      dryRun: false,
+    });
+    const settings = readSettings();
+    expect(settings.permissions.allow).toEqual(
+      expect.arrayContaining([
+        "Bash(make*)",
+        "Bash(git diff*)",
+        "Bash(npm test*)",
+      ])
+    );
+    expect(settings.permissions.defaultMode).toBe("plan");
+
+    await managePermissions("apply", "read-only-review", {
+      projectDir,
+      homeDir,
+    });
+    const after = readSettings().permissions;
+    expect(after.allow).toContain("Bash(make*)");
+    expect(after.allow).not.toContain("Bash(npm test*)");
+    expect(after.deny).toContain("Edit(/**)");
+
+    const shown = await managePermissions("show", undefined, {
+      projectDir,
+      homeDir,
+    });
+    expect(
+      shown.files.map((file: any) => [file.scope, file.exists, file.preset])
+    ).toEqual([
+      ["user", false, null],
+      ["project", true, "read-only-review"],
+      ["local", false, null],
+    ]);
+  });
+
+  test("REQ-923 — dry runs and user scope", async () => {
+    const before = fs.readFileSync(settingsFile(), "utf8");
+    const result = await managePermissions("apply", "strict", {
+      projectDir,
+      homeDir,
+      dryRun: true,
+    });
+    expect(fs.readFileSync(settingsFile(), "utf8")).toBe(before);
+    expect(result.effective.ask.map((entry: any) => entry.rule)).toContain(
+      "Bash(*)"
+    );
+
+    await managePermissions("apply", "strict", {
+      projectDir,
+      homeDir,
+      scope: "user",
+    });
+    expect(
+      JSON.parse(
+        fs.readFileSync(path.join(homeDir, ".claude", "settings.json"), "utf8")
+      ).permissions.defaultMode
+    ).toBe("plan");
+    expect(fs.readFileSync(settingsFile(), "utf8")).toBe(before);
+  });
+
+  test("REQ-923 — unknown actions and a missing preset name", async () => {
+    await expect(managePermissions("reset")).rejects.toThrow(
+      "Unknown permissions action: reset"
+    );
+    await expect(managePermissions("apply")).rejects.toThrow(
+      "Usage: permissions apply <preset>"
+    );
+  });
+});
+
+describe("REQ-923 — presets in quickstart.json", () => {
+  let projectDir: string;
+  const settingsFile = () => path.join(projectDir, ".claude", "settings.json");
+  const apply = (permissions: object) => {
+    const manifestPath = path.join(projectDir, "quickstart.json");
+    fs.writeFileSync(
+      manifestPath,
+      JSON.stringify({ scope: "project", servers: ["github"], permissions })
+    );
+    return applyManifest(manifestPath, {
+      projectDir,
+      statusFn: (key: string) => ({ exists: key === "github" }),
+    });
+  };
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "req-923-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test("REQ-923 — validateManifest accepts known presets only", () => {
+    expect(
+      validateManifest({
+        permissions: { preset: "strict", allow: ["Bash(make*)"] },
+      }).permissions
+    ).toEqual({ preset: "strict", allow: ["Bash(make*)"] });
+    expect(() => validateManifest({ permissions: { preset: "yolo" } })).toThrow(
+      "permissions.preset must be one of: autonomous, balanced, read-only-review, strict"
+    );
+  });
+
+  test("REQ-923 — apply merges the preset, then the manifest's own rules", async () => {
+    await apply({ preset: "balanced", deny: ["Bash(rm*)"] });
+    const first = JSON.parse(fs.readFileSync(settingsFile(), "utf8"));
+    expect(first.permissions.allow).toContain("Bash(git diff*)");
+    expect(first.permissions.deny).toEqual(
+      expect.arrayContaining(["Read(*.env)", "Bash(rm*)"])
+    );
+    expect(first.permissions.defaultMode).toBe("plan");
+
+    // Switching presets drops balanced's rules but keeps the manifest's
+    await apply({ preset: "read-only-review", deny: ["Bash(rm*)"] });
+    const second = JSON.parse(fs.readFileSync(settingsFile(), "utf8"));
+    expect(second.permissions.ask).not.toContain("Edit(/**)");
+    expect(second.permissions.deny).toEqual(
+      expect.arrayContaining(["Edit(/**)", "Bash(rm*)"])
+    );
+
+    const recordFile = path.join(
+      projectDir,
+      ".claude",
+      "quickstart",
+      "permission-presets.json"
+    );
+    const record = fs.readFileSync(recordFile, "utf8");
+    await apply({ preset: "read-only-review", deny: ["Bash(rm*)"] });
+    expect(fs.readFileSync(recordFile, "utf8")).toBe(record);
+    expect(JSON.parse(record)["settings.json"].preset).toBe("read-only-review");
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * REQ-924: `lint-settings` permission rule linter
+ *
+ * Settings files are written to a temporary project directory.
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const cli = await import("../../bin/cli.js");
+const {
+  parseJsonWithLocations,
+  permissionRuleCovers,
+  checkPermissionRule,
+  lintPermissionSettings,
+  lintSettingsFiles,
+} = cli;
+
+const rule = (text: string) => {
+  const match = /^([\w-]+)(?:\((.*)\))?$/.exec(text)!;
+  return { tool: match[1], specifier: match[2] ?? null };
+};
+const codes = (findings: any[]) => findings.map((finding) => finding.code);
+
+describe("REQ-924 — parseJsonWithLocations", () => {
+  test("REQ-924 — records the line and column of each value", () => {
+    const { value, locations } = parseJsonWithLocations(
+      '{\n  "permissions": {\n    "allow": [\n      "Read(/**)",\n      "Grep"\n    ]\n  }\n}\n'
+    );
+    expect(value.permissions.allow).toEqual(["Read(/**)", "Grep"]);
+    expect(locations.get("/permissions/allow/1")).toEqual({
+      line: 5,
+      column: 7,
+    });
+  });
+
+  test("REQ-924 — syntax errors carry their position", () => {
+    expect(parseJsonWithLocations('{\n  "a": [1,\n  ]\n}').error).toEqual({
+      message: "Trailing comma before ']'",
+      line: 3,
+      column: 3,
+    });
+    expect(parseJsonWithLocations('{\n  "a": 1\n  "b": 2\n}').error).toEqual({
+      message: "Expected '}' or ',' after a property value, found '\"'",
+      line: 3,
+      column: 3,
+    });
+    expect(parseJsonWithLocations('{"a": "x').error).toMatchObject({
+      message: "Unterminated string",
+    });
+  });
+
+  test("REQ-924 — duplicate keys are reported", () => {
+    expect(parseJsonWithLocations('{"a": 1,\n "a": 2}').duplicates).toEqual([
+      { key: "a", pointer: "/a", line: 2, column: 2 },
+    ]);
+  });
+});
+
+describe("REQ-924 — rules", () => {
+  test("REQ-924 — Bash prefixes and path globs cover narrower rules", () => {
+    const covers = (broad: string, narrow: string) =>
+      permissionRuleCovers(rule(broad), rule(narrow));
+
+    expect(covers("Bash", "Bash(ls)")).toBe(true);
+    expect(covers("Bash(npm*)", "Bash(npm test*)")).toBe(true);
+    expect(covers("Bash(npm run:*)", "Bash(npm run lint)")).toBe(true);
+    expect(covers("Bash(npm test*)", "Bash(npm*)")).toBe(false);
+    expect(covers("Read(/**)", "Read(/src/index.ts)")).toBe(true);
+    expect(covers("Read(*.pem)", "Read(**/*.pem)")).toBe(true);
+    expect(covers("Read(**/secrets/**)", "Read(config/secrets/a.json)")).toBe(
+      true
+    );
+    expect(covers("Read(src/*)", "Read(src/a/b.ts)")).toBe(false);
+    expect(covers("Edit(/**)", "Read(/a)")).toBe(false);
+    expect(covers("mcp__github", "mcp__github__create_issue")).toBe(true);
+  });
+
+  test("REQ-924 — malformed rules", () => {
+    const check = (text: any) => codes(checkPermissionRule(text));
+
+    expect(check("Bash(npm test*)")).toEqual([]);
+    expect(check("WebFetch(domain:docs.anthropic.com)")).toEqual([]);
+    expect(check("mcp__github__create_issue")).toEqual([]);
+    expect(check("Read(src/**")).toEqual(["rule-syntax"]);
+    expect(check("Bash()")).toEqual(["rule-syntax"]);
+    expect(check(" Read")).toEqual(["rule-syntax"]);
+    expect(check(42)).toEqual(["rule-syntax"]);
+    expect(check("Bash(git:* push)")).toEqual(["rule-syntax"]);
+    expect(check("WebFetch(example.com)")).toEqual(["rule-syntax"]);
+    expect(check("Shell(ls)")).toEqual(["unknown-tool"]);
+    expect(check("Read(/etc/hosts)")).toEqual(["path-anchor"]);
+    expect(checkPermissionRule("Read(~/.*ssh/**)")[0].message).toContain(
+      'write ".ssh" for that one name'
+    );
+  });
+});
+
+describe("REQ-924 — lintPermissionSettings", () => {
+  test("REQ-924 — shadowed, redundant and contradicting rules", () => {
+    const findings = lintPermissionSettings({
+      permissions: {
+        allow: [
+          "Bash(npm test*)",
+          "Bash(git push*)",
+          "Read(/**)",
+          "Read(/src/**)",
+        ],
+        ask: ["Bash(npm*)", "Bash(npm*)"],
+        deny: ["Bash(git push*)", "Read(*.env)"],
+      },
+    });
+    expect(
+      findings.map((finding: any) => [finding.pointer, finding.code])
+    ).toEqual([
+      ["/permissions/ask/1", "duplicate"],
+      ["/permissions/allow/0", "shadowed"],
+      ["/permissions/allow/1", "contradiction"],
+      ["/permissions/allow/3", "shadowed"],
+    ]);
+    // A broad allow next to a narrower deny is how exceptions are written
+    expect(findings.some((f: any) => f.message.includes("Read(*.env)"))).toBe(
+      false
+    );
+  });
+
+  test("REQ-924 — structure and defaultMode", () => {
+    expect(
+      codes(
+        lintPermissionSettings({
+          permissions: { allow: "Read", defaultMode: "yolo", allowed: [] },
+        })
+      )
+    ).toEqual(["default-mode", "unknown-key", "structure"]);
+  });
+
+  test("REQ-924 — the shipped settings template and presets are clean", () => {
+    const templates = path.join(__dirname, "..", "..", "templates");
+    const report = lintSettingsFiles([
+      path.join(templates, "project-settings.json"),
+      ...fs
+        .readdirSync(path.join(templates, "permissions"))
+        .map((file: string) => path.join(templates, "permissions", file)),
+    ]);
+    expect(report.summary).toEqual({ errors: 0, warnings: 0 });
+  });
+});
+
+describe("REQ-924 — lintSettingsFiles", () => {
+  let projectDir: string;
+  let homeDir: string;
+  const write = (file: string, content: string) => {
+    fs.mkdirSync(path.dirname(path.join(projectDir, file)), {
+      recursive: true,
+    });
+    fs.writeFileSync(path.join(projectDir, file), content);
+  };
+
+  beforeEach(() => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "req-924-"));
+    projectDir = path.join(root, "project");
+    homeDir = path.join(root, "home");
+    fs.mkdirSync(projectDir);
+    fs.mkdirSync(homeDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(projectDir), { recursive: true, force: true });
+  });
+
+  test("REQ-924 — lints the project files that exist, with line numbers", () => {
+    write(
+      ".claude/settings.json",
+      JSON.stringify(
+        {
+          permissions: {
+            allow: ["Read(/**)", "Bash(make test)"],
+            deny: ["Read(*.env)", "Read(~/.*ssh/**)", "Read(**/*.pem)"],
+          },
+        },
+        null,
+        2
+      )
+    );
+    write(
+      ".claude/settings.local.json",
+      '{\n  "permissions": {\n    "allow": [\n'
+    );
+
+    const report = lintSettingsFiles([], { projectDir, homeDir });
+    const [settings, local] = report.files;
+
+    expect(settings.path).toBe(
+      path.join(projectDir, ".claude", "settings.json")
+    );
+    expect(
+      settings.findings.find((f: any) => f.code === "regex-in-glob")
+    ).toMatchObject({
+      code: "regex-in-glob",
+      line: 9,
+      column: 7,
+    });
+    // ~/.*ssh still matches ~/.ssh, so only the missing patterns are listed
+    expect(
+      settings.findings
+        .filter((f: any) => f.code === "secret-not-denied")
+        .map((f: any) => f.message)
+    ).toEqual([
+      'No deny rule keeps certs/server.key from being read; add "Read(**/*.key)"',
+      'No deny rule keeps config/secrets/api.json from being read; add "Read(**/secrets/**)"',
+      'No deny rule keeps config/credentials/db.json from being read; add "Read(**/credentials/**)"',
+    ]);
+    expect(local.findings).toEqual([
+      {
+        severity: "error",
+        code: "json-syntax",
+        message: "Unexpected end of file",
+        line: 4,
+        column: 1,
+      },
+    ]);
+    expect(report.summary).toEqual({ errors: 1, warnings: 4 });
+  });
+
+  test("REQ-924 — deny rules in any linted file cover secrets", () => {
+    write(
+      "user.json",
+      JSON.stringify({
+        permissions: { deny: ["Read(**/.env)", "Read(**/*.pem)"] },
+      })
+    );
+    write(
+      "project.json",
+      JSON.stringify({
+        permissions: {
+          deny: [
+            "Read(**/*.key)",
+            "Read(**/secrets/**)",
+            "Read(**/credentials/**)",
+            "Read(~/.ssh/**)",
+          ],
+        },
+      })
+    );
+    expect(
+      lintSettingsFiles(["user.json", "project.json"], { projectDir }).summary
+    ).toEqual({ errors: 0, warnings: 0 });
+    expect(() => lintSettingsFiles(["missing.json"], { projectDir })).toThrow(
+      "No such settings file"
+    );
+  });
+});